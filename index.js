@@ -15,13 +15,70 @@ try {
 // The SDK handles all the complex protocol communication for us
 const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
 const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
+const { StreamableHTTPServerTransport } = require('@modelcontextprotocol/sdk/server/streamableHttp.js');
+const { SSEServerTransport } = require('@modelcontextprotocol/sdk/server/sse.js');
+const { createMcpExpressApp } = require('@modelcontextprotocol/sdk/server/express.js');
 const {
   CallToolRequestSchema,
   ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  McpError,
+  ErrorCode,
+  isInitializeRequest,
 } = require('@modelcontextprotocol/sdk/types.js');
-// Import PDF text extraction library
-// const { PDFParse } = require('pdf-parse');  // Lazy loading this later
-const mammoth = require('mammoth');
+const { randomUUID, createHash } = require('node:crypto');
+const path = require('node:path');
+const { createDocumentCache } = require('./lib/document-cache');
+const { createLruMap } = require('./lib/lru-map');
+const { buildSearchIndex, searchIndex } = require('./lib/search-index');
+const { configureOcr } = require('./lib/ocr');
+const { extractDocumentText, supportedFormats, guessMimeTypeFromName } = require('./lib/extractors');
+const { chunkDocument, pageRangeFor, parsePageSelection } = require('./lib/chunking');
+const { loadConfigFile } = require('./lib/config');
+const { createRedactor } = require('./lib/redaction');
+const { createFieldProfiles } = require('./lib/field-profiles');
+const { TIMELINE_TYPES, normalizeDate, buildTimeline } = require('./lib/timeline');
+const { createConfirmationStore } = require('./lib/confirmations');
+const { localToday, addDays, selectTasks, selectEvents } = require('./lib/calendar');
+const { PARTY_ROLES, buildPartyList } = require('./lib/parties');
+const { describeParty, findPartyMatches, rankConflicts } = require('./lib/conflicts');
+const {
+  LITIGATION_SECTIONS,
+  lookupsNeeded,
+  describeLitigationRecords,
+} = require('./lib/litigation');
+const {
+  REGIONS,
+  createPovertyGuidelines,
+  regionForState,
+  summarizeIncome,
+} = require('./lib/eligibility');
+const { createLookupService } = require('./lib/lookups');
+const {
+  RESOURCE_TEMPLATES,
+  matterUri,
+  documentUri,
+  parseResourceUri,
+  describeMatterResource,
+  isAssignedTo,
+  describeNotes,
+  createDocumentWatcher,
+} = require('./lib/resources');
+const { loadPromptLibrary, promptDataCalls, renderPrompt } = require('./lib/prompts');
+const { createLegalServerClient } = require('./lib/http-client');
+const { createAuditLog, collectReferences } = require('./lib/audit-log');
+const { AccessDeniedError, createAccessPolicy } = require('./lib/access-policy');
+const { createSiteRegistry } = require('./lib/sites');
+const { ToolError, describeToolError } = require('./lib/tool-errors');
+const { validateArguments } = require('./lib/validation');
+const { createTokenCounter } = require('./lib/tokens');
+const { createResponseBudget, decodeCursor } = require('./lib/response-budget');
 
 // =============================================================================
 // CONFIGURATION
@@ -30,30 +87,349 @@ const mammoth = require('mammoth');
 const rawBaseUrl = process.env.LEGALSERVER_BASE_URL;
 const LEGALSERVER_BEARER_TOKEN = process.env.LEGALSERVER_BEARER_TOKEN;
 
-// Check if we have the required authentication token
-if (!LEGALSERVER_BEARER_TOKEN) {
+// Several LegalServer sites (see lib/sites.js) replace the single base URL and token
+const LEGALSERVER_SITES_FILE = process.env.LEGALSERVER_SITES_FILE || '';
+
+// Transport selection: "stdio" (default, one LibreChat child process per user)
+// or "http" (one shared Streamable HTTP server for every LibreChat user)
+const MCP_TRANSPORT = (process.env.MCP_TRANSPORT || 'stdio').toLowerCase();
+const PORT = parseInt(process.env.PORT, 10) || 3001;
+const MCP_HOST = process.env.MCP_HOST || '127.0.0.1';
+
+// HTTP sessions without a request for this long are closed, with their subscriptions;
+// clients that go away without ending their session would otherwise stay forever
+const SESSION_IDLE_TIMEOUT_MINUTES = parseFloat(process.env.SESSION_IDLE_TIMEOUT_MINUTES) || 30;
+
+// Header LibreChat uses to forward each user's own LegalServer token in HTTP mode;
+// with several sites, "X-LegalServer-Token-<site>" carries the token for each one
+const TOKEN_HEADER = 'X-LegalServer-Token';
+
+// Optional header naming the LegalServer user behind a session in HTTP mode
+// (used by RESOURCES_LIST_SCOPE=assigned)
+const USER_HEADER = 'X-LegalServer-User';
+
+if (MCP_TRANSPORT !== 'stdio' && MCP_TRANSPORT !== 'http') {
+  console.error(`ERROR: MCP_TRANSPORT must be "stdio" or "http" (got "${MCP_TRANSPORT}")`);
+  process.exit(1);
+}
+
+// In stdio mode every call uses the process-wide token, so it must be present.
+// In HTTP mode each session brings its own token and the shared one is never used.
+if (MCP_TRANSPORT === 'stdio' && !LEGALSERVER_SITES_FILE && !LEGALSERVER_BEARER_TOKEN) {
   console.error('ERROR: LEGALSERVER_BEARER_TOKEN environment variable is required');
   process.exit(1);
 }
 
 // Validate and normalize the Legalserver base URL
-if (!rawBaseUrl) {
-  console.error('ERROR: LEGALSERVER_BASE_URL environment variable is required');
+if (!LEGALSERVER_SITES_FILE && !rawBaseUrl) {
+  console.error('ERROR: LEGALSERVER_BASE_URL environment variable is required (or LEGALSERVER_SITES_FILE)');
   process.exit(1);
 }
 
 let LEGALSERVER_BASE_URL;
+if (!LEGALSERVER_SITES_FILE) {
+  try {
+    const parsedBaseUrl = new URL(rawBaseUrl);
+
+    // Ensure a single trailing slash to avoid double-slash paths
+    LEGALSERVER_BASE_URL = parsedBaseUrl.toString().replace(/\/+$/, '/');
+  } catch (error) {
+    console.error('ERROR: LEGALSERVER_BASE_URL must be a valid URL');
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
+// LegalServer HTTP clients (see lib/http-client.js), one per site. Every API call is
+// limited to LEGALSERVER_MAX_CONCURRENCY in flight per site across all sessions, times
+// out, and is retried on 429/5xx; a used-up rate limit window is waited out if it resets soon enough.
+const LEGALSERVER_CLIENT_OPTIONS = {
+  timeoutMs: (parseInt(process.env.LEGALSERVER_TIMEOUT_SECONDS, 10) || 30) * 1000,
+  downloadTimeoutMs: (parseInt(process.env.LEGALSERVER_DOWNLOAD_TIMEOUT_SECONDS, 10) || 120) * 1000,
+  maxRetries: Number.isInteger(parseInt(process.env.LEGALSERVER_MAX_RETRIES, 10))
+    ? parseInt(process.env.LEGALSERVER_MAX_RETRIES, 10)
+    : 3,
+  maxConcurrency: parseInt(process.env.LEGALSERVER_MAX_CONCURRENCY, 10) || 6,
+  maxRateLimitWaitMs: (parseInt(process.env.LEGALSERVER_MAX_RATE_LIMIT_WAIT_SECONDS, 10) || 60) * 1000,
+};
+
+// The LegalServer sites this server talks to; tools take a `site` argument when there are several
+let sites;
+try {
+  sites = createSiteRegistry(
+    LEGALSERVER_SITES_FILE
+      ? loadConfigFile(LEGALSERVER_SITES_FILE, 'sites file')
+      : { sites: { default: { base_url: LEGALSERVER_BASE_URL, token_env: 'LEGALSERVER_BEARER_TOKEN' } } },
+    {
+      env: process.env,
+      createClient: baseUrl => createLegalServerClient({ baseUrl, ...LEGALSERVER_CLIENT_OPTIONS }),
+    }
+  );
+} catch (error) {
+  console.error(`ERROR: ${error.message}`);
+  process.exit(1);
+}
+
+if (MCP_TRANSPORT === 'stdio' && !sites.list().some(site => site.token)) {
+  console.error('ERROR: No site has a token; set the environment variable each site\'s token_env names');
+  process.exit(1);
+}
+
+// Document extraction cache (see lib/document-cache.js)
+// DOCUMENT_CACHE_DIR enables the on-disk store; it will hold extracted client
+// document text, so point it at a directory only this service can read.
+const DOCUMENT_CACHE_MAX_MB = parseFloat(process.env.DOCUMENT_CACHE_MAX_MB) || 100;
+const DOCUMENT_CACHE_TTL_SECONDS = parseInt(process.env.DOCUMENT_CACHE_TTL_SECONDS, 10) || 3600;
+const DOCUMENT_CACHE_DIR = process.env.DOCUMENT_CACHE_DIR || '';
+const DOCUMENT_CACHE_DISK_MAX_MB = parseFloat(process.env.DOCUMENT_CACHE_DISK_MAX_MB) || 500;
+
+const documentCache = createDocumentCache({
+  maxBytes: DOCUMENT_CACHE_MAX_MB * 1024 * 1024,
+  ttlMs: DOCUMENT_CACHE_TTL_SECONDS * 1000,
+  diskDir: DOCUMENT_CACHE_DIR || undefined,
+  diskMaxBytes: DOCUMENT_CACHE_DISK_MAX_MB * 1024 * 1024,
+});
+
+// Characters repeated between consecutive get_document chunks, unless the caller overrides it
+const DOCUMENT_CHUNK_OVERLAP = parseInt(process.env.DOCUMENT_CHUNK_OVERLAP, 10) || 200;
+
+// How many documents search_case_documents downloads/extracts at the same time
+const DOCUMENT_FETCH_CONCURRENCY = parseInt(process.env.DOCUMENT_FETCH_CONCURRENCY, 10) || 3;
+
+// What one search_case_documents call may read: the most recently updated documents up to
+// SEARCH_MAX_DOCUMENTS, none larger than SEARCH_MAX_FILE_MB, and OCR only for documents
+// already cached unless SEARCH_OCR_UNCACHED is true. The rest are reported as skipped.
+const SEARCH_MAX_DOCUMENTS = parseInt(process.env.SEARCH_MAX_DOCUMENTS, 10) || 50;
+const SEARCH_MAX_FILE_MB = parseFloat(process.env.SEARCH_MAX_FILE_MB) || 10;
+const SEARCH_OCR_UNCACHED = process.env.SEARCH_OCR_UNCACHED === 'true';
+
+// Token counting (see lib/tokens.js), and the token budget every read tool's result is
+// fitted to, with a cursor for the rest (see lib/response-budget.js)
+let tokens;
+try {
+  tokens = createTokenCounter((process.env.TOKENIZER || 'o200k_base').trim().toLowerCase());
+} catch (error) {
+  console.error(`ERROR: ${error.message}`);
+  process.exit(1);
+}
+const RESPONSE_TOKEN_BUDGET = parseInt(process.env.RESPONSE_TOKEN_BUDGET, 10) || 25000;
+const responseBudget = createResponseBudget({ maxTokens: RESPONSE_TOKEN_BUDGET, tokens });
+
+// get_document's full mode refuses documents with more tokens than this
+const DOCUMENT_FULL_MAX_TOKENS = parseInt(process.env.DOCUMENT_FULL_MAX_TOKENS, 10) || 40000;
+
+// Offline OCR for images and scanned PDF pages (see lib/ocr.js)
+// Extra languages need their @tesseract.js-data/<lang> package installed, and
+// OCR_LANG_PATH pointing at one directory holding every <lang>.traineddata.gz.
+configureOcr({
+  enabled: process.env.OCR_ENABLED !== 'false',
+  languages: process.env.OCR_LANGUAGES || 'eng',
+  langPath: process.env.OCR_LANG_PATH || undefined,
+  maxPdfPages: parseInt(process.env.OCR_MAX_PDF_PAGES, 10) || 20,
+});
+
+// PII redaction applied to every tool response (see lib/redaction.js)
+// REDACTION_POLICY_FILE replaces the built-in default policy with a deployment's own.
+const REDACTION_ENABLED = process.env.REDACTION_ENABLED !== 'false';
+let redactor = null;
+if (REDACTION_ENABLED) {
+  try {
+    redactor = createRedactor({
+      policy: process.env.REDACTION_POLICY_FILE
+        ? loadConfigFile(process.env.REDACTION_POLICY_FILE, 'redaction policy')
+        : undefined,
+      hashSalt: process.env.REDACTION_HASH_SALT || undefined,
+    });
+  } catch (error) {
+    console.error(`ERROR: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Tamper-evident audit log of every tool call and resource read (see lib/audit-log.js).
+// It records which cases and documents were read and for whom, so it holds client
+// identifiers: keep AUDIT_LOG_FILE somewhere only this service can read.
+// Verify or export it with scripts/audit-log.js.
+const AUDIT_LOG_ENABLED = process.env.AUDIT_LOG_ENABLED !== 'false';
+let auditLog = null;
+if (AUDIT_LOG_ENABLED) {
+  try {
+    auditLog = createAuditLog({
+      file: process.env.AUDIT_LOG_FILE || path.join(__dirname, 'logs', 'audit.jsonl'),
+      key: process.env.AUDIT_LOG_HMAC_KEY || undefined,
+    });
+  } catch (error) {
+    console.error(`ERROR: Cannot open audit log: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Access policy (see lib/access-policy.js): which cases, document folders and note
+// types tools and resources may touch, on top of LegalServer's own permissions.
+// Without ACCESS_POLICY_FILE nothing is restricted beyond those.
+let accessPolicy = null;
+if (process.env.ACCESS_POLICY_FILE) {
+  try {
+    accessPolicy = createAccessPolicy(loadConfigFile(process.env.ACCESS_POLICY_FILE, 'access policy'));
+  } catch (error) {
+    console.error(`ERROR: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Field profiles deciding what get_case_info returns (see lib/field-profiles.js)
+// FIELD_PROFILES_FILE replaces the bundled config/field-profiles.yaml.
+let fieldProfiles;
+try {
+  fieldProfiles = createFieldProfiles(loadConfigFile(
+    process.env.FIELD_PROFILES_FILE || path.join(__dirname, 'config', 'field-profiles.yaml'),
+    'field profiles file'
+  ));
+} catch (error) {
+  console.error(`ERROR: ${error.message}`);
+  process.exit(1);
+}
+
+// Federal Poverty Guidelines table for get_case_eligibility (see lib/eligibility.js)
+// POVERTY_GUIDELINES_FILE replaces the bundled config/poverty-guidelines.yaml.
+let povertyGuidelines;
+try {
+  povertyGuidelines = createPovertyGuidelines(loadConfigFile(
+    process.env.POVERTY_GUIDELINES_FILE || path.join(__dirname, 'config', 'poverty-guidelines.yaml'),
+    'poverty guidelines file'
+  ));
+} catch (error) {
+  console.error(`ERROR: ${error.message}`);
+  process.exit(1);
+}
+
+// Income information older than this is flagged for re-verification
+const INCOME_STALE_MONTHS = parseInt(process.env.INCOME_STALE_MONTHS, 10) || 12;
+
+// Write tools (add_case_note, update_case_note). READ_ONLY_MODE=true hides and
+// refuses them, for deployments that must never change LegalServer data.
+const READ_ONLY_MODE = process.env.READ_ONLY_MODE === 'true';
+const WRITE_TOOLS = ['add_case_note', 'update_case_note'];
+
+// Case numbers as this site writes them; tool arguments taking a case number are
+// checked against it before anything is sent (LegalServer's default is "24-0539721")
+const CASE_NUMBER_PATTERN = process.env.CASE_NUMBER_PATTERN || '^\\d{2}-\\d{7}$';
+let caseNumberRegex;
 try {
-  const parsedBaseUrl = new URL(rawBaseUrl);
+  caseNumberRegex = new RegExp(CASE_NUMBER_PATTERN);
+} catch (error) {
+  console.error(`ERROR: CASE_NUMBER_PATTERN is not a valid regular expression: ${error.message}`);
+  process.exit(1);
+}
+
+// Formats the tools' input schemas use beyond the standard ones (see lib/validation.js)
+const ARGUMENT_FORMATS = {
+  'case-number': {
+    test: value => caseNumberRegex.test(value.trim()),
+    description: `a LegalServer case number matching ${CASE_NUMBER_PATTERN}`,
+  },
+  'document-id': {
+    test: value => /^\d+$/.test(value),
+    description: 'a numeric document ID',
+  },
+};
+
+// Every write is previewed first; the preview's token confirms it for this long
+const writeConfirmations = createConfirmationStore({
+  ttlMs: (parseInt(process.env.WRITE_CONFIRMATION_TTL_SECONDS, 10) || 600) * 1000,
+});
 
-  // Ensure a single trailing slash to avoid double-slash paths
-  LEGALSERVER_BASE_URL = parsedBaseUrl.toString().replace(/\/+$/, '/');
+// How many of the most recent matters run_conflict_check compares parties against
+// (besides a site-wide search of clients by last name)
+const CONFLICT_SCAN_MATTERS = parseInt(process.env.CONFLICT_SCAN_MATTERS, 10) || 500;
+
+// Lookup tables (problem codes, note types, ...) are fetched once and reused this long,
+// for labelling IDs in tool output and checking arguments (see lib/lookups.js)
+const lookups = createLookupService({
+  fetchLookup: async (session, lookupName) => (await fetchAllPages(session, `/api/v1/lookups/${lookupName}`)).items,
+  ttlMs: (parseInt(process.env.LOOKUP_CACHE_TTL_SECONDS, 10) || 3600) * 1000,
+  siteOf: session => session.site.name,
+});
+
+// Fields of LegalServer records that some sites return as lookup IDs, and the lookup each
+// belongs to; tools label them with labelLookupIds() before shaping their output.
+// get_case_litigation's own records are covered by LOOKUP_FIELDS in lib/litigation.js.
+const MATTER_LOOKUP_FIELDS = {
+  case_disposition: 'case_disposition',
+  case_status: 'case_status',
+  legal_problem_code: 'legal_problem_code',
+  legal_problem_category: 'legal_problem_code_categories',
+  special_legal_problem_code: 'special_legal_problem_code',
+  close_reason: 'close_reason',
+  'notes.note_type': 'note_type',
+};
+const TASK_LOOKUP_FIELDS = { task_type: 'task_types', deadline_type: 'deadline_types' };
+const EVENT_LOOKUP_FIELDS = { event_type: 'event_type' };
+const PARTY_LOOKUP_FIELDS = { business_type: 'common_ap_business_types', relationship_type: 'matter_relationship_type' };
+const INCOME_LOOKUP_FIELDS = { type: 'income' };
+
+// MCP resources (see lib/resources.js). resources/list offers the most recently
+// changed cases ("recent") or the open cases assigned to the caller ("assigned");
+// the caller is RESOURCES_USER in stdio mode and the X-LegalServer-User header in HTTP mode.
+const RESOURCES_LIST_SCOPE = (process.env.RESOURCES_LIST_SCOPE || 'recent').toLowerCase();
+const RESOURCES_LIST_LIMIT = parseInt(process.env.RESOURCES_LIST_LIMIT, 10) || 25;
+const RESOURCES_USER = process.env.RESOURCES_USER || '';
+const RESOURCE_POLL_SECONDS = parseInt(process.env.RESOURCE_POLL_SECONDS, 10) || 300;
+
+// Original files can't pass the redaction policy, so with redaction on they are
+// only served when RESOURCES_SERVE_ORIGINALS=true
+const RESOURCES_SERVE_ORIGINALS = process.env.RESOURCES_SERVE_ORIGINALS
+  ? process.env.RESOURCES_SERVE_ORIGINALS === 'true'
+  : !REDACTION_ENABLED;
+
+if (RESOURCES_LIST_SCOPE !== 'recent' && RESOURCES_LIST_SCOPE !== 'assigned') {
+  console.error(`ERROR: RESOURCES_LIST_SCOPE must be "recent" or "assigned" (got "${RESOURCES_LIST_SCOPE}")`);
+  process.exit(1);
+}
+
+// MCP prompts (see lib/prompts.js): the bundled config/prompts plus a deployment's
+// own PROMPTS_DIR, whose prompts add to or replace the bundled ones by name.
+// Prompts embed the results of these read tools for the case they are asked about.
+const PROMPT_DATA_TOOLS = [
+  'get_case_info', 'list_case_documents', 'search_case_documents', 'get_case_timeline', 'list_tasks',
+  'list_events', 'get_case_parties', 'get_case_litigation', 'get_case_eligibility',
+];
+// Each embedded tool result is cut to this many characters
+const PROMPT_DATA_MAX_CHARS = parseInt(process.env.PROMPT_DATA_MAX_CHARS, 10) || 20000;
+
+let promptLibrary;
+try {
+  promptLibrary = loadPromptLibrary(
+    [path.join(__dirname, 'config', 'prompts'), process.env.PROMPTS_DIR].filter(Boolean),
+    {
+      dataTools: PROMPT_DATA_TOOLS,
+      // Default site first
+      sites: sites.multiple ? [sites.defaultSite.name, ...sites.names.filter(name => name !== sites.defaultSite.name)] : [],
+    }
+  );
 } catch (error) {
-  console.error('ERROR: LEGALSERVER_BASE_URL must be a valid URL');
-  console.error(error.message);
+  console.error(`ERROR: ${error.message}`);
   process.exit(1);
 }
 
+// The maps below are shared by every session, so each keeps at most this many documents
+// (least recently used are dropped; see lib/lru-map.js)
+const DOCUMENT_TRACKING_MAX_ENTRIES = parseInt(process.env.DOCUMENT_TRACKING_MAX_ENTRIES, 10) || 20000;
+
+// Latest date_update seen for each document, by documentKey(), recorded by listMatterDocuments().
+// get_document uses it to version cache entries when the caller doesn't pass date_updated.
+const documentVersions = createLruMap(DOCUMENT_TRACKING_MAX_ENTRIES);
+
+// Matter and folder of each document, by documentKey() (guid or internal ID); the API can't
+// look a document up on its own, so document resources are resolved (and watched) and
+// get_document is checked against the access policy through this. A document that is not
+// (or no longer) here is found again by listing its case's documents.
+const documentOwners = createLruMap(DOCUMENT_TRACKING_MAX_ENTRIES);
+
+// Token count of each extracted document, by documentCacheKey(); list_case_documents shows
+// the counts of documents read before
+const documentTokenCounts = createLruMap(DOCUMENT_TRACKING_MAX_ENTRIES);
+
 // =============================================================================
 // HELPER FUNCTIONS
 // =============================================================================
@@ -65,229 +441,1586 @@ function extractFilenameFromDisposition(disposition) {
   return decodeURIComponent(match[1] || match[2]);
 }
 
-function guessMimeTypeFromName(name) {
-  if (!name) return undefined;
-  const lower = name.toLowerCase();
-  if (lower.endsWith('.pdf')) return 'application/pdf';
-  if (lower.endsWith('.docx')) return 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
-  if (lower.endsWith('.doc')) return 'application/msword';
-  if (lower.endsWith('.txt')) return 'text/plain';
-  if (lower.endsWith('.rtf')) return 'application/rtf';
-  return undefined;
-}
+/**
+ * Runs an async function over a list with at most `limit` calls in flight
+ * Results come back in input order.
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
 
-function chunkText(text, maxChars) {
-  const chunks = [];
-  for (let i = 0; i < text.length; i += maxChars) {
-    chunks.push(text.slice(i, i + maxChars));
+  const workers = [];
+  for (let i = 0; i < Math.min(limit, items.length); i++) {
+    workers.push(worker());
   }
-  return chunks;
+  await Promise.all(workers);
+  return results;
 }
 
-// Lazy loader for pdf-parse v2 so that any errors become tool errors, not process crashes
-let PDFParseClass = null;
-
-function getPdfParseClass() {
-  if (PDFParseClass) {
-    return PDFParseClass;
+/**
+ * Builds the caller's session on a site from the request context the SDK hands to each handler.
+ * Over HTTP the token comes from the authenticated request (see main()); over stdio
+ * there is only one caller, so the site's configured token is used.
+ *
+ * @param {Object} extra - The RequestHandlerExtra passed to setRequestHandler callbacks
+ * @param {string} [siteName] - Site to work on; the default site when omitted
+ * @returns {{ sessionId: string|undefined, site: Object, token: string, user: string|undefined }}
+ * @throws {ToolError} unauthorized, when there is no token for the site
+ */
+function getSession(extra = {}, siteName) {
+  const site = sites.get(siteName);
+  const token = MCP_TRANSPORT === 'http'
+    ? extra.authInfo?.extra?.siteTokens?.[site.name]
+    : site.token;
+
+  if (!token) {
+    if (!sites.multiple) {
+      throw new ToolError('unauthorized', 'No LegalServer token is associated with this session');
+    }
+    throw new ToolError('unauthorized', MCP_TRANSPORT === 'http'
+      ? `No LegalServer token for site "${site.name}" is associated with this session; send it in the ${TOKEN_HEADER}-${site.name} header`
+      : `No LegalServer token for site "${site.name}"; set ${site.tokenEnv || 'its token_env'}`);
   }
 
-  // This require is inside a function so if it throws, we catch it in the tool handler
-  // and return a nice error to the LLM instead of crashing the whole MCP server.
-  // For pdf-parse v2 the correct named export is PDFParse.
-  const mod = require('pdf-parse');
+  return {
+    sessionId: extra.sessionId,
+    site,
+    token,
+    user: MCP_TRANSPORT === 'http' ? extra.authInfo?.extra?.user : RESOURCES_USER || undefined,
+  };
+}
+
+// Key of a document in documentVersions / documentOwners: internal IDs repeat
+// between sites, so keys carry the site
+function documentKey(session, { document_id, document_uuid }) {
+  return `${session.site.name}|${document_uuid ? document_uuid : `id:${document_id}`}`;
+}
 
-  // Be a bit defensive in case the export shape changes
-  PDFParseClass = mod.PDFParse || mod.default || mod;
+/**
+ * Records one tool call or resource read in the audit log
+ * Matter UUIDs and document guids are collected from the arguments and the
+ * (unredacted) response, including any part of it the token budget cut off.
+ * Without an audit log this does nothing.
+ *
+ * @param {Object} extra - The RequestHandlerExtra of the request
+ * @param {Object} fields - { method, site, tool?, resource?, arguments }
+ * @param {Object} outcome - { references: Array of values to scan, response_bytes, error? }
+ * @returns {Promise<void>}
+ * @throws {Error} When the entry can't be written
+ */
+async function recordAudit(extra, fields, { references, response_bytes, error }) {
+  if (!auditLog) return;
 
-  if (typeof PDFParseClass !== 'function') {
-    throw new Error('pdf-parse did not expose a PDFParse class/function as expected');
+  let session = null;
+  try {
+    session = getSession(extra, fields.site);
+  } catch (sessionError) {
+    // Calls without a token (or for an unknown site) are still recorded, just without a caller
   }
+  const found = collectReferences(references);
+  // A document read on its own still counts against its case, when we know which it is
+  found.documents.forEach(guid => {
+    const owner = session && documentOwners.get(documentKey(session, { document_uuid: guid }));
+    if (owner) found.matters.add(owner.matterUuid);
+  });
+
+  await auditLog.append({
+    timestamp: new Date().toISOString(),
+    session_id: extra.sessionId || (MCP_TRANSPORT === 'stdio' ? 'stdio' : undefined),
+    caller: session ? hashToken(session.token).slice(0, 16) : undefined,
+    user: session?.user,
+    ...fields,
+    matters: [...found.matters],
+    documents: [...found.documents],
+    response_bytes,
+    outcome: error ? 'error' : 'success',
+    error: error || undefined,
+  });
+}
+
+/**
+ * Labels the lookup IDs in records a tool fetched (see lib/lookups.js labelRecords)
+ * Lookups that couldn't be read are added to `unresolved`, for the tool to report.
+ *
+ * @param {Object} session
+ * @param {Object|Array} records
+ * @param {Object} fields - One of the *_LOOKUP_FIELDS maps
+ * @param {string[]} unresolved - Collects lookups whose IDs stay unlabelled
+ * @returns {Promise<Object|Array>} The records, labelled
+ */
+async function labelLookupIds(session, records, fields, unresolved) {
+  const labelled = await lookups.labelRecords(session, records, fields);
+  labelled.unresolved.forEach(name => {
+    if (!unresolved.includes(name)) unresolved.push(name);
+  });
+  return labelled.records;
+}
 
-  return PDFParseClass;
+// Tool results are JSON text; anything else is scanned as-is
+function parseResultText(result) {
+  return (result.content || [])
+    .filter(block => block.type === 'text')
+    .map(block => {
+      try {
+        return JSON.parse(block.text);
+      } catch (error) {
+        return null;
+      }
+    });
 }
 
 /**
  * Makes an HTTP request to the Legalserver API
- * This function handles all the details of calling the API correctly
+ * Goes through the shared client (lib/http-client.js): timeouts, retries and rate limits
+ * are handled there, and failures are thrown as LegalServerApiError.
  * 
+ * @param {Object} session - The caller's session from getSession(); supplies the bearer token
  * @param {string} endpoint - The API path (e.g., '/api/v1/matters/123/documents')
- * @param {Object} queryParams - Optional query parameters (e.g., { id: '123' })
+ * @param {Object} queryParams - Optional query parameters (e.g., { id: '123' }); array values repeat the key
  * @param {boolean} returnBinary - Whether to return binary data (for documents)
+ * @returns {Promise} - Returns the API response; for binary, { content, mimeType, contentDisposition }
+ */
+async function callLegalserverAPI(session, endpoint, queryParams = {}, returnBinary = false) {
+  return session.site.client.request(session, { endpoint, query: queryParams, binary: returnBinary });
+}
+
+/**
+ * Sends a POST/PATCH request with a JSON body to the LegalServer API
+ * The write tools call this only after the caller confirmed a preview; the
+ * conflict check is a POST that changes nothing. Rejected writes (e.g. validation
+ * errors) carry LegalServer's explanation in the thrown error.
+ *
+ * @param {Object} session - The caller's session from getSession()
+ * @param {string} method - 'POST' or 'PATCH'
+ * @param {string} endpoint - The API path (e.g., '/api/v1/matters/123/notes')
+ * @param {Object} body - Request body
  * @returns {Promise} - Returns the API response
  */
-async function callLegalserverAPI(endpoint, queryParams = {}, returnBinary = false) {
-  // Build the full URL using the base URL from environment
-  const url = new URL(endpoint, LEGALSERVER_BASE_URL);
-  
-  // Add query parameters
-  Object.keys(queryParams).forEach(key => {
-    url.searchParams.append(key, queryParams[key]);
-  });
+async function sendLegalserverAPI(session, method, endpoint, body) {
+  return session.site.client.request(session, { method, endpoint, body });
+}
 
-  // Make the request
-  const response = await fetch(url.toString(), {
-    method: 'GET',
-    headers: {
-      'Authorization': `Bearer ${LEGALSERVER_BEARER_TOKEN}`,
-      'Accept': returnBinary ? '*/*' : 'application/json',
-    },
+/**
+ * Runs the preview/confirm flow shared by the write tools
+ * Without a confirmation_token this returns the exact request and a token for it;
+ * with one, it checks the token and sends the request.
+ *
+ * @param {Object} session - The caller's session from getSession()
+ * @param {string} tool - Tool name, for the response
+ * @param {{ method: string, endpoint: string, body: Object }} request
+ * @param {string} [confirmationToken]
+ * @param {Object} [context] - Extra fields for the preview (e.g. the note being changed)
+ * @returns {Promise<Object>} Response object for the tool
+ */
+async function previewOrSend(session, tool, request, confirmationToken, context = {}) {
+  // A preview confirms the same request for the same caller on the same site only
+  const caller = hashToken(`${session.site.name}|${session.token}`);
+
+  if (!confirmationToken) {
+    const { token, expires_at } = writeConfirmations.issue(caller, request);
+    return {
+      success: true,
+      tool,
+      dry_run: true,
+      ...context,
+      would_send: request,
+      confirmation_token: token,
+      expires_at,
+      note: 'Nothing has been saved yet. Show this change to the user and, only once they approve it, call the tool again with the same arguments plus this confirmation_token.',
+    };
+  }
+
+  writeConfirmations.redeem(confirmationToken, caller, request);
+  const response = await sendLegalserverAPI(session, request.method, request.endpoint, request.body);
+  return {
+    success: true,
+    tool,
+    dry_run: false,
+    ...context,
+    saved: response?.data ?? response,
+  };
+}
+
+/**
+ * Fetches every page of a paged LegalServer search endpoint
+ * Stops after maxPages so a broad query can't pull an entire site.
+ *
+ * @param {Object} session - The caller's session from getSession()
+ * @param {string} endpoint - The API path (e.g., '/api/v1/tasks')
+ * @param {Object} queryParams - Filters for the search
+ * @param {Object} [options]
+ * @param {number} [options.pageSize=100]
+ * @param {number} [options.maxPages=10]
+ * @returns {Promise<{ items: Array, truncated: boolean }>} truncated is true when pages were left unread
+ */
+async function fetchAllPages(session, endpoint, queryParams = {}, { pageSize = 100, maxPages = 10 } = {}) {
+  const items = [];
+
+  for (let page = 1; page <= maxPages; page++) {
+    const response = await callLegalserverAPI(session, endpoint, {
+      ...queryParams,
+      page_number: String(page),
+      page_size: String(pageSize),
+    });
+    const data = Array.isArray(response?.data) ? response.data : [];
+    items.push(...data);
+
+    const totalPages = response?.total_number_of_pages;
+    const lastPage = typeof totalPages === 'number' ? page >= totalPages : data.length < pageSize;
+    if (lastPage || data.length === 0) {
+      return { items, truncated: false };
+    }
+  }
+
+  return { items, truncated: true };
+}
+
+/**
+ * Builds the extraction cache key for a document
+ * Keys are scoped to the caller's token so that, on a shared HTTP server, one user's
+ * cached text is never served to someone LegalServer wouldn't let download it.
+ * The document's date_update is part of the key, so edited documents miss the cache.
+ */
+function documentCacheKey(session, { document_id, document_uuid, date_updated }) {
+  const caller = createHash('sha256').update(session.token).digest('hex').slice(0, 16);
+  const documentId = document_uuid ? `guid:${document_uuid}` : `id:${document_id}`;
+  const version = date_updated || (document_uuid && documentVersions.get(documentKey(session, { document_uuid }))) || 'unversioned';
+  return `${session.site.name}|${caller}|${documentId}|${version}`;
+}
+
+// Location fields and text of a chunk from lib/chunking.js, for get_document responses
+function describeChunk(chunk) {
+  return {
+    chunk_index: chunk.index,
+    char_start: chunk.char_start,
+    char_end: chunk.char_end,
+    page_start: chunk.page_start,
+    page_end: chunk.page_end,
+    section: chunk.section,
+    text: chunk.text,
+  };
+}
+
+/**
+ * Downloads a document and extracts its text, going through the extraction cache
+ *
+ * @param {Object} session - The caller's session from getSession()
+ * @param {Object} ref - { document_id, document_uuid, date_updated, size_bytes }; one of the first two is required
+ * @param {Object} [options]
+ * @param {boolean} [options.ocr=true] - Set to false to skip OCR; text missing for that reason is not cached
+ * @param {number} [options.maxBytes] - Documents not cached yet that are larger than this are not downloaded
+ * @returns {Promise<Object>} - { identifier, mime_type, size_bytes, text, token_count, format, ocr?, ocr_deferred?, attachments?, from_cache }, or
+ *   { identifier, mime_type, size_bytes, error, suggestion } when no text can be extracted
+ */
+async function loadDocumentText(session, ref, { ocr = true, maxBytes } = {}) {
+  const { document_id, document_uuid } = ref;
+  const cacheKey = documentCacheKey(session, ref);
+
+  const cached = await documentCache.get(cacheKey);
+  if (cached) {
+    return { ...countDocumentTokens(cacheKey, cached), from_cache: true };
+  }
+
+  // The listed size is checked before downloading, the real one after
+  const tooLarge = sizeBytes => ({
+    identifier: document_uuid || document_id,
+    size_bytes: sizeBytes,
+    error_code: 'too_large',
+    error: `Larger than the ${Number((maxBytes / 1024 / 1024).toFixed(2))} MB limit`,
+    suggestion: 'Read this document with get_document instead.',
   });
+  if (maxBytes && ref.size_bytes > maxBytes) {
+    return tooLarge(ref.size_bytes);
+  }
 
-  // Check if request was successful
-  if (!response.ok) {
-    throw new Error(`LegalServer API error: ${response.status} ${response.statusText}`);
-  }
-
-  // Handle binary document downloads differently
-  if (returnBinary) {
-    // Get the content type from response headers
-    const mimeType = response.headers.get('content-type');
-    const contentDisposition = response.headers.get('content-disposition');
-
-    // Attempt to read the download stream regardless of how the fetch implementation exposes it
-    let buffer;
-    if (typeof response.arrayBuffer === 'function') {
-      const arrayBuffer = await response.arrayBuffer();
-      buffer = Buffer.from(arrayBuffer);
-    } else if (typeof response.buffer === 'function') {
-      buffer = await response.buffer();
-    } else if (response.body && typeof response.body.getReader === 'function') {
-      const reader = response.body.getReader();
-      const chunks = [];
-      // Read until done, handling streamed downloads that behave like browser file downloads
-      // rather than traditional binary API responses
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
-        chunks.push(Buffer.from(value));
-      }
-      buffer = Buffer.concat(chunks);
+  // Build query parameters based on what was provided
+  const queryParams = {};
+  if (document_id) {
+    queryParams.id = document_id;
+  }
+  if (document_uuid) {
+    queryParams.unique_id = document_uuid;
+  }
+
+  // Call the Legalserver API to download the document
+  const documentData = await callLegalserverAPI(
+    session,
+    '/modules/document/download.php',
+    queryParams,
+    true  // Get binary data
+  );
+  if (maxBytes && documentData.content.length > maxBytes) {
+    return tooLarge(documentData.content.length);
+  }
+
+  const filename = extractFilenameFromDisposition(documentData.contentDisposition);
+  const identifier = filename || document_id || document_uuid;
+  const mimeType = documentData.mimeType || guessMimeTypeFromName(filename || identifier) || 'application/octet-stream';
+  const result = {
+    identifier,
+    mime_type: mimeType,
+    size_bytes: documentData.content.length,
+  };
+
+  // Handle different document types and extract text content (see lib/extractors.js)
+  try {
+    const extracted = await extractDocumentText(documentData.content, {
+      mimeType,
+      filename: filename || identifier,
+      ocr,
+    });
+
+    if (extracted) {
+      Object.assign(result, extracted);
+    } else if (mimeType.startsWith('image/')) {
+      // Images only have an extractor while OCR is turned on
+      result.error_code = 'unsupported_format';
+      result.error = 'Image document - OCR not available';
+      result.suggestion = 'This is an image file. To read text from images, OCR (Optical Character Recognition) would be needed. Please ask the user to describe the image content or provide it in text format.';
     } else {
-      // Last resort: treat it as text (e.g., when a download-style response lacks binary helpers)
-      const text = await response.text();
-      buffer = Buffer.from(text, 'utf-8');
+      // Other binary formats - explain what it is
+      result.error_code = 'unsupported_format';
+      result.error = 'Unsupported document format for text extraction';
+      result.suggestion = `This document type (${mimeType}) cannot be read directly. Supported formats: ${supportedFormats().join(', ')}. Please ask the user if they can provide the document in a supported format.`;
     }
-
+  } catch (extractionError) {
+    // Extraction failures are not cached; the next call gets a fresh attempt
     return {
-      content: buffer,
-      mimeType: mimeType,
-      contentDisposition,
+      ...result,
+      error_code: 'extraction_failed',
+      error: `Failed to extract text: ${extractionError.message}`,
+      suggestion: 'The document could not be processed. It may be corrupted or in an unsupported format.',
     };
   }
 
-  // For regular API calls, return JSON
-  return await response.json();
+  // Text missing what OCR would have read is neither cached nor counted
+  if (result.ocr_deferred) {
+    return { ...result, from_cache: false };
+  }
+
+  const counted = countDocumentTokens(cacheKey, result);
+  await documentCache.set(cacheKey, counted);
+  return { ...counted, from_cache: false };
+}
+
+// Adds the token count of a document's text, counted once per tokenizer, and remembers it
+function countDocumentTokens(cacheKey, doc) {
+  if (typeof doc.text !== 'string') return doc;
+  const counted = doc.tokenizer === tokens.name && Number.isInteger(doc.token_count)
+    ? doc
+    : { ...doc, token_count: tokens.count(doc.text), tokenizer: tokens.name };
+  documentTokenCounts.set(cacheKey, counted.token_count);
+  return counted;
+}
+
+/**
+ * Refuses a matter the access policy doesn't allow
+ * @param {Object} matter - Matter record (results=full, or a full search result)
+ * @throws {AccessDeniedError}
+ */
+function checkCaseAccess(matter) {
+  const denial = accessPolicy && accessPolicy.caseDenial(matter);
+  if (denial) {
+    throw new AccessDeniedError(denial.message, { policy: accessPolicy.name, reason: denial.reason });
+  }
+}
+
+/**
+ * Refuses a note the access policy excludes by type: one being read or changed, or a
+ * note type a write tool would create or change a note to
+ * @param {Object} note - Note record, or { note_type } of a note to be written
+ * @param {string} [message]
+ * @throws {AccessDeniedError}
+ */
+function checkNoteAccess(note, message = 'This note is of a type the access policy excludes') {
+  if (accessPolicy && !accessPolicy.allowsNote(note)) {
+    throw new AccessDeniedError(message, {
+      policy: accessPolicy.name,
+      reason: 'notes.deny_note_types',
+    });
+  }
+}
+
+/**
+ * Fetches a matter, refusing it when the access policy doesn't allow the case
+ * Notes of the types the policy excludes are removed from the record.
+ *
+ * @param {Object} session - The caller's session from getSession()
+ * @param {string} caseUuid
+ * @param {Object} [queryParams] - Defaults to results=full, which the policy's fields need
+ * @returns {Promise<Object>} The matter record
+ * @throws {AccessDeniedError}
+ */
+async function fetchMatter(session, caseUuid, queryParams = { results: 'full' }) {
+  const response = await callLegalserverAPI(session, `/api/v1/matters/${caseUuid}`, queryParams);
+  const matter = response?.data ?? response;
+  if (!accessPolicy) return matter;
+
+  checkCaseAccess(matter);
+  if (accessPolicy.restrictsNotes && Array.isArray(matter.notes)) {
+    return { ...matter, notes: matter.notes.filter(note => accessPolicy.allowsNote(note)) };
+  }
+  return matter;
+}
+
+/**
+ * Refuses a case the access policy doesn't allow, for tools that don't otherwise
+ * read the matter itself. Costs one matter fetch while the policy has case rules.
+ * @throws {AccessDeniedError}
+ */
+async function requireCaseAccess(session, caseUuid) {
+  if (!accessPolicy || !accessPolicy.restrictsCases) return;
+  await fetchMatter(session, caseUuid);
+}
+
+/**
+ * Fetches a matter's document list, remembering each document's version and matter
+ * Refuses cases the access policy doesn't allow, and leaves out documents in the
+ * folders it blocks.
+ *
+ * @param {Object} session - The caller's session from getSession()
+ * @param {string} matterUuid
+ * @returns {Promise<{ documents: Array, withheld: number }>} Document records (empty when
+ *   the case has none) and how many the access policy left out
+ * @throws {AccessDeniedError}
+ */
+async function listMatterDocuments(session, matterUuid) {
+  await requireCaseAccess(session, matterUuid);
+  const response = await callLegalserverAPI(session, `/api/v1/matters/${matterUuid}/documents`);
+  const documents = response?.data ?? response;
+  if (!Array.isArray(documents)) return { documents: [], withheld: 0 };
+
+  documents.forEach(doc => {
+    const owner = { matterUuid, folderId: doc.folder_id };
+    if (doc.internal_id !== undefined) documentOwners.set(documentKey(session, { document_id: doc.internal_id }), owner);
+    if (!doc.guid) return;
+    documentOwners.set(documentKey(session, { document_uuid: doc.guid }), owner);
+    if (doc.date_update) {
+      documentVersions.set(documentKey(session, { document_uuid: doc.guid }), doc.date_update);
+    }
+  });
+  const allowed = accessPolicy ? documents.filter(doc => accessPolicy.allowsDocument(doc)) : documents;
+  return { documents: allowed, withheld: documents.length - allowed.length };
+}
+
+/**
+ * Refuses a document the access policy doesn't allow: one in a blocked folder or on
+ * a denied case. Which case a document is on is only known once its case's documents
+ * have been listed, so while the policy restricts anything, documents whose case isn't
+ * known (and isn't given) are refused.
+ *
+ * @param {Object} session - The caller's session from getSession()
+ * @param {{ document_id?: string, document_uuid?: string }} ref
+ * @param {string} [caseUuid] - The case the caller says the document is on; its documents
+ *   are listed when the document's case isn't known
+ * @throws {AccessDeniedError}
+ */
+async function requireDocumentAccess(session, { document_id, document_uuid }, caseUuid) {
+  if (!accessPolicy || (!accessPolicy.restrictsCases && !accessPolicy.restrictsDocuments)) return;
+
+  const key = documentKey(session, { document_id, document_uuid });
+  const known = documentOwners.get(key) || (caseUuid && { matterUuid: caseUuid });
+  if (!known) {
+    throw new AccessDeniedError('The access policy only allows documents whose case it can check, and this document\'s case is not known', {
+      policy: accessPolicy.name,
+      reason: 'documents.unknown_case',
+      suggestion: 'Call get_document again with the document\'s case_uuid, or call list_case_documents for its case first.',
+    });
+  }
+
+  // Re-read the case's list: it checks the case, and the document may have moved folders
+  const { documents } = await listMatterDocuments(session, known.matterUuid);
+  const listed = documents.some(doc => (document_uuid ? doc.guid === document_uuid : String(doc.internal_id) === String(document_id)));
+  if (!listed) {
+    const owner = documentOwners.get(key);
+    const blocked = Boolean(owner) && owner.matterUuid === known.matterUuid && !accessPolicy.allowsDocument({ folder_id: owner.folderId });
+    throw new AccessDeniedError(blocked
+      ? 'This document is in a folder the access policy blocks'
+      : 'This document is no longer listed on its case, so the access policy cannot check it', {
+      policy: accessPolicy.name,
+      reason: blocked ? 'documents.deny_folder_ids' : 'documents.unknown_case',
+    });
+  }
+}
+
+/**
+ * The matter UUIDs among the given ones that the access policy allows
+ * Each matter is fetched once (a few at a time); without case rules all are allowed.
+ *
+ * @param {Object} session - The caller's session from getSession()
+ * @param {string[]} caseUuids
+ * @returns {Promise<Set<string>>}
+ */
+async function allowedCases(session, caseUuids) {
+  const unique = [...new Set(caseUuids.filter(Boolean))];
+  if (!accessPolicy || !accessPolicy.restrictsCases) return new Set(unique);
+
+  const decisions = await mapWithConcurrency(unique, DOCUMENT_FETCH_CONCURRENCY, async (caseUuid) => {
+    try {
+      await requireCaseAccess(session, caseUuid);
+      return true;
+    } catch (error) {
+      if (error instanceof AccessDeniedError) return false;
+      throw error;
+    }
+  });
+  return new Set(unique.filter((caseUuid, i) => decisions[i]));
+}
+
+// Filters search_matters accepts, mapped to GET /api/v1/matters query parameters
+// (see docs/CoreAPI.v1.yaml). Text filters are matched by LegalServer itself.
+const MATTER_SEARCH_FILTERS = {
+  first_name: { param: 'first', description: 'Client first name' },
+  last_name: { param: 'last', description: 'Client last name' },
+  date_of_birth: { param: 'date_of_birth', format: 'date', description: 'Client date of birth (YYYY-MM-DD)' },
+  phone_number: { param: 'phone_number', description: 'Any phone number of the client' },
+  client_email_address: { param: 'client_email_address', description: 'Client email address' },
+  case_number: { param: 'case_number', format: 'case-number', description: 'LegalServer case number' },
+  case_id: { param: 'case_id', type: 'integer', description: 'Matter ID number, as seen in the case URL' },
+  case_disposition: {
+    param: 'case_disposition',
+    enum: ['Open', 'Closed', 'Incomplete Intake', 'Pending', 'Rejected', 'Prescreen'],
+    description: 'Case disposition',
+  },
+  legal_problem_code: {
+    param: 'legal_problem_code',
+    lookup: 'problem_code',
+    description: 'Legal problem code, checked against the site\'s problem_code lookup (e.g. "63" or "63 Private Landlord/Tenant")',
+  },
+  intake_office: { param: 'intake_office', description: 'Intake office' },
+  intake_program: { param: 'intake_program', description: 'Intake program' },
+  cause_number: { param: 'cause_number', description: 'Cause number' },
+  docket: { param: 'litigations:docket', description: 'Court docket of a litigation record on the case' },
+  court_number: { param: 'litigations:court_number', description: 'Court number of a litigation record on the case' },
+  organization: { param: 'organization', description: 'Any organization related to the case' },
+  external_id: { param: 'external_id', description: 'External ID from a third-party system' },
+};
+
+const MATTER_SEARCH_MAX_PAGE_SIZE = 50;
+
+// Who or what list_tasks / list_events look at; at least one is required
+const CALENDAR_SCOPE_PROPERTIES = {
+  case_uuid: {
+    type: 'string',
+    format: 'uuid',
+    description: 'Only this case (UUID from search_case_by_number or search_matters)',
+  },
+  user: {
+    type: 'string',
+    description: 'Staff member assigned/attending, by name (e.g., "Ann Atty") or user UUID',
+  },
+  office: {
+    type: 'string',
+    description: 'Office or program name',
+  },
+};
+// Fields list_tasks and list_events results share (see their output schemas)
+const CALENDAR_RESULT_PROPERTIES = {
+  today: { type: 'string' },
+  scope: {
+    type: 'object',
+    properties: { case_uuid: { type: 'string' }, user: { type: 'string' }, office: { type: 'string' } },
+  },
+  from_date: { type: 'string' },
+  to_date: { type: 'string' },
+  result_count: { type: 'integer' },
+  more_results: { type: 'integer', description: 'Matches left out by max_results' },
+  withheld_by_access_policy: { type: 'integer', description: 'How many records the access policy left out' },
+  search_truncated: { type: 'boolean' },
+  lookups_unresolved: { type: 'array', items: { type: 'string' }, description: 'Lookups whose IDs are shown unlabelled' },
+  note: { type: 'string' },
+};
+const CALENDAR_DEFAULT_DAYS = 14;
+const CALENDAR_MAX_RESULTS = 200;
+
+/**
+ * Reads the shared arguments of list_tasks / list_events (already checked against their schema)
+ * @returns {{ from?: string, to: string, maxResults: number, today: string }}
+ * @throws {ToolError} invalid_arguments when no scope is given
+ */
+function parseCalendarArgs(args, defaultFrom) {
+  if (!args.case_uuid && !args.user && !args.office) {
+    throw new ToolError('invalid_arguments', 'Pass at least one of case_uuid, user or office');
+  }
+  const today = localToday();
+  return {
+    today,
+    from: args.from_date || defaultFrom,
+    to: args.to_date || addDays(today, CALENDAR_DEFAULT_DAYS),
+    maxResults: Math.min(args.max_results || 50, CALENDAR_MAX_RESULTS),
+  };
 }
 
 // =============================================================================
 // MCP SERVER SETUP
 // =============================================================================
 
-// Create a new MCP server instance
-// The server will handle communication with LibreChat
-const server = new Server(
-  {
-    name: 'legalserver-mcp',
-    version: '1.0.0',
-  },
-  {
-    capabilities: {
-      tools: {}, // This server provides tools that agents can use
+/**
+ * Creates a new MCP server instance with all handlers registered
+ * Stdio mode needs exactly one; HTTP mode creates one per connected session,
+ * because an SDK Server can only be attached to a single transport.
+ */
+function createServer() {
+  const server = new Server(
+    {
+      name: 'legalserver-mcp',
+      version: '1.0.0',
     },
-  }
-);
+    {
+      capabilities: {
+        tools: {}, // This server provides tools that agents can use
+        resources: { subscribe: true }, // Cases, notes and documents clients can attach
+        prompts: {}, // Workflow prompts with the case data already embedded
+      },
+    }
+  );
+
+  server.setRequestHandler(ListToolsRequestSchema, handleListTools);
+  server.setRequestHandler(CallToolRequestSchema, handleCallTool);
+
+  // Subscriptions belong to this session, so each server has its own watcher
+  const watcher = createDocumentWatcher({
+    intervalMs: RESOURCE_POLL_SECONDS * 1000,
+    listDocuments: async (session, matterUuid) => (await listMatterDocuments(session, matterUuid)).documents,
+    notify: uri => server.sendResourceUpdated({ uri }),
+  });
+
+  server.setRequestHandler(ListResourcesRequestSchema, handleListResources);
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({ resourceTemplates: RESOURCE_TEMPLATES }));
+  server.setRequestHandler(ReadResourceRequestSchema, auditedReadResource);
+  server.setRequestHandler(SubscribeRequestSchema, (request, extra) => handleSubscribe(watcher, request, extra));
+  server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    watcher.unsubscribe(request.params.uri);
+    return {};
+  });
+  server.onclose = () => watcher.close();
+
+  server.setRequestHandler(ListPromptsRequestSchema, async () => ({ prompts: promptLibrary.list() }));
+  server.setRequestHandler(GetPromptRequestSchema, handleGetPrompt);
+
+  return server;
+}
 
 // =============================================================================
 // TOOL DEFINITIONS
 // =============================================================================
 
+// Building blocks of the output schemas. A schema names the fields clients can rely on;
+// results may carry more (notes, the site they came from, a redaction report). Fields
+// passed through from LegalServer as they come are described but not typed.
+const STRING = { type: 'string' };
+const INTEGER = { type: 'integer' };
+const BOOLEAN = { type: 'boolean' };
+const OBJECT = { type: 'object' };
+const fromLegalServer = description => ({ description });
+const listOf = (properties, description) => ({ type: 'array', items: { type: 'object', properties }, description });
+const NOTE = { type: 'string', description: 'What to do next with this result' };
+const WITHHELD = { type: 'integer', description: 'How many records the access policy left out' };
+const SOURCES_UNAVAILABLE = listOf({ source: STRING, reason: STRING }, 'Sources that could not be read, and why');
+const SOURCES_INCOMPLETE = { type: 'array', items: STRING, description: 'Sources with more records than were read' };
+const LOOKUPS_UNRESOLVED = { type: 'array', items: STRING, description: 'Lookups that could not be read, whose IDs are shown unlabelled' };
+
 /**
- * Handler for the "list_tools" request
- * This tells LibreChat what tools are available and how to use them
+ * Output schema of a tool's successful results
+ * @param {Object} properties - The result's fields
+ * @param {string[]} [required] - Fields every result has, besides success
  */
-server.setRequestHandler(ListToolsRequestSchema, async () => {
+function resultSchema(properties, required = []) {
   return {
-    tools: [
-      {
-        name: "search_case_by_number",
-        description: "Search for a LegalServer case by case number to get its UUID. This UUID is required for other operations like retrieving documents.",
-        inputSchema: {
-          type: "object",
-          properties: {
-            case_number: {
-              type: "string",
-              description: "The LegalServer case number (e.g., '24-0539721')"
-            }
-          },
-          required: ["case_number"]
-        }
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: true },
+      ...properties,
+      redactions: { type: 'object', description: 'What the redaction policy replaced, when it replaced anything' },
+    },
+    required: ['success', ...required],
+  };
+}
+
+// What the write tools return: a preview with a confirmation token, or what was saved
+const WRITE_RESULT_SCHEMA = resultSchema({
+  tool: STRING,
+  dry_run: { type: 'boolean', description: 'true for a preview; nothing has been saved yet' },
+  case_uuid: STRING,
+  case_number: fromLegalServer('Case number'),
+  client_name: fromLegalServer('Client name'),
+  note_uuid: STRING,
+  current: { type: 'object', description: 'The note as it is now (update previews)' },
+  would_send: {
+    type: 'object',
+    properties: { method: STRING, endpoint: STRING, body: OBJECT },
+    description: 'The exact request a confirmed call sends',
+  },
+  confirmation_token: { type: 'string', description: 'Pass back with the same arguments to save the change' },
+  expires_at: STRING,
+  saved: fromLegalServer('The record as LegalServer saved it'),
+  note: NOTE,
+}, ['tool', 'dry_run']);
+
+/**
+ * Definitions of the tools this server offers: input schemas (checked by callTool
+ * before anything runs) and output schemas (describing each tool's structuredContent)
+ */
+function toolDefinitions() {
+  return [
+    {
+      name: "search_case_by_number",
+      description: "Search for a LegalServer case by case number to get its UUID. This UUID is required for other operations like retrieving documents.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          case_number: {
+            type: "string",
+            format: "case-number",
+            description: "The LegalServer case number (e.g., '24-0539721')"
+          }
+        },
+        required: ["case_number"]
       },
-      {
-        name: 'get_case_info',
-        description: 'Retrieve detailed information about a specific case including dates, location, problem codes, and notes. Requires the case UUID from search_case_by_number.',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            case_uuid: {
-              type: 'string',
-              description: 'The UUID of the case (obtained from search_case_by_number)',
-            },
+      outputSchema: resultSchema({
+        case_found: BOOLEAN,
+        matter_uuid: { type: 'string', description: 'The case UUID the other tools take' },
+        case_id: fromLegalServer('Matter ID number'),
+        case_number: fromLegalServer('Case number'),
+        client_name: fromLegalServer('Client name'),
+        case_disposition: fromLegalServer('Case disposition'),
+        date_opened: fromLegalServer('Date opened'),
+        legal_problem_code: fromLegalServer('Legal problem code'),
+        case_profile_url: fromLegalServer('Link to the case in LegalServer'),
+        note: NOTE,
+      }, ['matter_uuid']),
+    },
+    {
+      name: 'get_case_info',
+      description: 'Retrieve detailed information about a specific case including dates, location, problem codes, and notes. Requires the case UUID from search_case_by_number.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          case_uuid: {
+            type: 'string',
+            format: 'uuid',
+            description: 'The UUID of the case (obtained from search_case_by_number)',
+          },
+          profile: {
+            type: 'string',
+            enum: fieldProfiles.names,
+            description: `Which set of fields to return (default: ${fieldProfiles.defaultProfile}). ${fieldProfiles.names
+              .map(profileName => `"${profileName}": ${fieldProfiles.get(profileName).description}`)
+              .join('; ')}`,
           },
-          required: ['case_uuid'],
         },
+        required: ['case_uuid'],
       },
-      {
-        name: 'list_case_documents',
-        description: 'Retrieves a list of all documents associated with a specific case in Legalserver. Returns document IDs, names, titles, download URLs, and size/token estimates.',
-        inputSchema: {
+      outputSchema: resultSchema({
+        case_uuid: STRING,
+        profile: { type: 'string', description: 'The field profile used; it decides the remaining fields' },
+        lookups_unresolved: LOOKUPS_UNRESOLVED,
+      }, ['case_uuid', 'profile']),
+    },
+    {
+      name: 'list_case_documents',
+      description: 'Retrieves a list of all documents associated with a specific case in Legalserver. Returns document IDs, names, titles, download URLs, sizes, and token counts of documents already read.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          case_uuid: {
+            type: 'string',
+            format: 'uuid',
+            description: 'The UUID of the case/matter in Legalserver (e.g., 587cd44b-6198-4ba8-9a14-4d27fb157016)',
+          },
+        },
+        required: ['case_uuid'],
+      },
+      outputSchema: resultSchema({
+        case_uuid: STRING,
+        total_documents: INTEGER,
+        withheld_by_access_policy: WITHHELD,
+        documents: listOf({
+          guid: fromLegalServer('Document guid, for get_document'),
+          internal_id: fromLegalServer('Internal document ID'),
+          name: fromLegalServer('File name'),
+          title: fromLegalServer('Title'),
+          mime_type: fromLegalServer('MIME type'),
+          size_bytes: { type: ['integer', 'null'] },
+          token_count: { type: ['integer', 'null'], description: 'Tokens of text in the document, once it has been read' },
+          file_size: { type: ['string', 'null'] },
+          date_created: fromLegalServer('Upload date'),
+          date_updated: fromLegalServer('Last change; pass it to get_document'),
+          virus_scanned: fromLegalServer('Whether the file was scanned'),
+          virus_free: fromLegalServer('Whether the scan found it clean'),
+          folder_id: fromLegalServer('Folder'),
+        }),
+        note: NOTE,
+      }, ['case_uuid', 'documents']),
+    },
+    {
+      name: 'get_document',
+      description: 'Retrieve text from a LegalServer document. Prefer mode="preview", "chunk", or "search" to avoid loading entire files; use mode="full" only for small documents.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          document_id: {
+            type: 'string',
+            format: 'document-id',
+            description: 'The internal ID of the document (optional if document_uuid is provided)',
+          },
+          document_uuid: {
+            type: 'string',
+            format: 'uuid',
+            description: 'The UUID (guid) of the document (optional if document_id is provided). This is preferred - use the guid from list_case_documents.',
+          },
+          case_uuid: {
+            type: 'string',
+            format: 'uuid',
+            description: 'The UUID of the case the document is on. Optional; pass it when you have it, so the document can be checked against its case.',
+          },
+          mode: {
+            type: 'string',
+            enum: ['preview', 'chunk', 'page', 'search', 'full'],
+            description: 'How much content to return. Default: preview. Use "page" to read specific pages of a PDF.',
+          },
+          chunk_index: {
+            type: 'integer',
+            minimum: 0,
+            description: 'Zero-based chunk index when mode=chunk.',
+          },
+          pages: {
+            type: 'string',
+            minLength: 1,
+            description: 'Page numbers to return when mode=page, e.g. "4", "2-5" or "1,3,7-9". PDFs only.',
+          },
+          max_chars: {
+            type: 'integer',
+            minimum: 1,
+            description: 'Approximate maximum number of characters of text to return (default: 8000). Keep it the same across chunk calls for one document.',
+          },
+          overlap_chars: {
+            type: 'integer',
+            minimum: 0,
+            description: `Characters repeated from the end of the previous chunk (default: ${DOCUMENT_CHUNK_OVERLAP}). Chunks that start at a new page or heading never overlap.`,
+          },
+          search_query: {
+            type: 'string',
+            minLength: 1,
+            description: 'Search term(s) when mode=search; only matching snippets are returned.',
+          },
+          date_updated: {
+            type: 'string',
+            description: 'The date_updated value from list_case_documents. Lets repeated calls reuse the already-extracted text instead of downloading the file again.',
+          },
+        },
+      },
+      outputSchema: resultSchema({
+        document_identifier: { type: ['string', 'integer'], description: 'File name, or the ID the document was asked for by' },
+        mode: { type: 'string', enum: ['preview', 'chunk', 'page', 'search', 'full'] },
+        total_length: { type: 'integer', description: 'Characters of text in the whole document' },
+        token_count: { type: 'integer', description: `Tokens of text in the whole document (${tokens.name} tokenizer)` },
+        from_cache: BOOLEAN,
+        format: { description: 'What the text was extracted from' },
+        ocr: { type: 'object', description: 'OCR details, when the text came from OCR' },
+        attachments: { type: 'array', description: 'Attachments of an email, read along with it' },
+        total_pages: INTEGER,
+        approx_chunks: INTEGER,
+        chunk_index: INTEGER,
+        char_start: INTEGER,
+        char_end: INTEGER,
+        page_start: INTEGER,
+        page_end: INTEGER,
+        section: { description: 'Heading the chunk falls under' },
+        pages_returned: { type: 'array', items: INTEGER },
+        pages_not_returned: { type: 'array', items: INTEGER },
+        query: STRING,
+        snippet_count: INTEGER,
+        truncated: BOOLEAN,
+        text: STRING,
+        note: NOTE,
+      }, ['mode', 'text']),
+    },
+    {
+      name: 'search_case_documents',
+      description: 'Search the text of every document in a case at once and return the best-matching snippets, ranked by relevance, with the document guid, title and position of each. Use this to find where something is mentioned in a case file; then use get_document to read around a hit. Very large cases, large files and scans not read yet are skipped and listed in documents_skipped.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          case_uuid: {
+            type: 'string',
+            format: 'uuid',
+            description: 'The UUID of the case (obtained from search_case_by_number)',
+          },
+          query: {
+            type: 'string',
+            minLength: 1,
+            description: 'Words or phrase to search for (e.g., "repair request")',
+          },
+          max_results: {
+            type: 'integer',
+            minimum: 1,
+            description: 'Maximum number of snippets to return (default: 10, max: 50).',
+          },
+        },
+        required: ['case_uuid', 'query'],
+      },
+      outputSchema: resultSchema({
+        case_uuid: STRING,
+        query: STRING,
+        documents_searched: INTEGER,
+        documents_skipped: listOf({ guid: fromLegalServer('Document guid'), title: fromLegalServer('Title'), reason: STRING }, 'Documents not searched, and why'),
+        documents_partly_searched: listOf({ guid: fromLegalServer('Document guid'), title: fromLegalServer('Title'), reason: STRING }, 'Documents searched without the text only OCR could read'),
+        withheld_by_access_policy: WITHHELD,
+        result_count: INTEGER,
+        results: listOf({
+          rank: INTEGER,
+          score: { type: 'number' },
+          document_guid: fromLegalServer('Document guid, for get_document'),
+          document_title: fromLegalServer('Title'),
+          document_name: fromLegalServer('File name'),
+          char_offset: INTEGER,
+          char_length: INTEGER,
+          page_start: INTEGER,
+          page_end: INTEGER,
+          document_length: INTEGER,
+          ocr_confidence: { type: 'number' },
+          snippet: STRING,
+        }),
+        note: NOTE,
+      }, ['case_uuid', 'results']),
+    },
+    {
+      name: 'search_matters',
+      description: 'Find cases by client name, date of birth, phone, docket/cause number, disposition, problem code, office or program. Returns a compact, paged list of every matching case with its matter_uuid, so you can disambiguate when several match. Use search_case_by_number instead when you already have the exact case number.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          ...Object.fromEntries(Object.entries(MATTER_SEARCH_FILTERS).map(([filterName, filter]) => [
+            filterName,
+            {
+              type: filter.type || 'string',
+              ...(filter.enum ? { enum: filter.enum } : {}),
+              ...(filter.format ? { format: filter.format } : {}),
+              description: filter.description,
+            },
+          ])),
+          page: {
+            type: 'integer',
+            minimum: 1,
+            description: 'Page of results to return, starting at 1 (default: 1).',
+          },
+          page_size: {
+            type: 'integer',
+            minimum: 1,
+            description: `Results per page (default: 20, max: ${MATTER_SEARCH_MAX_PAGE_SIZE}).`,
+          },
+          sort: {
+            type: 'string',
+            enum: ['asc', 'desc'],
+            description: 'Order by when the case was created in LegalServer: "asc" oldest first (default), "desc" newest first.',
+          },
+        },
+      },
+      outputSchema: resultSchema({
+        filters: { type: 'object', description: 'The filters sent to LegalServer' },
+        page: INTEGER,
+        page_size: INTEGER,
+        total_results: fromLegalServer('Matching cases on all pages, when LegalServer says'),
+        total_pages: fromLegalServer('Pages of results, when known'),
+        has_more: BOOLEAN,
+        next_page: INTEGER,
+        result_count: INTEGER,
+        withheld_by_access_policy: WITHHELD,
+        lookups_unresolved: LOOKUPS_UNRESOLVED,
+        results: listOf({
+          matter_uuid: { type: 'string', description: 'The case UUID the other tools take' },
+          case_number: fromLegalServer('Case number'),
+          case_id: fromLegalServer('Matter ID number'),
+          client_name: fromLegalServer('Client name'),
+          case_disposition: fromLegalServer('Case disposition'),
+          legal_problem_code: fromLegalServer('Legal problem code'),
+          intake_office: fromLegalServer('Intake office'),
+          intake_program: fromLegalServer('Intake program'),
+          date_opened: fromLegalServer('Date opened'),
+          date_closed: fromLegalServer('Date closed'),
+          cause_number: fromLegalServer('Cause number'),
+          case_profile_url: fromLegalServer('Link to the case in LegalServer'),
+        }),
+        note: NOTE,
+      }, ['page', 'has_more', 'results']),
+    },
+    {
+      name: 'get_case_timeline',
+      description: 'Build one chronological timeline for a case from its key dates (intake, opened, closed, rejected), case notes, document uploads, calendar events, tasks/deadlines, and litigation milestones. Use this for timeline summaries instead of stitching together get_case_info and list_case_documents.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          case_uuid: {
+            type: 'string',
+            format: 'uuid',
+            description: 'The UUID of the case (obtained from search_case_by_number or search_matters)',
+          },
+          from_date: {
+            type: 'string',
+            format: 'date',
+            description: 'Only include entries on or after this date (YYYY-MM-DD).',
+          },
+          to_date: {
+            type: 'string',
+            format: 'date',
+            description: 'Only include entries on or before this date (YYYY-MM-DD).',
+          },
+          types: {
+            type: 'array',
+            items: { type: 'string', enum: TIMELINE_TYPES },
+            description: 'Only include these kinds of entries (default: all).',
+          },
+          order: {
+            type: 'string',
+            enum: ['asc', 'desc'],
+            description: '"asc" oldest first (default), "desc" newest first.',
+          },
+        },
+        required: ['case_uuid'],
+      },
+      outputSchema: resultSchema({
+        case_uuid: STRING,
+        case_number: fromLegalServer('Case number'),
+        client_name: fromLegalServer('Client name'),
+        from_date: STRING,
+        to_date: STRING,
+        types: { type: 'array', items: { type: 'string', enum: TIMELINE_TYPES } },
+        entry_count: INTEGER,
+        sources_unavailable: SOURCES_UNAVAILABLE,
+        sources_incomplete: SOURCES_INCOMPLETE,
+        lookups_unresolved: LOOKUPS_UNRESOLVED,
+        timeline: listOf({
+          date: STRING,
+          type: { type: 'string', enum: TIMELINE_TYPES },
+          title: fromLegalServer('What happened'),
+        }, 'Entries in date order'),
+        note: NOTE,
+      }, ['case_uuid', 'timeline']),
+    },
+    {
+      name: 'add_case_note',
+      description: 'Add a case note (e.g. a call summary or research memo) to a case. Two steps: call without confirmation_token to preview exactly what will be posted; after the user approves, call again with the same arguments and the returned confirmation_token to save it.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          case_uuid: {
+            type: 'string',
+            format: 'uuid',
+            description: 'The UUID of the case to add the note to',
+          },
+          subject: {
+            type: 'string',
+            minLength: 1,
+            description: 'Note subject line',
+          },
+          body: {
+            type: 'string',
+            minLength: 1,
+            description: 'Note text',
+          },
+          note_type: {
+            type: 'string',
+            minLength: 1,
+            description: 'A note type from the site\'s Note Type list (e.g., "Case Note"); checked before anything is posted',
+          },
+          date_posted: {
+            type: 'string',
+            format: 'date',
+            description: 'Date of the note (YYYY-MM-DD). Defaults to today; some sites don\'t allow changing it.',
+          },
+          is_html: {
+            type: 'boolean',
+            description: 'Whether body is HTML (default: false)',
+          },
+          confirmation_token: {
+            type: 'string',
+            description: 'Token from the preview call. Omit it to preview.',
+          },
+        },
+        required: ['case_uuid', 'subject', 'body', 'note_type'],
+      },
+      outputSchema: WRITE_RESULT_SCHEMA,
+    },
+    {
+      name: 'update_case_note',
+      description: 'Change the subject, body or note type of an existing case note. Two steps: call without confirmation_token to preview the current note and the change; after the user approves, call again with the same arguments and the returned confirmation_token to save it.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          case_uuid: {
+            type: 'string',
+            format: 'uuid',
+            description: 'The UUID of the case the note belongs to',
+          },
+          note_uuid: {
+            type: 'string',
+            format: 'uuid',
+            description: 'The note\'s uuid (from get_case_info)',
+          },
+          subject: {
+            type: 'string',
+            minLength: 1,
+            description: 'New subject line',
+          },
+          body: {
+            type: 'string',
+            minLength: 1,
+            description: 'New note text (replaces the whole body)',
+          },
+          note_type: {
+            type: 'string',
+            minLength: 1,
+            description: 'New note type from the site\'s Note Type list',
+          },
+          confirmation_token: {
+            type: 'string',
+            description: 'Token from the preview call. Omit it to preview.',
+          },
+        },
+        required: ['case_uuid', 'note_uuid'],
+      },
+      outputSchema: WRITE_RESULT_SCHEMA,
+    },
+    {
+      name: 'list_tasks',
+      description: 'List overdue and upcoming tasks and deadlines for a case, for a staff member, or for an office, with due dates, assignees, completion status and the related case number. Use this for questions like "what is due on my cases this week?" or to flag deadlines in a case summary.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          ...CALENDAR_SCOPE_PROPERTIES,
+          status: {
+            type: 'string',
+            enum: ['open', 'overdue', 'upcoming', 'completed', 'all'],
+            description: '"open" (default) = overdue plus upcoming; overdue tasks are included however old unless from_date is given.',
+          },
+          deadlines_only: {
+            type: 'boolean',
+            description: 'Only tasks marked as deadlines (default: false).',
+          },
+          from_date: {
+            type: 'string',
+            format: 'date',
+            description: 'Earliest due date (YYYY-MM-DD).',
+          },
+          to_date: {
+            type: 'string',
+            format: 'date',
+            description: `Latest due date (YYYY-MM-DD). Default: ${CALENDAR_DEFAULT_DAYS} days from today.`,
+          },
+          max_results: {
+            type: 'integer',
+            minimum: 1,
+            description: `Maximum tasks to return (default: 50, max: ${CALENDAR_MAX_RESULTS}).`,
+          },
+        },
+      },
+      outputSchema: resultSchema({
+        ...CALENDAR_RESULT_PROPERTIES,
+        status: STRING,
+        counts: {
           type: 'object',
-          properties: {
-            case_uuid: {
-              type: 'string',
-              description: 'The UUID of the case/matter in Legalserver (e.g., 587cd44b-6198-4ba8-9a14-4d27fb157016)',
+          properties: { overdue: INTEGER, upcoming: INTEGER, completed: INTEGER },
+        },
+        tasks: listOf({
+          status: { type: 'string', enum: ['overdue', 'upcoming', 'completed'] },
+          case_uuid: fromLegalServer('Case the task is on'),
+          case_number: fromLegalServer('Case number'),
+        }),
+      }, ['tasks']),
+    },
+    {
+      name: 'list_events',
+      description: 'List calendar events (hearings, appointments, court dates) for a case, for a staff member, or for an office over a date window, with times, court, judge, attendees and related case numbers.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          ...CALENDAR_SCOPE_PROPERTIES,
+          court_only: {
+            type: 'boolean',
+            description: 'Only events with a court (default: false).',
+          },
+          from_date: {
+            type: 'string',
+            format: 'date',
+            description: 'Start of the window (YYYY-MM-DD). Default: today.',
+          },
+          to_date: {
+            type: 'string',
+            format: 'date',
+            description: `End of the window (YYYY-MM-DD). Default: ${CALENDAR_DEFAULT_DAYS} days from today.`,
+          },
+          max_results: {
+            type: 'integer',
+            minimum: 1,
+            description: `Maximum events to return (default: 50, max: ${CALENDAR_MAX_RESULTS}).`,
+          },
+        },
+      },
+      outputSchema: resultSchema({
+        ...CALENDAR_RESULT_PROPERTIES,
+        events: listOf({
+          cases: listOf({ case_uuid: fromLegalServer('Case UUID'), case_number: fromLegalServer('Case number') }),
+        }),
+      }, ['events']),
+    },
+    {
+      name: 'get_case_parties',
+      description: 'Get everyone connected to a case in one role-labelled list: the client (with aliases), adverse parties, non-adverse parties (household members, witnesses), and case contacts such as opposing counsel, judges and caseworkers. Includes names, relationships, phone numbers, emails and addresses, for drafting correspondence to the right people and spotting conflicts.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          case_uuid: {
+            type: 'string',
+            format: 'uuid',
+            description: 'The UUID of the case (from search_case_by_number or search_matters)',
+          },
+          roles: {
+            type: 'array',
+            items: { type: 'string', enum: PARTY_ROLES },
+            description: `Only these roles (default: all). One or more of: ${PARTY_ROLES.join(', ')}`,
+          },
+          include_inactive: {
+            type: 'boolean',
+            description: 'Include parties marked inactive (default: false)',
+          },
+        },
+        required: ['case_uuid'],
+      },
+      outputSchema: resultSchema({
+        case_uuid: STRING,
+        case_number: fromLegalServer('Case number'),
+        party_count: INTEGER,
+        counts: { type: 'object', description: 'Parties per role' },
+        sources_unavailable: SOURCES_UNAVAILABLE,
+        sources_incomplete: SOURCES_INCOMPLETE,
+        lookups_unresolved: LOOKUPS_UNRESOLVED,
+        parties: listOf({
+          role: { type: 'string', enum: PARTY_ROLES },
+          name: fromLegalServer('Name'),
+        }),
+        note: NOTE,
+      }, ['case_uuid', 'parties']),
+    },
+    {
+      name: 'run_conflict_check',
+      description: 'Pre-screen a new intake for conflicts of interest before a case is opened. Runs LegalServer\'s conflict check for each person and fuzzy-matches every party against the clients and adverse parties of existing cases, returning a ranked list of potential conflicts with the matching case and an explanation. A staff member must still review and clear conflicts.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          parties: {
+            type: 'array',
+            minItems: 1,
+            description: 'Everyone on the new intake: the prospective client, adverse parties, and anyone else involved',
+            items: {
+              type: 'object',
+              properties: {
+                role: {
+                  type: 'string',
+                  enum: ['client', 'adverse_party', 'other'],
+                  description: 'Role on the new intake',
+                },
+                first: { type: 'string', description: 'First name' },
+                middle: { type: 'string', description: 'Middle name' },
+                last: { type: 'string', description: 'Last name' },
+                organization: { type: 'string', description: 'Organization name, for businesses and agencies (e.g. a landlord company)' },
+                dob: { type: 'string', format: 'date', description: 'Date of birth (YYYY-MM-DD)' },
+                phones: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Known phone numbers',
+                },
+                a_number: { type: 'string', description: 'A-Number / visa number' },
+              },
+              required: ['role'],
             },
           },
-          required: ['case_uuid'],
+          scan_matters: {
+            type: 'integer',
+            minimum: 1,
+            description: `How many of the most recent cases to compare against (default: ${CONFLICT_SCAN_MATTERS}, max: 2000)`,
+          },
         },
+        required: ['parties'],
       },
-      {
-        name: 'get_document',
-        description: 'Retrieve text from a LegalServer document. Prefer mode="preview", "chunk", or "search" to avoid loading entire files; use mode="full" only for small documents.',
-        inputSchema: {
+      outputSchema: resultSchema({
+        parties_checked: listOf({ name: STRING, role: STRING }),
+        matters_compared: INTEGER,
+        recent_matters_fully_scanned: BOOLEAN,
+        summary: STRING,
+        conflict_check_scores: listOf({
+          party: STRING,
+          party_role: STRING,
+          score: fromLegalServer('LegalServer\'s conflict score'),
+          interval: fromLegalServer('Score interval'),
+          message: fromLegalServer('LegalServer\'s explanation'),
+        }, 'LegalServer\'s own conflict check, per person'),
+        potential_conflicts: listOf({
+          rank: INTEGER,
+          source: { type: 'string', enum: ['legalserver_conflict_check', 'party_match'] },
+          party: STRING,
+          party_role: STRING,
+          matched_name: fromLegalServer('Who matched on the existing case'),
+          matched_role: STRING,
+          level: { type: 'string', enum: ['highest', 'high', 'low', 'lowest'] },
+          score: { type: 'number' },
+          case_number: fromLegalServer('Case number'),
+          case_uuid: STRING,
+          restricted_case: { type: 'boolean', description: 'The match is on a case the access policy keeps from this assistant' },
+          explanation: STRING,
+        }, 'Ranked matches, most serious first'),
+        sources_unavailable: { type: 'array', items: OBJECT, description: 'Checks and searches that failed, and why' },
+        note: NOTE,
+      }, ['potential_conflicts']),
+    },
+    {
+      name: 'get_case_litigation',
+      description: 'Get the court side of a case: which court and docket it is in (court, court number, docket, caption, judge, cause of action, outcome and key dates), upcoming and past hearings, service phases with their decisions, and criminal charges (statute, penalty class, outcome, disposition) for expungement work. Lookup values are shown as labels.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          case_uuid: {
+            type: 'string',
+            format: 'uuid',
+            description: 'The UUID of the case (from search_case_by_number or search_matters)',
+          },
+          sections: {
+            type: 'array',
+            items: { type: 'string', enum: LITIGATION_SECTIONS },
+            description: `Only these sections (default: all). One or more of: ${LITIGATION_SECTIONS.join(', ')}`,
+          },
+        },
+        required: ['case_uuid'],
+      },
+      outputSchema: resultSchema({
+        case_uuid: STRING,
+        case_number: fromLegalServer('Case number'),
+        cause_number: fromLegalServer('Cause number'),
+        legal_problem_code: fromLegalServer('Legal problem code'),
+        ...Object.fromEntries(LITIGATION_SECTIONS.map(section => [section, { type: 'array', items: OBJECT }])),
+        sources_unavailable: SOURCES_UNAVAILABLE,
+        sources_incomplete: SOURCES_INCOMPLETE,
+        lookups_unresolved: LOOKUPS_UNRESOLVED,
+        note: NOTE,
+      }, ['case_uuid']),
+    },
+    {
+      name: 'get_case_eligibility',
+      description: 'Summarize a case\'s household income and financial eligibility: every income record annualized, totals per household member and for the household, and the household\'s percentage of the Federal Poverty Guidelines compared with a threshold (e.g. 125%). Flags missing, stale or unreadable income records. Use for "is this client still under 125% of poverty?"',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          case_uuid: {
+            type: 'string',
+            format: 'uuid',
+            description: 'The UUID of the case (from search_case_by_number or search_matters)',
+          },
+          threshold_percent: {
+            type: 'number',
+            exclusiveMinimum: 0,
+            description: `Eligibility ceiling as a percentage of the guidelines (default: ${povertyGuidelines.defaultThreshold})`,
+          },
+          household_size: {
+            type: 'integer',
+            minimum: 1,
+            description: 'Override the household size recorded on the case (adults + children)',
+          },
+          region: {
+            type: 'string',
+            enum: REGIONS,
+            description: 'Guideline region (default: from the client\'s home state)',
+          },
+          as_of: {
+            type: 'string',
+            format: 'date',
+            description: 'Judge eligibility as of this date (YYYY-MM-DD), which picks the guideline year (default: today)',
+          },
+        },
+        required: ['case_uuid'],
+      },
+      outputSchema: resultSchema({
+        case_uuid: STRING,
+        case_number: fromLegalServer('Case number'),
+        as_of: STRING,
+        household: OBJECT,
+        annual_household_income: { type: 'number' },
+        income_by_member: listOf({ member: STRING, annual_total: { type: 'number' }, records: INTEGER }),
+        eligibility: {
           type: 'object',
           properties: {
-            document_id: {
-              type: 'string',
-              description: 'The internal ID of the document (optional if document_uuid is provided)',
-            },
-            document_uuid: {
-              type: 'string',
-              description: 'The UUID (guid) of the document (optional if document_id is provided). This is preferred - use the guid from list_case_documents.',
-            },
-            mode: {
-              type: 'string',
-              enum: ['preview', 'chunk', 'search', 'full'],
-              description: 'How much content to return. Default: preview.',
-            },
-            chunk_index: {
-              type: 'integer',
-              description: 'Zero-based chunk index when mode=chunk.',
-            },
-            max_chars: {
-              type: 'integer',
-              description: 'Approximate maximum number of characters of text to return (default: 8000).',
-            },
-            search_query: {
-              type: 'string',
-              description: 'Search term(s) when mode=search; only matching snippets are returned.',
-            },
+            guideline_year: INTEGER,
+            region: { type: 'string', enum: REGIONS },
+            household_size: INTEGER,
+            household_size_source: { type: 'string', enum: ['argument', 'case'] },
+            guideline_amount: { type: 'number' },
+            percentage_of_poverty: { type: 'number' },
+            threshold_percent: { type: 'number' },
+            threshold_amount: { type: 'number' },
+            within_threshold: BOOLEAN,
+            legalserver_percentage_of_poverty: { type: 'number' },
+          },
+          description: 'Left out when the household size is unknown',
+        },
+        flags: listOf({ flag: STRING, detail: STRING }),
+        income_records: { type: 'array', items: OBJECT },
+        records_incomplete: BOOLEAN,
+        lookups_unresolved: LOOKUPS_UNRESOLVED,
+      }, ['case_uuid', 'flags']),
+    },
+    {
+      name: 'list_lookup_values',
+      description: 'List the allowed values of a LegalServer lookup table, such as problem_code, note_type, matter_close_reason, county, language or charge_outcome. Use this instead of guessing codes before searching or writing, or to explain what a coded value means.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          lookup: {
+            type: 'string',
+            minLength: 1,
+            description: 'Lookup name, e.g. "problem_code", "note_type", "matter_close_reason", "county", "language"',
+          },
+          search: {
+            type: 'string',
+            description: 'Only values whose name contains this text',
+          },
+          include_inactive: {
+            type: 'boolean',
+            description: 'Include retired values (default: false)',
+          },
+          refresh: {
+            type: 'boolean',
+            description: 'Re-read the table from LegalServer instead of the cache (default: false)',
           },
         },
+        required: ['lookup'],
       },
-    ],
+      outputSchema: resultSchema({
+        lookup: STRING,
+        search: STRING,
+        value_count: INTEGER,
+        fetched_at: STRING,
+        from_cache: BOOLEAN,
+        values: listOf({
+          name: STRING,
+          id: fromLegalServer('Lookup value ID'),
+          active: { type: 'boolean', description: 'false for retired values' },
+          note: fromLegalServer('Note'),
+          uuid: fromLegalServer('Lookup value UUID'),
+        }),
+      }, ['lookup', 'values']),
+    },
+  ].map(withCursorArgument).map(withSiteArgument);
+}
+
+/**
+ * Handler for the "list_tools" request
+ * This tells LibreChat what tools are available and how to use them
+ */
+async function handleListTools() {
+  return {
+    tools: toolDefinitions().filter(tool => !(READ_ONLY_MODE && WRITE_TOOLS.includes(tool.name))),
   };
-});
+}
+
+/**
+ * Adds the optional `cursor` argument, which continues a result that was cut to fit the
+ * response token budget, to the read tools, and where results were cut to their output schemas
+ */
+function withCursorArgument(tool) {
+  if (WRITE_TOOLS.includes(tool.name)) return tool;
+  return {
+    ...tool,
+    inputSchema: {
+      ...tool.inputSchema,
+      properties: {
+        ...tool.inputSchema.properties,
+        cursor: {
+          type: 'string',
+          minLength: 1,
+          description: 'next_cursor from an earlier result of this tool that was cut to fit the response token budget; returns the next part. '
+            + 'The cursor carries the earlier call\'s arguments, so other arguments are ignored.',
+        },
+      },
+    },
+    outputSchema: {
+      ...tool.outputSchema,
+      properties: {
+        ...tool.outputSchema.properties,
+        continuation: {
+          type: 'object',
+          properties: {
+            field: STRING,
+            unit: { type: 'string', enum: ['items', 'characters'] },
+            from: INTEGER,
+            to: INTEGER,
+            total: INTEGER,
+            note: NOTE,
+          },
+          description: 'Which part of a list or text this result holds, when it was cut to fit the response token budget or continues one that was',
+        },
+        next_cursor: { type: 'string', description: 'Pass as cursor to the same tool for the rest of the result' },
+      },
+    },
+  };
+}
+
+/**
+ * Adds the optional `site` argument to a tool's input schema, and the `site` its
+ * results are labelled with to its output schema, when the server talks to more
+ * than one LegalServer site
+ */
+function withSiteArgument(tool) {
+  if (!sites.multiple) return tool;
+  return {
+    ...tool,
+    outputSchema: {
+      ...tool.outputSchema,
+      properties: {
+        site: { type: 'string', enum: sites.names, description: 'The site this result came from' },
+        ...tool.outputSchema.properties,
+      },
+    },
+    inputSchema: {
+      ...tool.inputSchema,
+      properties: {
+        ...tool.inputSchema.properties,
+        site: {
+          type: 'string',
+          enum: sites.names,
+          description: `LegalServer site to work on: ${sites.list().map(site => `"${site.name}" (${site.title})`).join(', ')}. `
+            + `Default: "${sites.defaultSite.name}". Case and document IDs belong to one site, so pass the site a result came from.`,
+        },
+      },
+    },
+  };
+}
+
+/**
+ * Labels a tool result with the site it came from, when there are several
+ * JSON text blocks get a leading "site" field.
+ */
+function qualifyResult(result, site) {
+  if (!sites.multiple || !site) return result;
+  return {
+    ...result,
+    content: (result.content || []).map(block => {
+      if (block.type !== 'text') return block;
+      try {
+        const value = JSON.parse(block.text);
+        if (!value || typeof value !== 'object' || Array.isArray(value)) return block;
+        return { ...block, text: JSON.stringify({ site: site.name, ...value }, null, 2) };
+      } catch (error) {
+        return block;
+      }
+    }),
+  };
+}
 
 // =============================================================================
 // TOOL EXECUTION
@@ -297,23 +2030,157 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
  * Handler for when a tool is actually called by the AI agent
  * This is where we do the actual work
  */
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: args } = request.params;
+async function handleCallTool(request, extra) {
+  const { name } = request.params;
+
+  // A cursor stands in for the arguments of the call whose result it continues
+  let call = request;
+  let position;
+  let result;
+  try {
+    ({ call, position } = resolveCursor(request));
+  } catch (error) {
+    result = errorResult(name, error);
+  }
+  const args = call.params.arguments || {};
+  const site = sites.find(args.site);
+  if (!result) {
+    result = qualifyResult(await callTool(call, extra), site);
+  }
+
+  // Nothing leaves the server without passing the redaction policy. The result is fitted
+  // to the token budget after that, so the markers it adds count against the budget and
+  // a cut can't split an SSN or the like where the detectors would miss its halves.
+  const redacted = fitToBudget(redactor ? redactor.redactToolResult(result) : result, name, args, position);
+
+  // ...nor without being audited: a result that can't be recorded is withheld
+  const parsed = parseResultText(result);
+  try {
+    await recordAudit(extra, {
+      method: 'tools/call',
+      site: site ? site.name : args.site,
+      tool: name,
+      arguments: args,
+    }, {
+      references: [args, parsed],
+      response_bytes: (redacted.content || []).reduce((total, block) => total + Buffer.byteLength(block.text || ''), 0),
+      error: result.isError ? parsed[0]?.error?.message || 'error' : undefined,
+    });
+  } catch (error) {
+    console.error(`Audit log write failed: ${error.message}`);
+    return errorResult(
+      name,
+      new ToolError('audit_unavailable', 'The result was withheld because the audit log could not be written.')
+    );
+  }
+
+  return withStructuredContent(redacted);
+}
+
+/**
+ * The call a tool request stands for: requests with a cursor run the call the cursor
+ * came from, and continue its result where the cursor says
+ * @throws {ToolError} invalid_arguments, for cursors this server didn't issue for the tool
+ */
+function resolveCursor(request) {
+  const cursor = request.params.arguments?.cursor;
+  if (cursor === undefined || cursor === null || cursor === '') return { call: request };
+  const { args, field, offset, inner } = decodeCursor(cursor, request.params.name);
+  return {
+    call: { ...request, params: { ...request.params, arguments: args } },
+    position: { field, offset, inner },
+  };
+}
+
+/**
+ * Fits a read tool's successful result to the response token budget; position
+ * (from a cursor) continues a result that was cut before
+ */
+function fitToBudget(result, tool, args, position) {
+  if (result.isError || WRITE_TOOLS.includes(tool)) return result;
+  const [value] = parseResultText(result);
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return result;
+  const fitted = responseBudget.fit(value, { tool, args, position });
+  if (fitted === value) return result;
+  return {
+    ...result,
+    content: [{ type: 'text', text: JSON.stringify(fitted, null, 2) }, ...result.content.slice(1)],
+  };
+}
+
+/**
+ * Adds the JSON of a successful result as its structuredContent, which the tool's
+ * output schema describes; the text block stays for clients that only read text
+ */
+function withStructuredContent(result) {
+  if (result.isError) return result;
+  const [value] = parseResultText(result);
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return result;
+  return { ...result, structuredContent: value };
+}
+
+/**
+ * The result of a failed tool call, in the shape every tool and failure shares
+ * (see lib/tool-errors.js)
+ */
+function errorResult(tool, error) {
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify({ success: false, tool, error: describeToolError(error) }, null, 2),
+      },
+    ],
+    isError: true,
+  };
+}
+
+// A case without documents to work on: none uploaded, or all in folders the access policy blocks
+function noDocumentsError(withheld) {
+  return withheld
+    ? new ToolError('no_documents', `All ${withheld} document(s) on this case are in folders the access policy blocks.`, {
+      suggestion: 'These documents are not available to this assistant.',
+      details: { withheld_by_access_policy: withheld },
+    })
+    : new ToolError('no_documents', 'No documents were found for this case.');
+}
+
+/**
+ * Runs the requested tool and builds its (unredacted) result
+ */
+async function callTool(request, extra) {
+  const { name } = request.params;
 
   try {
+    const tool = toolDefinitions().find(definition => definition.name === name);
+    if (!tool) {
+      throw new ToolError('unknown_tool', `Unknown tool: ${name}`);
+    }
+    // Write tools stay unavailable on read-only deployments, even if called by name
+    if (READ_ONLY_MODE && WRITE_TOOLS.includes(name)) {
+      throw new ToolError('read_only', `${name} is disabled: this server is running in read-only mode (READ_ONLY_MODE=true)`);
+    }
+
+    // Arguments are checked against the tool's input schema before anything is sent to LegalServer
+    const { args, problems } = validateArguments(tool.inputSchema, request.params.arguments, { formats: ARGUMENT_FORMATS });
+    if (problems.length > 0) {
+      throw new ToolError('invalid_arguments', `Invalid arguments: ${problems.map(problem => problem.message).join('; ')}`, {
+        details: { problems },
+      });
+    }
+
+    // Every LegalServer call below runs with the caller's own credentials on the chosen site
+    const session = getSession(extra, args?.site);
+
     // ============================================
     // TOOL 1: Search for a case by case number
     // ============================================
     if (name === 'search_case_by_number') {
-      const { case_number } = args;
-
-      // Validate required parameter
-      if (!case_number) {
-        throw new Error('case_number is required');
-      }
+      const case_number = args.case_number.trim();
 
       // Call the Legalserver search API
       const response = await callLegalserverAPI(
+        session,
         '/api/v1/matters',
         {
           case_number: case_number,
@@ -324,22 +2191,14 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
       // Check if we found the case
       if (!response.data || response.data.length === 0) {
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify({
-                success: false,
-                error: `No case found with case number: ${case_number}`,
-                suggestion: 'Please verify the case number and try again.'
-              }, null, 2),
-            },
-          ],
-        };
+        throw new ToolError('not_found', `No case found with case number: ${case_number}`, {
+          suggestion: 'Please verify the case number and try again.',
+        });
       }
 
-      // Get the case data (first result)
+      // Get the case data (first result); a case the access policy denies is refused
       const caseData = response.data[0];
+      checkCaseAccess(caseData);
 
       // Return formatted case information
       return {
@@ -365,537 +2224,1774 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
     }
 
     // ============================================
-    // TOOL 2: Get detailed case information
+    // TOOL 2: Get detailed case information
+    // ============================================
+    if (name === 'get_case_info') {
+      const { case_uuid } = args;
+
+      // Which fields to return is decided by the field profile (config/field-profiles.yaml)
+      const profile = fieldProfiles.get(args.profile);
+
+      const queryParams = {
+        results: 'full',  // Get full results
+      };
+      if (profile.customFields.length > 0) {
+        queryParams.custom_fields = profile.customFields;
+      }
+
+      // Call the LegalServer API to get full case details (checked against the access policy)
+      const unresolved = [];
+      const caseData = await labelLookupIds(
+        session,
+        await fetchMatter(session, case_uuid, queryParams),
+        { ...MATTER_LOOKUP_FIELDS, ...profile.lookups },
+        unresolved
+      );
+
+      const filteredResponse = {
+        success: true,
+        case_uuid: case_uuid,
+        profile: profile.name,
+        ...fieldProfiles.apply(profile, caseData),
+        lookups_unresolved: unresolved.length ? unresolved : undefined,
+      };
+
+      // Return the curated data
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(filteredResponse, null, 2),
+          },
+        ],
+      };
+    }
+
+    // ============================================
+    // TOOL 3: List all documents for a case
+    // ============================================
+    if (name === 'list_case_documents') {
+      const { case_uuid } = args;
+
+      // Get the documents list; each document's version is remembered so get_document can reuse cached text
+      const { documents, withheld } = await listMatterDocuments(session, case_uuid);
+
+      if (documents.length === 0) {
+        throw noDocumentsError(withheld);
+      }
+
+      // Format the response for the AI
+      const formattedResponse = {
+        success: true,
+        case_uuid: case_uuid,
+        total_documents: documents.length,
+        withheld_by_access_policy: withheld || undefined,
+        documents: documents.map(doc => {
+          const sizeBytes = doc.disk_file_size || doc.file_size || null;
+          // File size says little about how much text a document holds, so tokens are only
+          // reported once the text has been extracted
+          const tokenCount = documentTokenCounts.get(documentCacheKey(session, {
+            document_id: doc.guid ? undefined : doc.internal_id,
+            document_uuid: doc.guid,
+            date_updated: doc.date_update,
+          }));
+
+          return {
+            // Document identifiers (use guid for get_document)
+            guid: doc.guid,
+            internal_id: doc.internal_id,
+
+            // Document metadata
+            name: doc.name,
+            title: doc.title,
+            mime_type: doc.mime_type,
+            size_bytes: sizeBytes,
+            token_count: tokenCount ?? null,
+            file_size: sizeBytes ? `${(sizeBytes / 1024).toFixed(2)} KB` : null,
+
+            // Dates
+            date_created: doc.date_create,
+            date_updated: doc.date_update,
+
+            // Security info
+            virus_scanned: doc.virus_scanned,
+            virus_free: doc.virus_free,
+
+            // Organization
+            folder_id: doc.folder_id,
+          };
+        }),
+        note: 'Use the guid field (and date_updated) with get_document to retrieve document content. token_count is null for documents not read yet; get_document reports it.'
+      };
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(formattedResponse, null, 2),
+          },
+        ],
+      };
+    }
+
+    // ============================================
+    // TOOL 4: Get actual document content
+    // ============================================
+    if (name === 'get_document') {
+      const { document_id, document_uuid } = args;
+      const mode = args.mode || 'preview';
+
+      // Validate that we have at least one identifier, and what the mode needs
+      if (!document_id && !document_uuid) {
+        throw new ToolError('invalid_arguments', 'Either document_id or document_uuid is required');
+      }
+      if (mode === 'search' && !args.search_query) {
+        throw new ToolError('invalid_arguments', 'search_query is required when mode is "search".');
+      }
+      if (mode === 'page' && !args.pages) {
+        throw new ToolError('invalid_arguments', 'pages is required when mode is "page" (e.g., "4" or "2-5")');
+      }
+      await requireDocumentAccess(session, { document_id, document_uuid }, args.case_uuid);
+
+      const doc = await loadDocumentText(session, {
+        document_id,
+        document_uuid,
+        date_updated: args.date_updated,
+      });
+      const identifier = doc.identifier;
+
+      // Images and unsupported formats, or extraction failures
+      if (doc.error) {
+        throw new ToolError(doc.error_code || 'unsupported_format', doc.error, {
+          suggestion: doc.suggestion,
+          details: { document_identifier: identifier, mime_type: doc.mime_type, size_bytes: doc.size_bytes },
+        });
+      }
+
+      const fullText = doc.text;
+      const maxChars = args.max_chars || 8000;
+
+      if (!fullText || !fullText.trim()) {
+        throw new ToolError('no_text', 'No text content could be extracted from this document.', {
+          details: { document_identifier: identifier, format: doc.format, ocr: doc.ocr, attachments: doc.attachments },
+        });
+      }
+
+      const totalLength = fullText.length;
+      const overlapChars = args.overlap_chars ?? DOCUMENT_CHUNK_OVERLAP;
+      const chunks = chunkDocument(fullText, {
+        maxChars,
+        overlap: overlapChars,
+        pages: doc.pages,
+        headings: doc.headings,
+      });
+      const totalPages = doc.pages && doc.pages.length ? doc.pages.length : undefined;
+      const tokenCount = doc.token_count;
+
+      if (mode === 'full' && tokenCount > DOCUMENT_FULL_MAX_TOKENS) {
+        throw new ToolError('too_large', 'Document too large for full retrieval in a single call.', {
+          suggestion: 'Call get_document with mode="preview", "chunk", "page", or "search" instead.',
+          details: { document_identifier: identifier, token_count: tokenCount, max_tokens: DOCUMENT_FULL_MAX_TOKENS },
+        });
+      }
+
+      if (mode === 'preview') {
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              document_identifier: identifier,
+              mode: 'preview',
+              total_length: totalLength,
+              token_count: tokenCount,
+              from_cache: doc.from_cache,
+              format: doc.format,
+              ocr: doc.ocr,
+              attachments: doc.attachments,
+              total_pages: totalPages,
+              approx_chunks: chunks.length,
+              ...describeChunk(chunks[0]),
+              note: totalPages
+                ? 'To retrieve more content, call get_document with mode="chunk" and a chunk_index between 0 and approx_chunks - 1, or mode="page" with the page numbers to cite.'
+                : 'To retrieve more content, call get_document with mode="chunk" and a chunk_index between 0 and approx_chunks - 1.'
+            }, null, 2)
+          }]
+        };
+      }
+
+      if (mode === 'chunk') {
+        const idx = args.chunk_index ?? 0;
+
+        if (idx >= chunks.length) {
+          throw new ToolError('invalid_arguments', `chunk_index ${idx} out of range (0-${chunks.length - 1})`, {
+            details: { document_identifier: identifier, total_length: totalLength, approx_chunks: chunks.length },
+          });
+        }
+
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              document_identifier: identifier,
+              mode: 'chunk',
+              total_length: totalLength,
+              token_count: tokenCount,
+              from_cache: doc.from_cache,
+              format: doc.format,
+              ocr: doc.ocr,
+              attachments: doc.attachments,
+              total_pages: totalPages,
+              approx_chunks: chunks.length,
+              ...describeChunk(chunks[idx]),
+            }, null, 2)
+          }]
+        };
+      }
+
+      if (mode === 'page') {
+        if (!totalPages) {
+          throw new ToolError('invalid_arguments', 'This document has no page information; only PDFs can be read by page.', {
+            suggestion: 'Call get_document with mode="chunk" instead; chunks report their character offsets and section.',
+            details: { document_identifier: identifier },
+          });
+        }
+
+        const requestedPages = parsePageSelection(args.pages, totalPages);
+        const selected = doc.pages.filter(page => requestedPages.includes(page.num));
+
+        // Return whole pages until max_chars is reached, always including at least one
+        const returned = [];
+        let length = 0;
+        for (const page of selected) {
+          const pageLength = page.end - page.start;
+          if (returned.length > 0 && length + pageLength > maxChars) break;
+          returned.push(page);
+          length += pageLength;
+        }
+        const notReturned = selected.slice(returned.length).map(page => page.num);
+
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              document_identifier: identifier,
+              mode: 'page',
+              total_length: totalLength,
+              token_count: tokenCount,
+              from_cache: doc.from_cache,
+              format: doc.format,
+              ocr: doc.ocr,
+              total_pages: totalPages,
+              pages_returned: returned.map(page => page.num),
+              pages_not_returned: notReturned.length ? notReturned : undefined,
+              char_start: returned[0].start,
+              char_end: returned[returned.length - 1].end,
+              text: returned.map(page => fullText.slice(page.start, page.end)).join(''),
+              note: notReturned.length
+                ? `Stopped at max_chars; request pages ${notReturned.join(',')} in another call.`
+                : undefined,
+            }, null, 2)
+          }]
+        };
+      }
+
+      if (mode === 'search') {
+        const q = args.search_query.trim().toLowerCase();
+
+        const paragraphs = fullText.split(/\n{2,}/);
+        const matches = [];
+        let accumulated = '';
+
+        for (let i = 0; i < paragraphs.length; i++) {
+          if (paragraphs[i].toLowerCase().includes(q)) {
+            const context = [];
+            if (i > 0) context.push(paragraphs[i - 1]);
+            context.push(paragraphs[i]);
+            if (i < paragraphs.length - 1) context.push(paragraphs[i + 1]);
+
+            for (const p of context) {
+              if (accumulated.length + p.length + 2 > maxChars) {
+                break;
+              }
+              matches.push(p);
+              accumulated += p + '\n\n';
+            }
+          }
+          if (accumulated.length >= maxChars) {
+            break;
+          }
+        }
+
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              document_identifier: identifier,
+              mode: 'search',
+              query: q,
+              total_length: totalLength,
+              token_count: tokenCount,
+              from_cache: doc.from_cache,
+              format: doc.format,
+              ocr: doc.ocr,
+              attachments: doc.attachments,
+              snippet_count: matches.length,
+              text: matches.join('\n\n')
+            }, null, 2)
+          }]
+        };
+      }
+
+      // Legacy / explicit full mode: return full text, possibly truncated to maxChars
+      const textToReturn = totalLength > maxChars ? fullText.slice(0, maxChars) : fullText;
+
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            document_identifier: identifier,
+            mode: 'full',
+            total_length: totalLength,
+            token_count: tokenCount,
+            from_cache: doc.from_cache,
+            format: doc.format,
+            ocr: doc.ocr,
+            attachments: doc.attachments,
+            truncated: totalLength > maxChars,
+            text: textToReturn
+          }, null, 2)
+        }]
+      };
+    }
+    // ============================================
+    // TOOL 5: Ranked search across all case documents
+    // ============================================
+    if (name === 'search_case_documents') {
+      const { case_uuid, query } = args;
+      const maxResults = Math.min(args.max_results || 10, 50);
+
+      const { documents, withheld } = await listMatterDocuments(session, case_uuid);
+
+      if (documents.length === 0) {
+        throw noDocumentsError(withheld);
+      }
+
+      // The most recently updated documents are searched first; past the limit they are skipped
+      const byRecency = [...documents].sort((a, b) => (Date.parse(b.date_update) || 0) - (Date.parse(a.date_update) || 0));
+      const toSearch = byRecency.slice(0, SEARCH_MAX_DOCUMENTS);
+      const skipped = byRecency.slice(SEARCH_MAX_DOCUMENTS).map(doc => ({
+        guid: doc.guid,
+        title: doc.title || doc.name,
+        reason: `Only the ${SEARCH_MAX_DOCUMENTS} most recently updated documents are searched`,
+      }));
+
+      // Extract each document; the extraction cache makes repeat searches cheap
+      const extracted = await mapWithConcurrency(toSearch, DOCUMENT_FETCH_CONCURRENCY, async (doc) => {
+        try {
+          return {
+            doc,
+            result: await loadDocumentText(session, {
+              document_id: doc.guid ? undefined : doc.internal_id,
+              document_uuid: doc.guid,
+              date_updated: doc.date_update,
+              size_bytes: doc.disk_file_size || doc.file_size || undefined,
+            }, {
+              ocr: SEARCH_OCR_UNCACHED,
+              maxBytes: SEARCH_MAX_FILE_MB * 1024 * 1024,
+            }),
+          };
+        } catch (error) {
+          return { doc, result: { error: error.message } };
+        }
+      });
+
+      const searchable = [];
+      const partlySearched = [];
+      extracted.forEach(({ doc, result }) => {
+        const skip = reason => skipped.push({ guid: doc.guid, title: doc.title || doc.name, reason });
+        if (result.error) {
+          skip(result.error);
+          return;
+        }
+        if (!result.text || !result.text.trim()) {
+          skip(result.ocr_deferred
+            ? 'Needs OCR, which search only runs on documents already read; read it with get_document, then search again'
+            : 'No text content could be extracted');
+          return;
+        }
+        if (result.ocr_deferred) {
+          partlySearched.push({
+            guid: doc.guid,
+            title: doc.title || doc.name,
+            reason: 'Scanned pages or images were not OCR\'d; read it with get_document, then search again',
+          });
+        }
+        searchable.push({
+          id: doc.guid || String(doc.internal_id),
+          text: result.text,
+          meta: {
+            title: doc.title,
+            name: doc.name,
+            total_length: result.text.length,
+            pages: result.pages,
+            ocr_confidence: result.ocr ? result.ocr.average_confidence : undefined,
+          },
+        });
+      });
+
+      const hits = searchIndex(buildSearchIndex(searchable), query, { limit: maxResults });
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              case_uuid: case_uuid,
+              query: query,
+              documents_searched: searchable.length,
+              documents_skipped: skipped,
+              documents_partly_searched: partlySearched.length ? partlySearched : undefined,
+              withheld_by_access_policy: withheld || undefined,
+              result_count: hits.length,
+              results: hits.map((hit, i) => ({
+                rank: i + 1,
+                score: hit.score,
+                document_guid: hit.documentId,
+                document_title: hit.meta.title,
+                document_name: hit.meta.name,
+                char_offset: hit.offset,
+                char_length: hit.length,
+                ...pageRangeFor(hit.meta.pages, hit.offset, hit.offset + hit.length),
+                document_length: hit.meta.total_length,
+                ocr_confidence: hit.meta.ocr_confidence,
+                snippet: hit.snippet,
+              })),
+              note: hits.length
+                ? 'Use get_document with the document_guid to read more around a result (mode="page" with page_start for PDFs); char_offset shows where in the document the snippet starts.'
+                : 'No matches. Try different or fewer words.',
+            }, null, 2),
+          },
+        ],
+      };
+    }
+
+    // ============================================
+    // TOOL 6: Search matters by filters, with paging
+    // ============================================
+    if (name === 'search_matters') {
+      const queryParams = {};
+      for (const [filterName, filter] of Object.entries(MATTER_SEARCH_FILTERS)) {
+        const value = args[filterName];
+        if (value !== undefined && value !== null && String(value).trim() !== '') {
+          // Lookup-backed filters are checked first, so a typo fails loudly instead of matching nothing
+          queryParams[filter.param] = filter.lookup
+            ? await lookups.validate(session, filter.lookup, String(value).trim(), filterName)
+            : String(value).trim();
+        }
+      }
+
+      // An unfiltered search would page through every case on the site
+      if (Object.keys(queryParams).length === 0) {
+        throw new ToolError('invalid_arguments', `At least one filter is required: ${Object.keys(MATTER_SEARCH_FILTERS).join(', ')}`);
+      }
+
+      const page = args.page || 1;
+      const pageSize = Math.min(args.page_size || 20, MATTER_SEARCH_MAX_PAGE_SIZE);
+
+      const response = await callLegalserverAPI(
+        session,
+        '/api/v1/matters',
+        {
+          ...queryParams,
+          results: 'full',  // Get full results including matter_uuid
+          page_number: String(page),
+          page_size: String(pageSize),
+          sort: args.sort === 'desc' ? 'desc' : 'asc',
+        }
+      );
+
+      // Cases the access policy denies are left out of the page, and counted
+      const found = Array.isArray(response.data) ? response.data : [];
+      const allowed = accessPolicy ? found.filter(matter => !accessPolicy.caseDenial(matter)) : found;
+      const unresolved = [];
+      const matters = await labelLookupIds(session, allowed, MATTER_LOOKUP_FIELDS, unresolved);
+      const totalResults = response.total_records ?? response.total_number_of_results;
+      const totalPages = response.total_number_of_pages
+        ?? (typeof totalResults === 'number' ? Math.ceil(totalResults / pageSize) : undefined);
+      const hasMore = typeof totalPages === 'number' ? page < totalPages : found.length === pageSize;
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              filters: Object.fromEntries(
+                Object.keys(MATTER_SEARCH_FILTERS)
+                  .filter(filterName => queryParams[MATTER_SEARCH_FILTERS[filterName].param] !== undefined)
+                  .map(filterName => [filterName, queryParams[MATTER_SEARCH_FILTERS[filterName].param]])
+              ),
+              page: page,
+              page_size: pageSize,
+              total_results: totalResults,
+              total_pages: totalPages,
+              has_more: hasMore,
+              next_page: hasMore ? page + 1 : undefined,
+              result_count: matters.length,
+              withheld_by_access_policy: found.length - matters.length || undefined,
+              lookups_unresolved: unresolved.length ? unresolved : undefined,
+              results: matters.map(matter => ({
+                matter_uuid: matter.matter_uuid,
+                case_number: matter.case_number,
+                case_id: matter.case_id,
+                client_name: matter.client_full_name,
+                case_disposition: matter.case_disposition,
+                legal_problem_code: matter.legal_problem_code,
+                intake_office: matter.intake_office?.office_name ?? matter.intake_office,
+                intake_program: matter.intake_program,
+                date_opened: matter.date_opened,
+                date_closed: matter.date_closed,
+                cause_number: matter.cause_number,
+                case_profile_url: matter.case_profile_url,
+              })),
+              note: matters.length === 0
+                ? 'No matching cases. Try fewer or broader filters (e.g., last name only).'
+                : 'Use get_case_info with a matter_uuid to see a case. If several cases match, confirm with the user which one they mean.',
+            }, null, 2),
+          },
+        ],
+      };
+    }
+
+    // ============================================
+    // TOOL 7: Unified case timeline
+    // ============================================
+    if (name === 'get_case_timeline') {
+      const { case_uuid } = args;
+      const types = args.types || [];
+      const wants = type => types.length === 0 || types.includes(type);
+
+      // The matter itself is required; it also supplies the notes and the case ID
+      // that events and tasks are filed under
+      const unresolved = [];
+      const matter = await labelLookupIds(session, await fetchMatter(session, case_uuid), MATTER_LOOKUP_FIELDS, unresolved);
+
+      // Everything else is best-effort: a missing API permission drops one source, not the timeline
+      const sourceFetchers = {
+        documents: async () => ({ items: (await listMatterDocuments(session, case_uuid)).documents, truncated: false }),
+        events: async () => {
+          const result = await fetchAllPages(session, '/api/v1/events', { matters: String(matter.case_id) });
+          // Keep only events actually linked to this matter, when the payload says which
+          const items = result.items.filter(event => {
+            const linked = event.matters?.individual_values;
+            return !Array.isArray(linked) || linked.length === 0
+              || linked.some(link => link.matter_uuid === case_uuid);
+          });
+          return { ...result, items: await labelLookupIds(session, items, EVENT_LOOKUP_FIELDS, unresolved) };
+        },
+        tasks: async () => {
+          const result = await fetchAllPages(session, '/api/v1/tasks', { module: 'matter', module_id: String(matter.case_id) });
+          return { ...result, items: await labelLookupIds(session, result.items, TASK_LOOKUP_FIELDS, unresolved) };
+        },
+        litigations: () => fetchAllPages(session, `/api/v1/matters/${case_uuid}/litigations`),
+      };
+      const sourceTypes = { documents: 'document', events: 'event', tasks: 'task', litigations: 'litigation' };
+
+      const sources = { matter, notes: matter.notes || [] };
+      const unavailable = [];
+      const incomplete = [];
+      const wanted = Object.keys(sourceFetchers).filter(source => wants(sourceTypes[source]));
+      const settled = await Promise.allSettled(wanted.map(source => sourceFetchers[source]()));
+      settled.forEach((outcome, i) => {
+        const source = wanted[i];
+        if (outcome.status === 'rejected') {
+          unavailable.push({ source, reason: outcome.reason.message });
+          return;
+        }
+        sources[source] = Array.isArray(outcome.value.items) ? outcome.value.items : [];
+        if (outcome.value.truncated) incomplete.push(source);
+      });
+
+      const timeline = buildTimeline(sources, {
+        from: args.from_date,
+        to: args.to_date,
+        types,
+        order: args.order === 'desc' ? 'desc' : 'asc',
+      });
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              case_uuid: case_uuid,
+              case_number: matter.case_number,
+              client_name: matter.client_full_name,
+              from_date: args.from_date,
+              to_date: args.to_date,
+              types: types.length ? types : TIMELINE_TYPES,
+              entry_count: timeline.length,
+              sources_unavailable: unavailable.length ? unavailable : undefined,
+              sources_incomplete: incomplete.length ? incomplete : undefined,
+              lookups_unresolved: unresolved.length ? unresolved : undefined,
+              timeline,
+              note: unavailable.length
+                ? 'Some sources could not be read (often a missing LegalServer API permission); the timeline omits them.'
+                : undefined,
+            }, null, 2),
+          },
+        ],
+      };
+    }
+
+    // ============================================
+    // TOOL 10: Tasks and deadlines
+    // ============================================
+    if (name === 'list_tasks') {
+      const { today, from, to, maxResults } = parseCalendarArgs(args, undefined);
+      const status = args.status || 'open';
+
+      // Narrow the search on LegalServer's side as far as its filters allow
+      const queryParams = { sort: 'desc' };  // newest records first, where current work lives
+      let caseNumber;
+      if (args.case_uuid) {
+        const matter = await fetchMatter(session, args.case_uuid);
+        caseNumber = matter.case_number;
+        queryParams.module = 'matter';
+        queryParams.module_id = String(matter.case_id);
+      }
+      if (args.user) queryParams.users = args.user;
+      if (status === 'completed') queryParams.completed = 'true';
+      else if (status !== 'all') queryParams.completed = 'false';
+      if (args.deadlines_only) queryParams.deadline = 'true';
+
+      const { items, truncated } = await fetchAllPages(session, '/api/v1/tasks', queryParams);
+      const unresolved = [];
+      const selected = selectTasks(await labelLookupIds(session, items, TASK_LOOKUP_FIELDS, unresolved), {
+        status,
+        from,
+        to,
+        user: args.user,
+        office: args.office,
+        deadlinesOnly: Boolean(args.deadlines_only),
+        today,
+      });
+      // Tasks on cases the access policy denies are left out, and counted
+      const allowed = await allowedCases(session, selected.map(task => task.case_uuid));
+      const tasks = selected.filter(task => !task.case_uuid || allowed.has(task.case_uuid));
+      const returned = tasks.slice(0, maxResults);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              today: today,
+              scope: { case_uuid: args.case_uuid, case_number: caseNumber, user: args.user, office: args.office },
+              status: status,
+              from_date: from,
+              to_date: to,
+              counts: {
+                overdue: tasks.filter(task => task.status === 'overdue').length,
+                upcoming: tasks.filter(task => task.status === 'upcoming').length,
+                completed: tasks.filter(task => task.status === 'completed').length,
+              },
+              result_count: returned.length,
+              more_results: tasks.length > returned.length ? tasks.length - returned.length : undefined,
+              withheld_by_access_policy: selected.length - tasks.length || undefined,
+              search_truncated: truncated || undefined,
+              lookups_unresolved: unresolved.length ? unresolved : undefined,
+              tasks: returned,
+              note: truncated
+                ? 'LegalServer returned more tasks than this tool reads at once; narrow the scope (e.g. a case or user) for a complete list.'
+                : undefined,
+            }, null, 2),
+          },
+        ],
+      };
+    }
+
+    // ============================================
+    // TOOL 11: Calendar events
+    // ============================================
+    if (name === 'list_events') {
+      const { today, from, to, maxResults } = parseCalendarArgs(args, localToday());
+
+      const queryParams = { sort: 'desc' };
+      let caseNumber;
+      if (args.case_uuid) {
+        const matter = await fetchMatter(session, args.case_uuid);
+        caseNumber = matter.case_number;
+        queryParams.matters = String(matter.case_id);
+      }
+
+      const { items, truncated } = await fetchAllPages(session, '/api/v1/events', queryParams);
+      const unresolved = [];
+      const selected = selectEvents(await labelLookupIds(session, items, EVENT_LOOKUP_FIELDS, unresolved), {
+        from,
+        to,
+        user: args.user,
+        office: args.office,
+        caseUuid: args.case_uuid,
+        courtOnly: Boolean(args.court_only),
+      });
+      // Events linked to any case the access policy denies are left out, and counted
+      const allowed = await allowedCases(session, selected.flatMap(event => (event.cases || []).map(item => item.case_uuid)));
+      const events = selected.filter(event => (event.cases || []).every(item => !item.case_uuid || allowed.has(item.case_uuid)));
+      const returned = events.slice(0, maxResults);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              today: today,
+              scope: { case_uuid: args.case_uuid, case_number: caseNumber, user: args.user, office: args.office },
+              from_date: from,
+              to_date: to,
+              result_count: returned.length,
+              more_results: events.length > returned.length ? events.length - returned.length : undefined,
+              withheld_by_access_policy: selected.length - events.length || undefined,
+              search_truncated: truncated || undefined,
+              lookups_unresolved: unresolved.length ? unresolved : undefined,
+              events: returned,
+              note: truncated
+                ? 'LegalServer returned more events than this tool reads at once; narrow the scope (e.g. a case) for a complete list.'
+                : undefined,
+            }, null, 2),
+          },
+        ],
+      };
+    }
+
+    // ============================================
+    // TOOL 12: Parties and contacts
+    // ============================================
+    if (name === 'get_case_parties') {
+      const { case_uuid } = args;
+      const roles = args.roles || [];
+      const wants = role => roles.length === 0 || roles.includes(role);
+
+      const matter = await fetchMatter(session, case_uuid);
+
+      // Each list needs its own API permission; a missing one drops that list, not the answer
+      const sourceRoles = {
+        additional_names: 'client_alias',
+        adverse_parties: 'adverse_party',
+        non_adverse_parties: 'non_adverse_party',
+        contacts: 'case_contact',
+      };
+      const sources = { matter };
+      const unavailable = [];
+      const incomplete = [];
+      const wanted = Object.keys(sourceRoles).filter(source => wants(sourceRoles[source]));
+      const settled = await Promise.allSettled(
+        wanted.map(source => fetchAllPages(session, `/api/v1/matters/${case_uuid}/${source}`))
+      );
+      settled.forEach((outcome, i) => {
+        const source = wanted[i];
+        if (outcome.status === 'rejected') {
+          unavailable.push({ source, reason: outcome.reason.message });
+          return;
+        }
+        sources[source] = Array.isArray(outcome.value.items) ? outcome.value.items : [];
+        if (outcome.value.truncated) incomplete.push(source);
+      });
+      const unresolved = [];
+      for (const source of wanted.filter(source => sources[source])) {
+        sources[source] = await labelLookupIds(session, sources[source], PARTY_LOOKUP_FIELDS, unresolved);
+      }
+
+      const parties = buildPartyList(sources, {
+        roles,
+        includeInactive: Boolean(args.include_inactive),
+      });
+      const counts = {};
+      parties.forEach(party => { counts[party.role] = (counts[party.role] || 0) + 1; });
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              case_uuid: case_uuid,
+              case_number: matter.case_number,
+              party_count: parties.length,
+              counts,
+              sources_unavailable: unavailable.length ? unavailable : undefined,
+              sources_incomplete: incomplete.length ? incomplete : undefined,
+              lookups_unresolved: unresolved.length ? unresolved : undefined,
+              parties,
+              note: unavailable.length
+                ? 'Some party lists could not be read (often a missing LegalServer API permission); they are omitted.'
+                : undefined,
+            }, null, 2),
+          },
+        ],
+      };
+    }
+
+    // ============================================
+    // TOOL 13: Conflict check
+    // ============================================
+    if (name === 'run_conflict_check') {
+      const { parties } = args;
+      parties.forEach((party, i) => {
+        if (!party.last && !party.first && !party.organization) {
+          throw new ToolError('invalid_arguments', `parties[${i}] needs a name (first/last) or an organization`);
+        }
+      });
+      const scanLimit = Math.min(args.scan_matters || CONFLICT_SCAN_MATTERS, 2000);
+      const unavailable = [];
+
+      // 1. LegalServer's own conflict score, for each person (it can't score organizations)
+      const people = parties.filter(party => party.first || party.last);
+      const checked = await Promise.allSettled(people.map(party => sendLegalserverAPI(
+        session,
+        'POST',
+        '/api/v1/conflict_check',
+        {
+          first: party.first || undefined,
+          middle: party.middle || undefined,
+          last: party.last || undefined,
+          dob: party.dob || undefined,
+          visa_number: party.a_number || undefined,
+          phones: Array.isArray(party.phones) && party.phones.length
+            ? party.phones.map(number => ({ number, type: 'other' }))
+            : undefined,
+        }
+      )));
+      const checks = [];
+      checked.forEach((outcome, i) => {
+        if (outcome.status === 'rejected') {
+          unavailable.push({ source: 'conflict_check', party: describeParty(people[i]), reason: outcome.reason.message });
+          return;
+        }
+        checks.push({
+          party: describeParty(people[i]),
+          party_role: people[i].role,
+          score: outcome.value.score ?? null,
+          interval: outcome.value.interval,
+          message: outcome.value.message,
+        });
+      });
+
+      // 2. Existing cases to match against: the most recent ones, plus every case
+      // whose client shares a last name with one of the parties
+      const matterSearches = [
+        {
+          source: 'recent_matters',
+          fetch: () => fetchAllPages(session, '/api/v1/matters', { results: 'full', sort: 'desc' }, {
+            pageSize: 100,
+            maxPages: Math.ceil(scanLimit / 100),
+          }),
+        },
+        ...[...new Set(people.filter(party => party.last).map(party => party.last.trim()))].map(last => ({
+          source: `clients_named_${last}`,
+          fetch: () => fetchAllPages(session, '/api/v1/matters', { last, results: 'full' }, { maxPages: 2 }),
+        })),
+      ];
+      const searched = await Promise.allSettled(matterSearches.map(search => search.fetch()));
+      const matters = new Map();
+      let scanComplete = true;
+      searched.forEach((outcome, i) => {
+        if (outcome.status === 'rejected') {
+          unavailable.push({ source: matterSearches[i].source, reason: outcome.reason.message });
+          return;
+        }
+        if (outcome.value.truncated && matterSearches[i].source === 'recent_matters') scanComplete = false;
+        outcome.value.items.forEach(matter => matters.set(matter.matter_uuid, matter));
+      });
+
+      // Matches on cases the access policy denies still count as conflicts, but without
+      // saying which case: staff have to look those up in LegalServer
+      const matches = findPartyMatches(parties, [...matters.values()]).map(match => {
+        const matter = matters.get(match.case_uuid);
+        if (!accessPolicy || !matter || !accessPolicy.caseDenial(matter)) return match;
+        return {
+          party: match.party,
+          party_role: match.party_role,
+          matched_role: match.matched_role,
+          level: match.level,
+          similarity: match.similarity,
+          restricted_case: true,
+          explanation: 'Matches a party on a case the access policy keeps from this assistant; a staff member must look for it in LegalServer.',
+        };
+      });
+      const conflicts = rankConflicts(checks, matches);
+      const serious = conflicts.filter(item => (item.level === 'highest' || item.level === 'high')
+        && !(item.party_role === 'adverse_party' && item.matched_role === 'adverse_party'));
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              parties_checked: parties.map(party => ({ name: describeParty(party), role: party.role })),
+              matters_compared: matters.size,
+              recent_matters_fully_scanned: scanComplete,
+              summary: serious.length
+                ? `${serious.length} potential conflict(s) rated high or highest; review before opening the case.`
+                : conflicts.length
+                  ? 'Only low-rated similarities found; review them before opening the case.'
+                  : 'No potential conflicts found in the records compared.',
+              conflict_check_scores: checks,
+              potential_conflicts: conflicts,
+              sources_unavailable: unavailable.length ? unavailable : undefined,
+              note: 'This is a pre-screen, not a conflict clearance. A staff member must review these results '
+                + `and run the full conflict check in LegalServer. Fuzzy matching covered the ${scanLimit} most recent cases `
+                + 'and every case whose client shares a last name with a party.',
+            }, null, 2),
+          },
+        ],
+      };
+    }
+
+    // ============================================
+    // TOOL 14: Litigation, hearings and charges
+    // ============================================
+    if (name === 'get_case_litigation') {
+      const { case_uuid } = args;
+      const sections = args.sections?.length ? args.sections : LITIGATION_SECTIONS;
+
+      const matter = await fetchMatter(session, case_uuid);
+
+      // Hearings are court events on the case; phases are its service records
+      const sectionFetchers = {
+        litigations: () => fetchAllPages(session, `/api/v1/matters/${case_uuid}/litigations`),
+        charges: () => fetchAllPages(session, `/api/v1/matters/${case_uuid}/charges`),
+        hearings: () => fetchAllPages(session, '/api/v1/events', { matters: String(matter.case_id) }),
+        phases: () => fetchAllPages(session, `/api/v1/matters/${case_uuid}/services`),
+      };
+      const records = {};
+      const unavailable = [];
+      const incomplete = [];
+      const settled = await Promise.allSettled(sections.map(section => sectionFetchers[section]()));
+      settled.forEach((outcome, i) => {
+        const section = sections[i];
+        if (outcome.status === 'rejected') {
+          unavailable.push({ source: section, reason: outcome.reason.message });
+          return;
+        }
+        records[section] = Array.isArray(outcome.value.items) ? outcome.value.items : [];
+        if (outcome.value.truncated) incomplete.push(section);
+      });
+
+      // Load only the lookups whose IDs actually appear; unreadable ones leave the raw ID
+      const { label, unresolved } = await lookups.labeler(session, lookupsNeeded(records));
+      const described = describeLitigationRecords(records, label);
+      if (records.hearings) {
+        const hearings = await labelLookupIds(session, records.hearings, EVENT_LOOKUP_FIELDS, unresolved);
+        described.hearings = selectEvents(hearings, { caseUuid: case_uuid, courtOnly: true })
+          .map(({ cases, ...hearing }) => hearing);
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              case_uuid: case_uuid,
+              case_number: matter.case_number,
+              cause_number: matter.cause_number || undefined,
+              legal_problem_code: matter.legal_problem_code,
+              ...described,
+              sources_unavailable: unavailable.length ? unavailable : undefined,
+              sources_incomplete: incomplete.length ? incomplete : undefined,
+              lookups_unresolved: unresolved.length ? unresolved : undefined,
+              note: unresolved.length
+                ? 'Some lookup lists could not be read; those fields show LegalServer IDs instead of labels.'
+                : undefined,
+            }, null, 2),
+          },
+        ],
+      };
+    }
+
+    // ============================================
+    // TOOL 15: Income and eligibility
+    // ============================================
+    if (name === 'get_case_eligibility') {
+      const { case_uuid } = args;
+      const threshold = args.threshold_percent ?? povertyGuidelines.defaultThreshold;
+      const asOf = args.as_of || localToday();
+
+      const matter = await fetchMatter(session, case_uuid);
+      const { items, truncated } = await fetchAllPages(session, `/api/v1/matters/${case_uuid}/incomes`);
+      const unresolved = [];
+      const incomes = await labelLookupIds(session, items, INCOME_LOOKUP_FIELDS, unresolved);
+
+      const income = summarizeIncome(incomes, {
+        asOf,
+        fallbackDate: normalizeDate(matter.intake_date)?.date || normalizeDate(matter.date_opened)?.date,
+        staleMonths: INCOME_STALE_MONTHS,
+      });
+      const flags = [...income.flags];
+
+      const recordedSize = (matter.number_of_adults ?? 0) + (matter.number_of_children ?? 0);
+      const householdSize = args.household_size || recordedSize || null;
+      if (!householdSize) {
+        flags.push({ flag: 'household_size_missing', detail: 'The case has no number of adults/children; pass household_size to compute the poverty percentage.' });
+      }
+
+      const guideline = povertyGuidelines.select(asOf);
+      const latestYear = Math.max(...povertyGuidelines.years);
+      if (Number(asOf.slice(0, 4)) > latestYear) {
+        flags.push({ flag: 'guidelines_outdated', detail: `The newest poverty guidelines configured are for ${latestYear}; add the ${asOf.slice(0, 4)} guidelines to the table.` });
+      }
+      const region = args.region || regionForState(matter.client_address_home?.state);
+
+      let eligibility;
+      if (householdSize) {
+        const guidelineAmount = povertyGuidelines.amountFor(guideline, region, householdSize);
+        const percentage = Math.round((income.annual_total / guidelineAmount) * 1000) / 10;
+        eligibility = {
+          guideline_year: guideline.year,
+          region,
+          household_size: householdSize,
+          household_size_source: args.household_size ? 'argument' : 'case',
+          guideline_amount: guidelineAmount,
+          percentage_of_poverty: percentage,
+          threshold_percent: threshold,
+          threshold_amount: Math.round(guidelineAmount * threshold) / 100,
+          within_threshold: percentage <= threshold,
+        };
+        // LegalServer stores its own figure; a gap usually means income or household changed since
+        const stored = parseFloat(matter.percentage_of_poverty);
+        if (Number.isFinite(stored)) {
+          eligibility.legalserver_percentage_of_poverty = stored;
+          if (Math.abs(stored - percentage) > 1) {
+            flags.push({ flag: 'percentage_differs', detail: `LegalServer has ${stored}% of poverty on the case; the current records give ${percentage}%.` });
+          }
+        }
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              case_uuid: case_uuid,
+              case_number: matter.case_number,
+              as_of: asOf,
+              household: {
+                adults: matter.number_of_adults ?? undefined,
+                children: matter.number_of_children ?? undefined,
+              },
+              annual_household_income: income.annual_total,
+              income_by_member: income.members,
+              eligibility,
+              flags,
+              income_records: income.records,
+              records_incomplete: truncated || undefined,
+              lookups_unresolved: unresolved.length ? unresolved : undefined,
+            }, null, 2),
+          },
+        ],
+      };
+    }
+
+    // ============================================
+    // TOOL 16: Lookup values
+    // ============================================
+    if (name === 'list_lookup_values') {
+      const { lookup } = args;
+
+      const table = await lookups.list(session, lookup.trim(), { refresh: Boolean(args.refresh) });
+      const search = args.search ? String(args.search).trim().toLowerCase() : '';
+      const values = table.values
+        .filter(value => args.include_inactive || value.active !== false)
+        .filter(value => !search || value.name.toLowerCase().includes(search))
+        .map(value => ({
+          name: value.name,
+          id: value.id,
+          active: value.active === false ? false : undefined,
+          note: value.note || undefined,
+          uuid: value.uuid,
+        }));
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              lookup: lookup,
+              search: args.search,
+              value_count: values.length,
+              fetched_at: table.fetched_at,
+              from_cache: table.cached,
+              values,
+            }, null, 2),
+          },
+        ],
+      };
+    }
+
+    // ============================================
+    // TOOL 8: Add a case note (preview, then confirm)
+    // ============================================
+    if (name === 'add_case_note') {
+      const { case_uuid, subject, body, note_type } = args;
+
+      const noteBody = {
+        subject: subject.trim(),
+        body: body,
+        note_type: await lookups.validate(session, 'note_type', note_type, 'note_type'),
+      };
+      // Notes the assistant may not read, it may not write either
+      checkNoteAccess(noteBody, `The access policy excludes notes of type "${noteBody.note_type}"`);
+      if (args.date_posted) noteBody.date_posted = args.date_posted;
+      if (typeof args.is_html === 'boolean') noteBody.is_html = args.is_html;
+
+      // Confirms the case exists (and the access policy allows it) and shows which case the note will land on
+      const matter = await fetchMatter(session, case_uuid);
+
+      const result = await previewOrSend(session, name, {
+        method: 'POST',
+        endpoint: `/api/v1/matters/${case_uuid}/notes`,
+        body: noteBody,
+      }, args.confirmation_token, {
+        case_uuid: case_uuid,
+        case_number: matter?.case_number,
+        client_name: matter?.client_full_name,
+      });
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(result, null, 2),
+          },
+        ],
+      };
+    }
+
+    // ============================================
+    // TOOL 9: Update a case note (preview, then confirm)
     // ============================================
-    if (name === 'get_case_info') {
-      const { case_uuid } = args;
+    if (name === 'update_case_note') {
+      const { case_uuid, note_uuid } = args;
 
-      // Validate required parameter
-      if (!case_uuid) {
-        throw new Error('case_uuid is required');
+      const changes = {};
+      if (args.subject !== undefined) {
+        changes.subject = args.subject.trim();
+      }
+      if (args.body !== undefined) {
+        changes.body = args.body;
+      }
+      if (args.note_type !== undefined) {
+        changes.note_type = await lookups.validate(session, 'note_type', args.note_type, 'note_type');
+        checkNoteAccess(changes, `The access policy excludes notes of type "${changes.note_type}"`);
+      }
+      if (Object.keys(changes).length === 0) {
+        throw new ToolError('invalid_arguments', 'Nothing to change: pass at least one of subject, body or note_type');
       }
 
-      // Call the LegalServer API to get full case details
-      const response = await callLegalserverAPI(
-        `/api/v1/matters/${case_uuid}`,
-        {
-          results: 'full',  // Get full results
-        }
-      );
-
-      // IMPORTANT: The API wraps data in a 'data' object
-      const caseData = response.data;
-
-      // ===================================================================
-      // CUSTOMIZE THIS SECTION - Choose which fields to return to the LLM
-      // ===================================================================
-      
-      const filteredResponse = {
-        success: true,
+      // Show the note as it is now next to the change; notes of a type the access policy
+      // excludes can't be read, so they can't be changed either
+      await requireCaseAccess(session, case_uuid);
+      const endpoint = `/api/v1/matters/${case_uuid}/notes/${note_uuid}`;
+      const noteResponse = await callLegalserverAPI(session, endpoint);
+      const current = noteResponse.data ?? noteResponse;
+      checkNoteAccess(current);
+
+      const result = await previewOrSend(session, name, {
+        method: 'PATCH',
+        endpoint: endpoint,
+        body: changes,
+      }, args.confirmation_token, {
         case_uuid: case_uuid,
-        
-        // Basic case information
-        case_number: caseData.case_number,
-        case_id: caseData.case_id,
-        case_title: caseData.case_title,
-        case_disposition: caseData.case_disposition,
-        case_status: caseData.case_status,
-        
-        // Client information
-        client_name: caseData.client_full_name,
-        client_email: caseData.client_email_address,
-        
-        // Important dates
-        dates: {
-          opened: caseData.date_opened,
-          closed: caseData.date_closed,
-          intake: caseData.intake_date,
-          rejected: caseData.date_rejected,
-          days_open: caseData.days_open,
-        },
-        
-        // Location information
-        location: {
-          home_address: caseData.client_address_home,
-          mailing_address: caseData.client_address_mailing,
-          county_of_residence: caseData.county_of_residence,
-          county_of_dispute: caseData.county_of_dispute,
-        },
-        
-        // Legal problem information
-        legal_problem: {
-          code: caseData.legal_problem_code,
-          category: caseData.legal_problem_category,
-          special_code: caseData.special_legal_problem_code,
-          case_type: caseData.case_type,
-        },
-        
-        // Case details
-        intake_office: caseData.intake_office,
-        intake_program: caseData.intake_program,
-        close_reason: caseData.close_reason,
-        
-        // Notes - properly mapped from API structure
-        notes: caseData.notes ? caseData.notes
-          .filter(note => note.active !== false)  // Only include active notes
-          .map(note => ({
-            id: note.id,
-            uuid: note.casenote_uuid,
-            subject: note.subject,
-            body: note.body,
-            note_type: note.note_type,
-            date_posted: note.date_posted,
-            date_created: note.date_time_created,
-            created_by: note.created_by,
-            last_updated: note.last_update,
-            last_updated_by: note.last_updated_by,
-            is_html: note.is_html,
-            has_document_attached: note.note_has_document_attached,
-          })) : [],
-        
-        notes_summary: {
-          total_notes: caseData.notes?.length || 0,
-          active_notes: caseData.notes?.filter(n => n.active !== false).length || 0,
+        note_uuid: note_uuid,
+        current: args.confirmation_token ? undefined : {
+          subject: current.subject,
+          body: current.body,
+          note_type: current.note_type,
+          date_posted: current.date_posted,
         },
-        
-        // Profile link for reference
-        case_profile_url: caseData.case_profile_url,
-      };
+      });
 
-      // Return the curated data
       return {
         content: [
           {
             type: 'text',
-            text: JSON.stringify(filteredResponse, null, 2),
+            text: JSON.stringify(result, null, 2),
           },
         ],
       };
     }
 
-    // ============================================
-    // TOOL 3: List all documents for a case
-    // ============================================
-    if (name === 'list_case_documents') {
-      const { case_uuid } = args;
+    throw new ToolError('unknown_tool', `Unknown tool: ${name}`);
 
-      // Validate required parameter
-      if (!case_uuid) {
-        throw new Error('case_uuid is required');
-      }
+  } catch (error) {
+    // If anything goes wrong, return a structured error. LegalServer failures say what kind
+    // they are (unauthorized, forbidden, not_found, ...) so the agent can react.
+    return errorResult(name, error);
+  }
+}
 
-      // Call the Legalserver API to get the documents list
-      const documentResponse = await callLegalserverAPI(
-        `/api/v1/matters/${case_uuid}/documents`
-      );
+// =============================================================================
+// RESOURCES
+// =============================================================================
 
-      const documents = documentResponse?.data ?? documentResponse;
+/**
+ * The matters resources/list offers on one site: the most recent or the caller's
+ * assigned cases (RESOURCES_LIST_SCOPE), without the ones the access policy denies
+ */
+async function listResourceMatters(session) {
+  let matters;
+  if (RESOURCES_LIST_SCOPE === 'assigned') {
+    if (!session.user) {
+      throw new Error(MCP_TRANSPORT === 'http'
+        ? `Listing assigned cases needs the caller's LegalServer user name in the ${USER_HEADER} header`
+        : 'Listing assigned cases needs RESOURCES_USER set to the LegalServer user name or UUID');
+    }
+    const { items } = await fetchAllPages(
+      session,
+      '/api/v1/matters',
+      { case_disposition: 'Open', results: 'full', sort: 'desc' },
+      { maxPages: 5 }
+    );
+    matters = items.filter(matter => isAssignedTo(matter, session.user));
+  } else {
+    const response = await callLegalserverAPI(session, '/api/v1/matters', {
+      results: 'full',
+      sort: 'desc',
+      page_size: String(RESOURCES_LIST_LIMIT),
+    });
+    matters = Array.isArray(response.data) ? response.data : [];
+  }
 
-      if (!Array.isArray(documents) || documents.length === 0) {
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify({
-                success: false,
-                error: 'No documents were found for this case.',
-                suggestion: 'Verify the case UUID or ensure documents have been uploaded.',
-              }, null, 2),
-            },
-          ],
-        };
-      }
+  return matters
+    .filter(matter => matter.matter_uuid && !(accessPolicy && accessPolicy.caseDenial(matter)))
+    .slice(0, RESOURCES_LIST_LIMIT);
+}
 
-      // Format the response for the AI
-      const formattedResponse = {
-        success: true,
-        case_uuid: case_uuid,
-        total_documents: documents.length,
-        documents: documents.map(doc => {
-          const sizeBytes = doc.disk_file_size || doc.file_size || null;
-          const estimatedTokens = sizeBytes ? Math.round(sizeBytes / 4) : null;
+/**
+ * Handler for "resources/list"
+ * Lists case resources for the most recent or the caller's assigned cases; notes,
+ * documents and single documents are reached through the resource templates.
+ * With several sites, every site the caller has a token for is listed.
+ */
+async function handleListResources(request, extra) {
+  if (!sites.multiple) {
+    const matters = await listResourceMatters(getSession(extra));
+    return { resources: matters.map(matter => describeMatterResource(matter)) };
+  }
 
-          return {
-            // Document identifiers (use guid for get_document)
-            guid: doc.guid,
-            internal_id: doc.internal_id,
+  const sessions = sites.list()
+    .map(site => {
+      try {
+        return getSession(extra, site.name);
+      } catch (error) {
+        return null;  // no token for this site
+      }
+    })
+    .filter(Boolean);
+  if (sessions.length === 0) {
+    getSession(extra);  // throws the missing-token error for the default site
+  }
+  const listed = await Promise.all(sessions.map(async session => (await listResourceMatters(session))
+    .map(matter => describeMatterResource(matter, session.site.name))));
+  return { resources: listed.flat() };
+}
 
-            // Document metadata
-            name: doc.name,
-            title: doc.title,
-            mime_type: doc.mime_type,
-            size_bytes: sizeBytes,
-            estimated_tokens: estimatedTokens,
-            file_size: sizeBytes ? `${(sizeBytes / 1024).toFixed(2)} KB` : null,
+// Resource text goes through the same redaction policy as tool results
+function redactResourceText(text) {
+  if (!redactor) return text;
+  return redactor.redactToolResult({ content: [{ type: 'text', text }] }).content[0].text;
+}
 
-            // Dates
-            date_created: doc.date_create,
-            date_updated: doc.date_update,
+/**
+ * Handler for "resources/read"
+ * Cases, notes and document lists are JSON; documents are their extracted text,
+ * or the original file (base64) when asked for or when no text can be extracted.
+ */
+async function handleReadResource(request, extra) {
+  const { uri } = request.params;
+  const target = parseResourceUri(uri);
+  const session = getSession(extra, target.site);
+  // URIs handed out are site-qualified when there are several sites
+  const site = sites.multiple ? session.site.name : undefined;
+  const json = value => ({
+    contents: [{ uri, mimeType: 'application/json', text: redactResourceText(JSON.stringify({ site, ...value }, null, 2)) }],
+  });
 
-            // Security info
-            virus_scanned: doc.virus_scanned,
-            virus_free: doc.virus_free,
+  if (target.kind === 'matter') {
+    const profile = fieldProfiles.get();
+    const queryParams = { results: 'full' };
+    if (profile.customFields.length > 0) {
+      queryParams.custom_fields = profile.customFields;
+    }
+    const unresolved = [];
+    const matter = await labelLookupIds(
+      session,
+      await fetchMatter(session, target.uuid, queryParams),
+      { ...MATTER_LOOKUP_FIELDS, ...profile.lookups },
+      unresolved
+    );
+    return json({
+      case_uuid: target.uuid,
+      profile: profile.name,
+      ...fieldProfiles.apply(profile, matter),
+      lookups_unresolved: unresolved.length ? unresolved : undefined,
+      notes_uri: matterUri(target.uuid, site, 'notes'),
+      documents_uri: matterUri(target.uuid, site, 'documents'),
+    });
+  }
 
-            // Organization
-            folder_id: doc.folder_id,
-          };
-        }),
-        note: 'Use the guid field with get_document to retrieve document content'
-      };
+  if (target.kind === 'notes') {
+    const unresolved = [];
+    const matter = await labelLookupIds(session, await fetchMatter(session, target.uuid), MATTER_LOOKUP_FIELDS, unresolved);
+    return json({
+      case_uuid: target.uuid,
+      case_number: matter.case_number,
+      lookups_unresolved: unresolved.length ? unresolved : undefined,
+      notes: describeNotes(Array.isArray(matter.notes) ? matter.notes : []),
+    });
+  }
+
+  if (target.kind === 'documents') {
+    const { documents, withheld } = await listMatterDocuments(session, target.uuid);
+    return json({
+      case_uuid: target.uuid,
+      withheld_by_access_policy: withheld || undefined,
+      documents: documents.map(doc => ({
+        uri: doc.guid ? documentUri(doc.guid, site) : undefined,
+        guid: doc.guid,
+        name: doc.name,
+        title: doc.title,
+        mime_type: doc.mime_type,
+        size_bytes: doc.disk_file_size || doc.file_size || null,
+        date_created: doc.date_create,
+        date_updated: doc.date_update,
+      })),
+    });
+  }
 
+  // A document: its text unless the original file was asked for
+  await requireDocumentAccess(session, { document_uuid: target.guid });
+  if (target.format === 'text') {
+    const result = await loadDocumentText(session, { document_uuid: target.guid });
+    if (!result.error) {
       return {
-        content: [
-          {
-            type: 'text',
-            text: JSON.stringify(formattedResponse, null, 2),
-          },
-        ],
+        contents: [{ uri, mimeType: 'text/plain', text: redactResourceText(result.text) }],
       };
     }
+    if (!RESOURCES_SERVE_ORIGINALS) {
+      throw new Error(`${result.error}. ${result.suggestion}`);
+    }
+  }
 
-    // ============================================
-    // TOOL 4: Get actual document content
-    // ============================================
-    if (name === 'get_document') {
-      const { document_id, document_uuid } = args;
+  if (!RESOURCES_SERVE_ORIGINALS) {
+    throw new Error('Original files are not served while PII redaction is on (set RESOURCES_SERVE_ORIGINALS=true to allow it); read the document without ?format=original for its redacted text');
+  }
+  const documentData = await callLegalserverAPI(
+    session,
+    '/modules/document/download.php',
+    { unique_id: target.guid },
+    true  // Get binary data
+  );
+  const filename = extractFilenameFromDisposition(documentData.contentDisposition);
+  return {
+    contents: [{
+      uri,
+      mimeType: documentData.mimeType || guessMimeTypeFromName(filename || '') || 'application/octet-stream',
+      blob: documentData.content.toString('base64'),
+    }],
+  };
+}
 
-      // Validate that we have at least one identifier
-      if (!document_id && !document_uuid) {
-        throw new Error('Either document_id or document_uuid is required');
-      }
+/**
+ * handleReadResource with an audit log entry for every read, failed or not
+ * A read that can't be recorded is not returned.
+ */
+async function auditedReadResource(request, extra) {
+  const { uri } = request.params;
+  let target = {};
+  try {
+    target = parseResourceUri(uri);
+  } catch (error) {
+    // Recorded with the error below
+  }
+  const fields = { method: 'resources/read', site: sites.find(target.site)?.name || target.site, resource: uri, arguments: { uri } };
+  const references = [{ case_uuid: target.uuid, guid: target.guid }];
 
-      // Build query parameters based on what was provided
-      const queryParams = {};
-      if (document_id) {
-        queryParams.id = document_id;
-      }
-      if (document_uuid) {
-        queryParams.unique_id = document_uuid;
-      }
+  let result;
+  try {
+    result = await handleReadResource(request, extra);
+  } catch (error) {
+    await recordAudit(extra, fields, { references, response_bytes: 0, error: error.message });
+    throw error;
+  }
 
-      // Call the Legalserver API to download the document
-      const documentData = await callLegalserverAPI(
-        '/modules/document/download.php',
-        queryParams,
-        true  // Get binary data
-      );
+  const contents = result.contents.map(content => {
+    if (content.mimeType !== 'application/json') return null;
+    try {
+      return JSON.parse(content.text);
+    } catch (error) {
+      return null;
+    }
+  });
+  await recordAudit(extra, fields, {
+    references: [...references, contents],
+    response_bytes: result.contents.reduce((total, content) => total + Buffer.byteLength(content.text || content.blob || ''), 0),
+  });
+  return result;
+}
 
-      const filename = extractFilenameFromDisposition(documentData.contentDisposition);
-      const identifier = filename || document_id || document_uuid;
-      const mimeType = documentData.mimeType || guessMimeTypeFromName(filename || identifier) || 'application/octet-stream';
+/**
+ * Handler for "resources/subscribe"
+ * Documents and case document lists can be watched; the client gets
+ * notifications/resources/updated when a document's date_update changes
+ * (checked every RESOURCE_POLL_SECONDS).
+ */
+async function handleSubscribe(watcher, request, extra) {
+  const { uri } = request.params;
+  const target = parseResourceUri(uri);
+  const session = getSession(extra, target.site);
+
+  if (target.kind === 'documents') {
+    await watcher.subscribe(uri, { matterUuid: target.uuid, site: session.site.name }, session);
+    return {};
+  }
+  if (target.kind !== 'document') {
+    throw new Error(`Only document resources can be subscribed to (legalserver://document/{guid} or ${matterUri('{uuid}', undefined, 'documents')})`);
+  }
 
-      // Handle different document types and extract text content
-      try {
-        let fullText;
+  const owner = documentOwners.get(documentKey(session, { document_uuid: target.guid }));
+  if (!owner) {
+    throw new Error(`Unknown document ${target.guid}: list its case's documents first (list_case_documents or ${matterUri('{uuid}', undefined, 'documents')})`);
+  }
+  await requireDocumentAccess(session, { document_uuid: target.guid });
+  await watcher.subscribe(uri, { matterUuid: owner.matterUuid, site: session.site.name, guid: target.guid }, session);
+  return {};
+}
 
-        // CASE 1: Images (jpg, png, etc.)
-        if (mimeType.startsWith('image/')) {
-          return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify({
-                  success: false,
-                  document_identifier: identifier,
-                  mime_type: mimeType,
-                  error: 'Image document - OCR not available',
-                  suggestion: 'This is an image file. To read text from images, OCR (Optical Character Recognition) would be needed. Please ask the user to describe the image content or provide it in text format.',
-                  size_bytes: documentData.content.length,
-                }, null, 2),
-              },
-            ],
-          };
-        }
+// =============================================================================
+// PROMPTS
+// =============================================================================
 
-        // CASE 2: Plain text files
-        if (mimeType.startsWith('text/') || mimeType.includes('plain')) {
-          fullText = documentData.content.toString('utf-8');
-      } else if (
-          mimeType === 'application/pdf' ||
-          identifier.toLowerCase().endsWith('.pdf') ||
-          mimeType.includes('pdf')
-        ) {
-          // CASE 3: PDF files - pdf-parse v2 API
-          try {
-            const PDFParse = getPdfParseClass();
-
-            const parser = new PDFParse({
-              // v2 API: use `data`, not `buffer`
-              data: documentData.content,
-            });
-
-            const result = await parser.getText();
-            fullText = result && typeof result.text === 'string' ? result.text : '';
-
-          } catch (err) {
-            console.error('PDF parsing error:', err);
-            throw new Error(`Failed to extract PDF text: ${err.message}`);
-          }
-        } else if (mimeType.includes('word') || mimeType.includes('officedocument')) {
-          // CASE 4: Word documents (.docx, .doc)
-          const result = await mammoth.extractRawText({ buffer: documentData.content });
-          fullText = result.value;
-        } else {
-          // CASE 5: Other binary formats - explain what it is
-          return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify({
-                  success: false,
-                  document_identifier: identifier,
-                  mime_type: mimeType,
-                  error: 'Unsupported document format for text extraction',
-                  suggestion: `This document type (${mimeType}) cannot be read directly. Supported formats: PDF, plain text. Please ask the user if they can provide the document in a supported format.`,
-                  size_bytes: documentData.content.length,
-                }, null, 2),
-              },
-            ],
-          };
-        }
+// The case every prompt is about, checked like the tools' case arguments
+const PROMPT_CASE_SCHEMA = {
+  type: 'object',
+  properties: {
+    case_number: { type: 'string', format: 'case-number' },
+    case_uuid: { type: 'string', format: 'uuid' },
+  },
+};
 
-        const mode = args.mode || 'preview';
-        const maxChars = typeof args.max_chars === 'number' && args.max_chars > 0
-          ? args.max_chars
-          : 8000;
+/**
+ * Handler for "prompts/get"
+ * Finds the case, runs the prompt's data tools for it (through handleCallTool, so
+ * the redaction policy applies) and returns the prompt with their results embedded.
+ * @throws {McpError} InvalidParams (data.code "invalid_arguments") for a malformed
+ *   case_number or case_uuid, before anything is sent to LegalServer
+ */
+async function handleGetPrompt(request, extra) {
+  const { name } = request.params;
+  const args = request.params.arguments || {};
+  const prompt = promptLibrary.get(name, args);
+
+  const { problems } = validateArguments(
+    PROMPT_CASE_SCHEMA,
+    { case_number: args.case_number, case_uuid: args.case_uuid },
+    { formats: ARGUMENT_FORMATS }
+  );
+  if (problems.length > 0) {
+    throw new McpError(ErrorCode.InvalidParams, `Invalid arguments: ${problems.map(problem => problem.message).join('; ')}`, {
+      code: 'invalid_arguments',
+      problems,
+    });
+  }
+  const session = getSession(extra, args.site);
+
+  let caseUuid = args.case_uuid;
+  if (!caseUuid) {
+    const response = await callLegalserverAPI(session, '/api/v1/matters', {
+      case_number: args.case_number.trim(),
+      results: 'full',
+      page_size: '1',
+    });
+    if (!response.data || response.data.length === 0) {
+      throw new McpError(ErrorCode.InvalidParams, `No case found with case number: ${args.case_number.trim()}`, {
+        code: 'not_found',
+      });
+    }
+    checkCaseAccess(response.data[0]);
+    caseUuid = response.data[0].matter_uuid;
+  } else {
+    // A denied case is refused outright rather than embedding a refusal per tool
+    await requireCaseAccess(session, caseUuid);
+  }
 
-        if (!fullText || !fullText.trim()) {
-          return {
-            content: [{
-              type: 'text',
-              text: JSON.stringify({
-                success: false,
-                document_identifier: identifier,
-                mode,
-                error: 'No text content could be extracted from this document.'
-              }, null, 2)
-            }]
-          };
-        }
+  const values = {
+    ...args,
+    case: args.case_number || caseUuid,
+    case_number: args.case_number,
+    case_uuid: caseUuid,
+    site: sites.multiple ? session.site.name : undefined,
+  };
 
-        const totalLength = fullText.length;
-        const chunks = chunkText(fullText, maxChars);
-        const ESTIMATED_TOKENS = Math.round(totalLength / 4);
-        const MAX_FULL_TOKENS = 40000;
+  // A tool that fails (e.g. a missing API permission) is reported in its block, not fatal
+  const dataBlocks = await mapWithConcurrency(promptDataCalls(prompt, values), DOCUMENT_FETCH_CONCURRENCY, async (call) => {
+    const result = await handleCallTool({ params: { name: call.tool, arguments: call.arguments } }, extra);
+    let text = result.content.filter(block => block.type === 'text').map(block => block.text).join('\n');
+    if (text.length > PROMPT_DATA_MAX_CHARS) {
+      text = `${text.slice(0, PROMPT_DATA_MAX_CHARS)}\n... [cut at ${PROMPT_DATA_MAX_CHARS} characters; call ${call.tool} for the rest]`;
+    }
+    return { tool: call.tool, text };
+  });
 
-        if (mode === 'full' && ESTIMATED_TOKENS > MAX_FULL_TOKENS) {
-          return {
-            content: [{
-              type: 'text',
-              text: JSON.stringify({
-                success: false,
-                document_identifier: identifier,
-                mode: 'full',
-                error: 'Document too large for full retrieval in a single call.',
-                estimated_tokens: ESTIMATED_TOKENS,
-                suggestion: 'Call get_document with mode="preview", "chunk", or "search" instead.'
-              }, null, 2)
-            }]
-          };
-        }
+  return {
+    description: prompt.description,
+    messages: [
+      {
+        role: 'user',
+        content: { type: 'text', text: renderPrompt(prompt, values, dataBlocks) },
+      },
+    ],
+  };
+}
 
-        if (mode === 'preview') {
-          return {
-            content: [{
-              type: 'text',
-              text: JSON.stringify({
-                success: true,
-                document_identifier: identifier,
-                mode: 'preview',
-                total_length: totalLength,
-                estimated_tokens: ESTIMATED_TOKENS,
-                approx_chunks: chunks.length,
-                chunk_index: 0,
-                text: chunks[0],
-                note: 'To retrieve more content, call get_document with mode="chunk" and a chunk_index between 0 and approx_chunks - 1.'
-              }, null, 2)
-            }]
-          };
-        }
+// =============================================================================
+// START THE SERVER
+// =============================================================================
 
-        if (mode === 'chunk') {
-          const idx = typeof args.chunk_index === 'number' ? args.chunk_index : 0;
-
-          if (idx < 0 || idx >= chunks.length) {
-            return {
-              content: [{
-                type: 'text',
-                text: JSON.stringify({
-                  success: false,
-                  document_identifier: identifier,
-                  mode: 'chunk',
-                  error: `chunk_index ${idx} out of range (0-${chunks.length - 1})`,
-                  total_length: totalLength,
-                  approx_chunks: chunks.length
-                }, null, 2)
-              }]
-            };
-          }
+/**
+ * Pulls the caller's LegalServer token off an incoming HTTP request
+ * LibreChat forwards it in the X-LegalServer-Token header (see README);
+ * a plain "Authorization: Bearer" header is accepted as well.
+ */
+function extractRequestToken(req) {
+  const headerToken = req.get(TOKEN_HEADER);
+  if (headerToken && headerToken.trim()) {
+    return headerToken.trim();
+  }
 
-          return {
-            content: [{
-              type: 'text',
-              text: JSON.stringify({
-                success: true,
-                document_identifier: identifier,
-                mode: 'chunk',
-                total_length: totalLength,
-                estimated_tokens: ESTIMATED_TOKENS,
-                approx_chunks: chunks.length,
-                chunk_index: idx,
-                text: chunks[idx]
-              }, null, 2)
-            }]
-          };
-        }
+  const authorization = req.get('authorization');
+  const match = authorization && authorization.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : undefined;
+}
 
-        if (mode === 'search') {
-          const q = (args.search_query || '').trim().toLowerCase();
-
-          if (!q) {
-            return {
-              content: [{
-                type: 'text',
-                text: JSON.stringify({
-                  success: false,
-                  document_identifier: identifier,
-                  mode: 'search',
-                  error: 'search_query is required when mode is "search".'
-                }, null, 2)
-              }]
-            };
-          }
+/**
+ * The caller's token for each site, from an incoming HTTP request
+ * X-LegalServer-Token-<site> names the site; the plain header (or Authorization)
+ * is the default site's token.
+ * @returns {Object} site name -> token
+ */
+function extractSiteTokens(req) {
+  const tokens = {};
+  sites.list().forEach(site => {
+    const token = req.get(`${TOKEN_HEADER}-${site.name}`);
+    if (token && token.trim()) tokens[site.name] = token.trim();
+  });
+  const defaultToken = extractRequestToken(req);
+  if (defaultToken && !tokens[sites.defaultSite.name]) {
+    tokens[sites.defaultSite.name] = defaultToken;
+  }
+  return tokens;
+}
 
-          const paragraphs = fullText.split(/\n{2,}/);
-          const matches = [];
-          let accumulated = '';
-
-          for (let i = 0; i < paragraphs.length; i++) {
-            if (paragraphs[i].toLowerCase().includes(q)) {
-              const context = [];
-              if (i > 0) context.push(paragraphs[i - 1]);
-              context.push(paragraphs[i]);
-              if (i < paragraphs.length - 1) context.push(paragraphs[i + 1]);
-
-              for (const p of context) {
-                if (accumulated.length + p.length + 2 > maxChars) {
-                  break;
-                }
-                matches.push(p);
-                accumulated += p + '\n\n';
-              }
-            }
-            if (accumulated.length >= maxChars) {
-              break;
-            }
-          }
+// Sessions remember a hash of the token that opened them, never the token itself
+function hashToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
 
-          return {
-            content: [{
-              type: 'text',
-              text: JSON.stringify({
-                success: true,
-                document_identifier: identifier,
-                mode: 'search',
-                query: q,
-                total_length: totalLength,
-                estimated_tokens: ESTIMATED_TOKENS,
-                snippet_count: matches.length,
-                text: matches.join('\n\n')
-              }, null, 2)
-            }]
-          };
-        }
+// A session is bound to every site token it was opened with
+function hashCredentials(auth) {
+  return hashToken(Object.entries(auth.extra.siteTokens)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([site, token]) => `${site}=${token}`)
+    .join('\n'));
+}
 
-        // Legacy / explicit full mode: return full text, possibly truncated to maxChars
-        if (mode === 'full') {
-          const textToReturn = totalLength > maxChars ? fullText.slice(0, maxChars) : fullText;
+function sendJsonRpcError(res, status, message) {
+  res.status(status).json({
+    jsonrpc: '2.0',
+    error: { code: -32000, message },
+    id: null,
+  });
+}
 
-          return {
-            content: [{
-              type: 'text',
-              text: JSON.stringify({
-                success: true,
-                document_identifier: identifier,
-                mode: 'full',
-                total_length: totalLength,
-                estimated_tokens: ESTIMATED_TOKENS,
-                truncated: totalLength > maxChars,
-                text: textToReturn
-              }, null, 2)
-            }]
-          };
-        }
+/**
+ * Express middleware: every HTTP request must carry a LegalServer token.
+ * The SDK transports hand req.auth to our handlers as extra.authInfo,
+ * which is where getSession() picks the token up.
+ */
+function requireLegalserverToken(req, res, next) {
+  const siteTokens = extractSiteTokens(req);
+  const token = siteTokens[sites.defaultSite.name] || Object.values(siteTokens)[0];
+  if (!token) {
+    sendJsonRpcError(res, 401, sites.multiple
+      ? `Missing LegalServer token. Send it in the ${TOKEN_HEADER} header, or ${TOKEN_HEADER}-<site> for each site (${sites.names.join(', ')}).`
+      : `Missing LegalServer token. Send it in the ${TOKEN_HEADER} header.`);
+    return;
+  }
 
-        // Fallback for unknown mode values
-        return {
-          content: [{
-            type: 'text',
-            text: JSON.stringify({
-              success: false,
-              document_identifier: identifier,
-              mode,
-              error: `Unsupported mode "${mode}". Use "preview", "chunk", "search", or "full".`
-            }, null, 2)
-          }]
-        };
+  const user = req.get(USER_HEADER);
+  req.auth = {
+    token,
+    clientId: 'legalserver',
+    scopes: [],
+    extra: { user: user && user.trim() ? user.trim() : undefined, siteTokens },
+  };
+  next();
+}
 
-      } catch (extractionError) {
-        // If text extraction fails, return helpful error
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify({
-                success: false,
-                document_identifier: identifier,
-                mime_type: mimeType,
-                error: `Failed to extract text: ${extractionError.message}`,
-                suggestion: 'The document could not be processed. It may be corrupted or in an unsupported format.',
-              }, null, 2),
-            },
-          ],
-        };
-      }
+/**
+ * Starts the shared HTTP server
+ * Serves Streamable HTTP on /mcp and the older HTTP+SSE transport on /sse + /messages.
+ * Each MCP session gets its own Server instance and is bound to the token that opened it.
+ */
+async function startHttpServer() {
+  const app = createMcpExpressApp({ host: MCP_HOST });
+
+  // sessionId -> { transport, tokenHash, lastSeen }
+  const sessions = new Map();
+
+  // Finds the session for a request, rejecting unknown IDs and token mismatches
+  function findSession(sessionId, req, res) {
+    const entry = sessionId && sessions.get(sessionId);
+    if (!entry) {
+      sendJsonRpcError(res, 404, 'Session not found');
+      return null;
+    }
+    if (entry.tokenHash !== hashCredentials(req.auth)) {
+      sendJsonRpcError(res, 403, 'This session belongs to a different LegalServer token');
+      return null;
     }
-    throw new Error(`Unknown tool: ${name}`);
+    entry.lastSeen = Date.now();
+    return entry;
+  }
 
-  } catch (error) {
-    // If anything goes wrong, return a helpful error message
-    return {
-      content: [
-        {
-          type: 'text',
-          text: JSON.stringify({
-            error: true,
-            tool: name,
-            message: error.message,
-            suggestion: 'Check the parameters and try again. Ensure the case exists and you have proper permissions.'
-          }, null, 2),
+  // Closes sessions idle past SESSION_IDLE_TIMEOUT_MINUTES; closing the transport closes
+  // its Server too, which stops that session's resource watcher. Clients coming back
+  // later get 404 and open a new session.
+  const idleTimeoutMs = SESSION_IDLE_TIMEOUT_MINUTES * 60 * 1000;
+  const sweep = setInterval(() => {
+    const cutoff = Date.now() - idleTimeoutMs;
+    for (const [id, entry] of sessions) {
+      if (entry.lastSeen > cutoff) continue;
+      sessions.delete(id);
+      entry.transport.close().catch(error => console.error(`Closing idle session failed: ${error.message}`));
+    }
+  }, Math.min(idleTimeoutMs, 60 * 1000));
+  sweep.unref();
+
+  // Streamable HTTP: POST carries client messages and may open a new session
+  app.post('/mcp', requireLegalserverToken, async (req, res) => {
+    const sessionId = req.get('mcp-session-id');
+    let transport;
+
+    if (sessionId) {
+      const entry = findSession(sessionId, req, res);
+      if (!entry) return;
+      if (!(entry.transport instanceof StreamableHTTPServerTransport)) {
+        sendJsonRpcError(res, 400, 'Session was opened with the SSE transport; post to /messages instead');
+        return;
+      }
+      transport = entry.transport;
+    } else if (isInitializeRequest(req.body)) {
+      const tokenHash = hashCredentials(req.auth);
+      transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => randomUUID(),
+        onsessioninitialized: (id) => {
+          sessions.set(id, { transport, tokenHash, lastSeen: Date.now() });
         },
-      ],
-      isError: true,
-    };
-  }
-});
+      });
+      transport.onclose = () => {
+        if (transport.sessionId) {
+          sessions.delete(transport.sessionId);
+        }
+      };
+      await createServer().connect(transport);
+    } else {
+      sendJsonRpcError(res, 400, 'Bad Request: No valid session ID provided');
+      return;
+    }
 
-// =============================================================================
-// START THE SERVER
-// =============================================================================
+    await transport.handleRequest(req, res, req.body);
+  });
+
+  // Streamable HTTP: GET opens the server-to-client stream, DELETE ends the session
+  const handleSessionRequest = async (req, res) => {
+    const entry = findSession(req.get('mcp-session-id'), req, res);
+    if (!entry) return;
+    if (!(entry.transport instanceof StreamableHTTPServerTransport)) {
+      sendJsonRpcError(res, 400, 'Session was opened with the SSE transport');
+      return;
+    }
+    await entry.transport.handleRequest(req, res);
+  };
+  app.get('/mcp', requireLegalserverToken, handleSessionRequest);
+  app.delete('/mcp', requireLegalserverToken, handleSessionRequest);
+
+  // Legacy HTTP+SSE transport, for clients configured with type: sse
+  app.get('/sse', requireLegalserverToken, async (req, res) => {
+    const transport = new SSEServerTransport('/messages', res);
+    sessions.set(transport.sessionId, { transport, tokenHash: hashCredentials(req.auth), lastSeen: Date.now() });
+    res.on('close', () => {
+      sessions.delete(transport.sessionId);
+    });
+    await createServer().connect(transport);
+  });
+
+  app.post('/messages', requireLegalserverToken, async (req, res) => {
+    const entry = findSession(req.query.sessionId, req, res);
+    if (!entry) return;
+    if (!(entry.transport instanceof SSEServerTransport)) {
+      sendJsonRpcError(res, 400, 'Session was opened with the Streamable HTTP transport; post to /mcp instead');
+      return;
+    }
+    await entry.transport.handlePostMessage(req, res, req.body);
+  });
+
+  await new Promise((resolve, reject) => {
+    const httpServer = app.listen(PORT, MCP_HOST, (error) => {
+      if (error) {
+        reject(error);
+        return;
+      }
+      resolve(httpServer);
+    });
+  });
+
+  console.error(`Legalserver MCP Server is listening on http://${MCP_HOST}:${PORT}/mcp (SSE: /sse)`);
+}
 
 /**
  * Main function to start the MCP server
- * This connects the server to LibreChat via standard input/output
+ * By default this connects the server to LibreChat via standard input/output;
+ * with MCP_TRANSPORT=http it serves every LibreChat user from one HTTP endpoint.
  */
 async function main() {
   console.error('Starting Legalserver MCP Server...');
+
+  if (MCP_TRANSPORT === 'http') {
+    await startHttpServer();
+    return;
+  }
   
   // Create a transport that communicates via stdio (standard input/output)
   // This is how LibreChat will talk to our server
   const transport = new StdioServerTransport();
   
   // Connect the server to the transport
-  await server.connect(transport);
+  await createServer().connect(transport);
   
   console.error('Legalserver MCP Server is running and ready!');
 }
@@ -904,4 +4000,4 @@ async function main() {
 main().catch((error) => {
   console.error('Fatal error starting server:', error);
   process.exit(1);
-});
\ No newline at end of file
+});
@@ -0,0 +1,181 @@
+// Access policy: which cases, document folders and note types the tools may touch
+//
+// A deployment's policy lives in a YAML/JSON file (ACCESS_POLICY_FILE); see
+// config/access-policy.example.yaml:
+//
+//   name: housing-unit
+//   cases:
+//     allow:                       every listed field must match one of its values
+//       intake_program: [Housing]
+//     deny:                        any listed field matching one of its values denies
+//       legal_problem_code: ["99"]
+//       case_disposition: [Prescreen]
+//   documents:
+//     deny_folder_ids: [12, 15]
+//   notes:
+//     deny_note_types: [Attorney Privileged]
+//
+// Values match case-insensitively. A legal_problem_code also matches by its code alone
+// ("63" matches "63 Private Landlord/Tenant"). Offices match by name, code or display
+// name. A case missing a field that an allow rule lists is denied.
+//
+// The policy is applied on top of LegalServer's own permissions; it only ever takes
+// data away from what the caller's token could read.
+
+const CASE_FIELDS = ['intake_office', 'intake_program', 'legal_problem_code', 'case_disposition'];
+
+/**
+ * Raised when the access policy refuses a case, document or note
+ * callTool reports it as a structured refusal instead of data.
+ */
+class AccessDeniedError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} details
+   * @param {string} details.policy - Policy name
+   * @param {string} details.reason - Which rule refused, e.g. "cases.deny.case_disposition"
+   * @param {string} [details.suggestion]
+   */
+  constructor(message, { policy, reason, suggestion }) {
+    super(message);
+    this.name = 'AccessDeniedError';
+    this.kind = 'access_denied';
+    this.policy = policy;
+    this.reason = reason;
+    this.suggestion = suggestion
+      || 'The access policy configured for this assistant does not allow this. Tell the user it is restricted; do not try to reach the same data another way.';
+  }
+}
+
+// Every string a field's value can be matched by; LegalServer returns offices
+// as objects and lookups either as labels or as { lookup_value_name } objects
+function candidateValues(value) {
+  if (value === null || value === undefined || value === '') return [];
+  if (typeof value !== 'object') return [String(value)];
+  return [
+    value.lookup_value_name, value.lookup_value_id, value.name, value.id,
+    value.office_name, value.office_code, value.office_display, value.text_value,
+  ]
+    .filter(item => item !== null && item !== undefined && item !== '')
+    .map(String);
+}
+
+const normalize = value => String(value).trim().toLowerCase();
+
+function matches(field, value, wanted) {
+  const candidates = candidateValues(value).map(normalize);
+  return candidates.some(candidate => wanted.some(item => (
+    candidate === item
+    || (field === 'legal_problem_code' && candidate.startsWith(`${item} `))
+  )));
+}
+
+// Display form of a field's value, for refusal messages
+const describeValue = value => candidateValues(value)[0];
+
+function readValueList(list, where) {
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new Error(`Access policy: ${where} must be a non-empty list`);
+  }
+  return list.map((item, i) => {
+    if (typeof item !== 'string' && typeof item !== 'number') {
+      throw new Error(`Access policy: ${where}[${i}] must be a string or number`);
+    }
+    return normalize(item);
+  });
+}
+
+function readCaseRules(rules, where) {
+  if (rules === undefined) return {};
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    throw new Error(`Access policy: ${where} must be a mapping of field to values`);
+  }
+  return Object.fromEntries(Object.entries(rules).map(([field, values]) => {
+    if (!CASE_FIELDS.includes(field)) {
+      throw new Error(`Access policy: ${where}.${field} is not supported; use ${CASE_FIELDS.join(', ')}`);
+    }
+    return [field, readValueList(values, `${where}.${field}`)];
+  }));
+}
+
+/**
+ * Builds an access policy from its parsed file
+ *
+ * @param {Object} config - The parsed policy file
+ * @returns {Object} Policy with caseDenial(), allowsDocument() and allowsNote()
+ * @throws {Error} When the policy is malformed
+ */
+function createAccessPolicy(config) {
+  if (!config || typeof config !== 'object') {
+    throw new Error('Access policy: expected a mapping');
+  }
+  const known = ['name', 'cases', 'documents', 'notes'];
+  const unknown = Object.keys(config).filter(key => !known.includes(key));
+  if (unknown.length) {
+    throw new Error(`Access policy: unknown section ${unknown.join(', ')}; expected ${known.join(', ')}`);
+  }
+
+  const name = config.name || 'access-policy';
+  const allow = readCaseRules(config.cases?.allow, 'cases.allow');
+  const deny = readCaseRules(config.cases?.deny, 'cases.deny');
+  const deniedFolders = config.documents?.deny_folder_ids === undefined
+    ? []
+    : readValueList(config.documents.deny_folder_ids, 'documents.deny_folder_ids');
+  const deniedNoteTypes = config.notes?.deny_note_types === undefined
+    ? []
+    : readValueList(config.notes.deny_note_types, 'notes.deny_note_types');
+
+  return {
+    name,
+    restrictsCases: Object.keys(allow).length > 0 || Object.keys(deny).length > 0,
+    restrictsDocuments: deniedFolders.length > 0,
+    restrictsNotes: deniedNoteTypes.length > 0,
+
+    /**
+     * Why the policy refuses a case, if it does
+     * @param {Object} matter - Matter record (results=full, or a search result)
+     * @returns {{ reason: string, message: string }|null} null when the case is allowed
+     */
+    caseDenial(matter) {
+      for (const [field, values] of Object.entries(allow)) {
+        if (!matches(field, matter[field], values)) {
+          const shown = describeValue(matter[field]);
+          return {
+            reason: `cases.allow.${field}`,
+            message: shown
+              ? `This case's ${field} ("${shown}") is not one the access policy allows`
+              : `This case has no ${field}, and the access policy only allows cases with certain ones`,
+          };
+        }
+      }
+      for (const [field, values] of Object.entries(deny)) {
+        if (matches(field, matter[field], values)) {
+          return {
+            reason: `cases.deny.${field}`,
+            message: `The access policy does not allow cases with ${field} "${describeValue(matter[field])}"`,
+          };
+        }
+      }
+      return null;
+    },
+
+    /**
+     * Whether a document record (from the matter's document list) may be used
+     */
+    allowsDocument(doc) {
+      return !deniedFolders.length || !matches('folder_id', doc.folder_id, deniedFolders);
+    },
+
+    /**
+     * Whether a case note may be shown
+     */
+    allowsNote(note) {
+      return !deniedNoteTypes.length || !matches('note_type', note.note_type, deniedNoteTypes);
+    },
+  };
+}
+
+module.exports = {
+  AccessDeniedError,
+  createAccessPolicy,
+};
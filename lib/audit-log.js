@@ -0,0 +1,208 @@
+// Tamper-evident audit log of tool calls and resource reads (append-only JSONL)
+//
+// Each line is one entry; its `hash` covers the entry and the previous entry's hash,
+// so editing, removing or reordering lines breaks the chain from that point on.
+// With a key (AUDIT_LOG_HMAC_KEY) the hashes are HMACs, and someone who can edit the
+// file can't rebuild the chain without the key either.
+//
+// Several stdio server processes may share one file, so appends take a lock file
+// and re-read the chain's tail before writing.
+
+const fs = require('node:fs');
+const fsp = require('node:fs/promises');
+const path = require('node:path');
+const { createHash, createHmac } = require('node:crypto');
+
+const GENESIS_HASH = '0'.repeat(64);
+const STALE_LOCK_MS = 10000;
+const LOCK_ATTEMPTS = 1000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function hashEntry(entry, key) {
+  const { hash, ...fields } = entry;
+  const payload = JSON.stringify(fields);
+  return key
+    ? createHmac('sha256', key).update(payload).digest('hex')
+    : createHash('sha256').update(payload).digest('hex');
+}
+
+/**
+ * The last complete line of a file, reading backwards from the end
+ * @returns {Promise<string|null>}
+ */
+async function readLastLine(file) {
+  let handle;
+  try {
+    handle = await fsp.open(file, 'r');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+  try {
+    const { size } = await handle.stat();
+    let position = size;
+    let tail = '';
+    while (position > 0) {
+      const length = Math.min(65536, position);
+      position -= length;
+      const { buffer } = await handle.read(Buffer.alloc(length), 0, length, position);
+      tail = buffer.toString('utf8') + tail;
+      const lines = tail.split('\n').filter(line => line.trim());
+      if (lines.length > 1 || (position === 0 && lines.length === 1)) return lines[lines.length - 1];
+    }
+    return null;
+  } finally {
+    await handle.close();
+  }
+}
+
+async function withLock(lockFile, fn) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      await (await fsp.open(lockFile, 'wx')).close();
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+      // A lock left behind by a process that died mid-write
+      const stat = await fsp.stat(lockFile).catch(() => null);
+      if (stat && Date.now() - stat.mtimeMs > STALE_LOCK_MS) {
+        await fsp.rm(lockFile, { force: true });
+        continue;
+      }
+      if (attempt >= LOCK_ATTEMPTS) throw new Error(`Audit log is locked (${lockFile})`);
+      await sleep(5 + Math.random() * 20);
+    }
+  }
+  try {
+    return await fn();
+  } finally {
+    await fsp.rm(lockFile, { force: true });
+  }
+}
+
+/**
+ * Opens an audit log for appending
+ *
+ * @param {Object} options
+ * @param {string} options.file - JSONL file; created (with its directory) if missing
+ * @param {string} [options.key] - HMAC key for the chain
+ * @returns {{ file: string, append: Function }}
+ */
+function createAuditLog({ file, key }) {
+  const resolved = path.resolve(file);
+  fs.mkdirSync(path.dirname(resolved), { recursive: true, mode: 0o700 });
+  fs.closeSync(fs.openSync(resolved, 'a', 0o600));
+
+  let queue = Promise.resolve();
+
+  return {
+    file: resolved,
+
+    /**
+     * Appends an entry, chained to the last one in the file
+     * @param {Object} fields - Entry contents; seq, prev_hash and hash are added
+     * @returns {Promise<Object>} The entry as written
+     */
+    append(fields) {
+      const write = async () => withLock(`${resolved}.lock`, async () => {
+        const lastLine = await readLastLine(resolved);
+        let last = null;
+        if (lastLine) {
+          try {
+            last = JSON.parse(lastLine);
+          } catch (error) {
+            throw new Error(`Audit log ${resolved} ends with an unreadable line; run the verify command`);
+          }
+        }
+        const entry = {
+          seq: last ? last.seq + 1 : 1,
+          ...fields,
+          prev_hash: last ? last.hash : GENESIS_HASH,
+        };
+        entry.hash = hashEntry(entry, key);
+        await fsp.appendFile(resolved, `${JSON.stringify(entry)}\n`, { mode: 0o600 });
+        return entry;
+      });
+      // One write at a time from this process; a failed write doesn't block later ones
+      const result = queue.then(write, write);
+      queue = result.catch(() => {});
+      return result;
+    },
+  };
+}
+
+/**
+ * Walks an audit log file and checks every entry's hash and link
+ *
+ * @param {string} file
+ * @param {Object} [options]
+ * @param {string} [options.key] - The HMAC key the log was written with
+ * @param {Function} [options.onEntry] - Called with each entry that checks out
+ * @returns {Promise<{ ok: boolean, entries: number, line?: number, reason?: string }>}
+ */
+async function verifyAuditLog(file, { key, onEntry } = {}) {
+  const readline = require('node:readline');
+  const lines = readline.createInterface({ input: fs.createReadStream(path.resolve(file)), crlfDelay: Infinity });
+
+  let previous = null;
+  let lineNumber = 0;
+  let entries = 0;
+  for await (const line of lines) {
+    lineNumber++;
+    if (!line.trim()) continue;
+
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      return { ok: false, entries, line: lineNumber, reason: 'line is not valid JSON' };
+    }
+    const expectedSeq = previous ? previous.seq + 1 : 1;
+    if (entry.seq !== expectedSeq) {
+      return { ok: false, entries, line: lineNumber, reason: `seq is ${entry.seq}, expected ${expectedSeq} (entries removed or reordered)` };
+    }
+    if (entry.prev_hash !== (previous ? previous.hash : GENESIS_HASH)) {
+      return { ok: false, entries, line: lineNumber, reason: 'prev_hash does not match the previous entry' };
+    }
+    if (entry.hash !== hashEntry(entry, key)) {
+      return { ok: false, entries, line: lineNumber, reason: `hash does not match the entry's contents${key ? '' : ' (was the log written with AUDIT_LOG_HMAC_KEY?)'}` };
+    }
+    if (onEntry) onEntry(entry);
+    previous = entry;
+    entries++;
+  }
+  return { ok: true, entries };
+}
+
+// Keys whose values identify matters and documents in tool arguments and results
+const MATTER_KEYS = ['case_uuid', 'matter_uuid'];
+const DOCUMENT_KEYS = ['guid', 'document_uuid', 'document_guid'];
+
+/**
+ * Collects the matter UUIDs and document guids mentioned anywhere in a value
+ * @param {*} value - Parsed arguments or response
+ * @param {{ matters: Set, documents: Set }} [found]
+ * @returns {{ matters: Set, documents: Set }}
+ */
+function collectReferences(value, found = { matters: new Set(), documents: new Set() }) {
+  if (Array.isArray(value)) {
+    value.forEach(item => collectReferences(item, found));
+  } else if (value && typeof value === 'object') {
+    for (const [key, child] of Object.entries(value)) {
+      if (typeof child === 'string' && child) {
+        if (MATTER_KEYS.includes(key)) found.matters.add(child);
+        if (DOCUMENT_KEYS.includes(key)) found.documents.add(child);
+      } else {
+        collectReferences(child, found);
+      }
+    }
+  }
+  return found;
+}
+
+module.exports = {
+  createAuditLog,
+  verifyAuditLog,
+  collectReferences,
+};
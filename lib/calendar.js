@@ -0,0 +1,190 @@
+// Deadlines and calendar: tasks and events shaped for list_tasks / list_events
+//
+// LegalServer's task and event searches can't filter by date window or office, so the
+// tools fetch a bounded set of records and this module narrows and describes them.
+
+const { normalizeDate, userNames } = require('./timeline');
+
+/**
+ * Today's date in the server's time zone, as YYYY-MM-DD
+ */
+function localToday() {
+  const now = new Date();
+  const pad = value => String(value).padStart(2, '0');
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+/**
+ * Adds days to a YYYY-MM-DD date
+ */
+function addDays(date, days) {
+  const shifted = new Date(`${date}T12:00:00Z`);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted.toISOString().slice(0, 10);
+}
+
+function daysBetween(from, to) {
+  return Math.round((new Date(`${to}T12:00:00Z`) - new Date(`${from}T12:00:00Z`)) / 86400000);
+}
+
+// Case-insensitive "contains" match against a user's name or exact match on their uuid
+function matchesUser(users, wanted) {
+  if (!wanted) return true;
+  const needle = wanted.trim().toLowerCase();
+  const individuals = Array.isArray(users?.individual_values) ? users.individual_values : [];
+  if (individuals.some(user => user.user_uuid === wanted || (user.user_name || '').toLowerCase().includes(needle))) {
+    return true;
+  }
+  return (users?.all_values || '').toLowerCase().includes(needle);
+}
+
+function matchesOffice(record, wanted) {
+  if (!wanted) return true;
+  const needle = wanted.trim().toLowerCase();
+  const office = record.office;
+  const values = [
+    typeof office === 'string' ? office : office?.office_name,
+    office?.office_code,
+    office?.office_display,
+    record.program,
+  ];
+  return values.some(value => typeof value === 'string' && value.toLowerCase().includes(needle));
+}
+
+function inWindow(date, from, to) {
+  return Boolean(date) && (!from || date >= from) && (!to || date <= to);
+}
+
+/**
+ * Describes a task for the model, classifying it as overdue, upcoming or completed
+ * @param {Object} task - A v1_core_task record
+ * @param {string} today - YYYY-MM-DD
+ */
+function describeTask(task, today) {
+  const due = normalizeDate(task.due_date);
+  const dueDate = due ? due.date : null;
+
+  let status;
+  if (task.completed) status = 'completed';
+  else if (dueDate && dueDate < today) status = 'overdue';
+  else status = 'upcoming';
+
+  const matter = task.module && task.module.matter_uuid ? task.module : null;
+  return {
+    task_uuid: task.task_uuid,
+    title: task.title,
+    due_date: dueDate,
+    status,
+    days_overdue: status === 'overdue' ? daysBetween(dueDate, today) : undefined,
+    days_until_due: status === 'upcoming' && dueDate ? daysBetween(today, dueDate) : undefined,
+    deadline: task.deadline || false,
+    deadline_type: task.deadline_type || undefined,
+    task_type: task.task_type || undefined,
+    statute_of_limitations: task.statute_of_limitations || undefined,
+    assignees: userNames(task.users),
+    completed: Boolean(task.completed),
+    completed_date: normalizeDate(task.completed_date)?.date,
+    completed_by: task.completed_by?.user_name || undefined,
+    case_number: matter ? matter.matter_identification_number : undefined,
+    case_uuid: matter ? matter.matter_uuid : undefined,
+    client_name: matter ? matter.matter : undefined,
+  };
+}
+
+/**
+ * Filters and sorts tasks for list_tasks
+ *
+ * @param {Array} tasks - v1_core_task records
+ * @param {Object} options
+ * @param {string} options.status - open (overdue + upcoming), overdue, upcoming, completed or all
+ * @param {string} [options.from] - Earliest due date (YYYY-MM-DD); overdue tasks ignore it unless given
+ * @param {string} [options.to] - Latest due date (YYYY-MM-DD)
+ * @param {string} [options.user] - Assignee name or uuid
+ * @param {string} [options.office] - Office or program name
+ * @param {boolean} [options.deadlinesOnly]
+ * @param {string} options.today - YYYY-MM-DD
+ * @returns {Array<Object>} Described tasks, soonest due first (overdue first of all)
+ */
+function selectTasks(tasks, { status, from, to, user, office, deadlinesOnly, today }) {
+  return tasks
+    .filter(task => task.active !== false)
+    .filter(task => matchesUser(task.users, user) && matchesOffice(task, office))
+    .filter(task => !deadlinesOnly || task.deadline)
+    .map(task => describeTask(task, today))
+    .filter(task => {
+      if (status === 'open' && task.status === 'completed') return false;
+      if (status !== 'open' && status !== 'all' && task.status !== status) return false;
+      // Overdue work stays visible however old it is, unless a start date was asked for
+      if (task.status === 'overdue' && !from) return true;
+      return inWindow(task.due_date, from, to);
+    })
+    .sort((a, b) => (a.due_date || '9999').localeCompare(b.due_date || '9999'));
+}
+
+/**
+ * Describes an event for the model
+ * @param {Object} event - A v1_core_event record
+ */
+function describeEvent(event) {
+  const start = normalizeDate(event.start_datetime);
+  const end = normalizeDate(event.end_datetime);
+  const cases = Array.isArray(event.matters?.individual_values)
+    ? event.matters.individual_values.map(matter => ({
+      case_number: matter.matter_identification_number,
+      case_uuid: matter.matter_uuid,
+      client_name: matter.matter,
+    }))
+    : [];
+
+  return {
+    event_uuid: event.event_uuid,
+    title: event.title,
+    date: start ? start.date : null,
+    start_time: event.all_day_event ? undefined : start?.time,
+    end_date: end && start && end.date !== start.date ? end.date : undefined,
+    end_time: event.all_day_event ? undefined : end?.time,
+    all_day: Boolean(event.all_day_event),
+    event_type: event.event_type || undefined,
+    court: event.court || undefined,
+    courtroom: event.courtroom || undefined,
+    judge: event.judge || undefined,
+    location: event.location || undefined,
+    attendees: userNames(event.attendees),
+    office: event.office?.office_name || undefined,
+    cases: cases.length ? cases : undefined,
+  };
+}
+
+/**
+ * Filters and sorts events for list_events
+ *
+ * @param {Array} events - v1_core_event records
+ * @param {Object} options
+ * @param {string} options.from - YYYY-MM-DD
+ * @param {string} options.to - YYYY-MM-DD
+ * @param {string} [options.user] - Attendee name or uuid
+ * @param {string} [options.office] - Office or program name
+ * @param {string} [options.caseUuid] - Only events linked to this matter
+ * @param {boolean} [options.courtOnly] - Only events with a court
+ * @returns {Array<Object>} Described events, earliest first
+ */
+function selectEvents(events, { from, to, user, office, caseUuid, courtOnly }) {
+  return events
+    .filter(event => matchesUser(event.attendees, user) && matchesOffice(event, office))
+    .filter(event => !courtOnly || event.court)
+    .filter(event => {
+      const linked = event.matters?.individual_values;
+      return !caseUuid || !Array.isArray(linked) || linked.length === 0
+        || linked.some(matter => matter.matter_uuid === caseUuid);
+    })
+    .map(describeEvent)
+    .filter(event => inWindow(event.date, from, to))
+    .sort((a, b) => `${a.date} ${a.start_time || ''}`.localeCompare(`${b.date} ${b.start_time || ''}`));
+}
+
+module.exports = {
+  localToday,
+  addDays,
+  selectTasks,
+  selectEvents,
+};
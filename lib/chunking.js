@@ -0,0 +1,191 @@
+// Structure-aware chunking for get_document
+//
+// Chunks end at the strongest natural boundary that fits: a page break (PDFs), then a
+// heading (Word), then a blank line, a sentence end, a line end and finally a space.
+// Every chunk carries its character offsets and, where the extractor knows them, the
+// pages and section it covers, so a chunk can be cited as "page 4" rather than "chunk 3".
+//
+// Extractors describe structure with two optional arrays on their result:
+//   pages:    [{ num, start, end }]    character range of each page in the text
+//   headings: [{ level, title, start }] where each heading begins
+
+const { ToolError } = require('./tool-errors');
+
+const BREAK_PAGE = 5;
+const BREAK_HEADING = 4;
+const BREAK_PARAGRAPH = 3;
+const BREAK_SENTENCE = 2;
+const BREAK_LINE = 1;
+const BREAK_WORD = 0;
+
+// A chunk is never cut shorter than this share of max_chars just to land on a boundary
+const MIN_FILL = 0.5;
+
+// Finds the best place to end a chunk that starts at `start` and may run to `limit`
+function chooseBreak(text, start, limit, structural) {
+  const minEnd = start + Math.floor((limit - start) * MIN_FILL);
+
+  // Page breaks and headings win, latest first within the strongest kind
+  let best = null;
+  for (const boundary of structural) {
+    if (boundary.offset <= minEnd || boundary.offset > limit) continue;
+    if (!best || boundary.strength > best.strength
+      || (boundary.strength === best.strength && boundary.offset > best.offset)) {
+      best = boundary;
+    }
+  }
+  if (best) return best;
+
+  const paragraph = text.lastIndexOf('\n\n', limit - 2);
+  if (paragraph > minEnd) {
+    return { offset: paragraph + 2, strength: BREAK_PARAGRAPH };
+  }
+
+  for (let i = limit - 1; i > minEnd; i--) {
+    if ('.!?'.includes(text[i - 1]) && /\s/.test(text[i])) {
+      return { offset: i + 1, strength: BREAK_SENTENCE };
+    }
+  }
+
+  const line = text.lastIndexOf('\n', limit - 1);
+  if (line > minEnd) {
+    return { offset: line + 1, strength: BREAK_LINE };
+  }
+
+  const space = text.lastIndexOf(' ', limit - 1);
+  if (space > minEnd) {
+    return { offset: space + 1, strength: BREAK_WORD };
+  }
+
+  return { offset: limit, strength: BREAK_WORD };
+}
+
+/**
+ * Finds the first and last page a character range touches
+ *
+ * @param {Array<{ num: number, start: number, end: number }>} pages
+ * @param {number} start - Inclusive character offset
+ * @param {number} end - Exclusive character offset
+ * @returns {{ page_start: number, page_end: number }|null} null when the document has no page information
+ */
+function pageRangeFor(pages, start, end) {
+  if (!pages || pages.length === 0) return null;
+
+  const pageAt = (offset) => {
+    const page = pages.find(candidate => offset >= candidate.start && offset < candidate.end);
+    return page ? page.num : pages[pages.length - 1].num;
+  };
+
+  return {
+    page_start: pageAt(start),
+    page_end: pageAt(Math.max(start, end - 1)),
+  };
+}
+
+// The heading of the section a character offset falls in
+function sectionAt(headings, offset) {
+  let current = null;
+  for (const heading of headings || []) {
+    if (heading.start > offset) break;
+    current = heading;
+  }
+  return current ? current.title : null;
+}
+
+/**
+ * Splits document text into chunks along its structure
+ *
+ * @param {string} text
+ * @param {Object} options
+ * @param {number} options.maxChars - Maximum characters per chunk
+ * @param {number} [options.overlap=0] - Characters repeated from the end of the previous chunk.
+ *   Not applied after a page break or heading, so those chunks start cleanly.
+ * @param {Array} [options.pages] - Page ranges from the extractor
+ * @param {Array} [options.headings] - Heading positions from the extractor
+ * @returns {Array<Object>} { index, char_start, char_end, page_start?, page_end?, section?, text }
+ */
+function chunkDocument(text, { maxChars, overlap = 0, pages = [], headings = [] }) {
+  const structural = [
+    ...(pages || []).map(page => ({ offset: page.end, strength: BREAK_PAGE })),
+    ...(headings || []).map(heading => ({ offset: heading.start, strength: BREAK_HEADING })),
+  ].filter(boundary => boundary.offset > 0 && boundary.offset < text.length);
+
+  // Overlap must leave room for the chunk to move forward
+  const effectiveOverlap = Math.max(0, Math.min(overlap, Math.floor(maxChars / 2)));
+
+  const chunks = [];
+  let start = 0;
+
+  while (start < text.length) {
+    const limit = Math.min(start + maxChars, text.length);
+    const cut = limit < text.length
+      ? chooseBreak(text, start, limit, structural)
+      : { offset: limit, strength: BREAK_PAGE };
+    const end = cut.offset;
+
+    const chunk = {
+      index: chunks.length,
+      char_start: start,
+      char_end: end,
+      ...pageRangeFor(pages, start, end),
+      section: sectionAt(headings, start) || undefined,
+      text: text.slice(start, end),
+    };
+    chunks.push(chunk);
+
+    if (end >= text.length) break;
+
+    let next = end;
+    if (effectiveOverlap > 0 && cut.strength < BREAK_HEADING) {
+      next = end - effectiveOverlap;
+      // Start the overlap on a word rather than mid-word
+      const space = text.indexOf(' ', next);
+      if (space !== -1 && space < end) {
+        next = space + 1;
+      }
+    }
+    start = Math.max(next, start + 1);
+  }
+
+  return chunks;
+}
+
+/**
+ * Parses a page selection such as "4", "2-5" or "1,3,7-9"
+ *
+ * @param {string|number} selection
+ * @param {number} totalPages
+ * @returns {number[]} Sorted, de-duplicated page numbers
+ * @throws {ToolError} invalid_arguments when the selection is malformed or out of range
+ */
+function parsePageSelection(selection, totalPages) {
+  const pages = new Set();
+  const parts = String(selection).split(',').map(part => part.trim()).filter(Boolean);
+
+  if (parts.length === 0) {
+    throw new ToolError('invalid_arguments', 'pages is required when mode is "page" (e.g., "4" or "2-5")');
+  }
+
+  for (const part of parts) {
+    const match = part.match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+    if (!match) {
+      throw new ToolError('invalid_arguments', `Invalid page selection "${part}". Use page numbers and ranges like "4" or "2-5".`);
+    }
+    const first = parseInt(match[1], 10);
+    const last = match[2] ? parseInt(match[2], 10) : first;
+    if (first < 1 || last < first || last > totalPages) {
+      throw new ToolError('invalid_arguments', `Page selection "${part}" is out of range (1-${totalPages})`);
+    }
+    for (let num = first; num <= last; num++) {
+      pages.add(num);
+    }
+  }
+
+  return [...pages].sort((a, b) => a - b);
+}
+
+module.exports = {
+  chunkDocument,
+  pageRangeFor,
+  parsePageSelection,
+};
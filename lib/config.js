@@ -0,0 +1,42 @@
+// Loading of deployment config files (redaction policy, field profiles, ...)
+//
+// Files may be JSON or YAML, chosen by extension. Paths are resolved against the
+// current working directory, like the rest of the environment-driven settings.
+
+const fs = require('node:fs');
+const path = require('node:path');
+
+/**
+ * Reads and parses a JSON or YAML config file
+ *
+ * @param {string} filePath - .json, .yaml or .yml
+ * @param {string} [description] - What the file configures, for error messages
+ * @returns {*} The parsed document
+ * @throws {Error} When the file cannot be read or parsed
+ */
+function loadConfigFile(filePath, description = 'config file') {
+  const resolved = path.resolve(filePath);
+
+  let raw;
+  try {
+    raw = fs.readFileSync(resolved, 'utf8');
+  } catch (error) {
+    throw new Error(`Cannot read ${description} ${resolved}: ${error.message}`);
+  }
+
+  const extension = path.extname(resolved).toLowerCase();
+  try {
+    if (extension === '.yaml' || extension === '.yml') {
+      // Required lazily so JSON-only deployments never load the YAML parser
+      const YAML = require('yaml');
+      return YAML.parse(raw);
+    }
+    return JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`Invalid ${description} ${resolved}: ${error.message}`);
+  }
+}
+
+module.exports = {
+  loadConfigFile,
+};
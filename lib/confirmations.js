@@ -0,0 +1,64 @@
+// Two-step confirmation for write tools
+//
+// A write tool first runs as a preview: it builds the exact request it would send
+// and gets a one-time confirmation token for it. Only a second call carrying that
+// token (from the same caller, with the same request, before it expires) sends it.
+// Tokens live in memory, so a server restart simply means previewing again.
+
+const { randomUUID } = require('node:crypto');
+const { ToolError } = require('./tool-errors');
+
+/**
+ * Creates an in-memory store of pending confirmations
+ *
+ * @param {Object} options
+ * @param {number} options.ttlMs - How long a preview stays confirmable
+ * @returns {{ issue: Function, redeem: Function }}
+ */
+function createConfirmationStore({ ttlMs }) {
+  const pending = new Map();
+
+  const prune = () => {
+    const now = Date.now();
+    for (const [token, entry] of pending) {
+      if (entry.expiresAt <= now) pending.delete(token);
+    }
+  };
+
+  return {
+    /**
+     * Records a previewed request and returns the token that confirms it
+     * @param {string} caller - Stable identifier of the caller (e.g. a token hash)
+     * @param {{ method: string, endpoint: string, body: Object }} request
+     * @returns {{ token: string, expires_at: string }}
+     */
+    issue(caller, request) {
+      prune();
+      const token = randomUUID();
+      const expiresAt = Date.now() + ttlMs;
+      pending.set(token, { caller, request: JSON.stringify(request), expiresAt });
+      return { token, expires_at: new Date(expiresAt).toISOString() };
+    },
+
+    /**
+     * Consumes a token; it can only be used once
+     * @throws {ToolError} invalid_confirmation when the token is unknown, expired, from another caller,
+     *   or was issued for a different request
+     */
+    redeem(token, caller, request) {
+      prune();
+      const entry = pending.get(token);
+      if (!entry || entry.caller !== caller) {
+        throw new ToolError('invalid_confirmation', 'Unknown or expired confirmation_token. Run the tool again without confirmation_token to preview the change and get a new token.');
+      }
+      if (entry.request !== JSON.stringify(request)) {
+        throw new ToolError('invalid_confirmation', 'The arguments differ from the previewed change. Run the tool again without confirmation_token to preview the new version.');
+      }
+      pending.delete(token);
+    },
+  };
+}
+
+module.exports = {
+  createConfirmationStore,
+};
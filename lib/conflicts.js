@@ -0,0 +1,227 @@
+// Conflict screening: fuzzy name matching of prospective parties against existing matters
+//
+// LegalServer's own conflict check (POST /api/v1/conflict_check) scores one person at a
+// time but does not say which case matched. This module compares the people and
+// organizations of a new intake with the clients and adverse parties of existing
+// matters, and ranks both kinds of result into one explained list.
+
+const { jaroWinkler } = require('./similarity');
+
+const LEVELS = ['highest', 'high', 'low', 'lowest'];
+
+// Words that don't distinguish one name from another
+const NAME_SUFFIXES = new Set(['jr', 'sr', 'ii', 'iii', 'iv']);
+const ORGANIZATION_WORDS = new Set([
+  'the', 'inc', 'incorporated', 'llc', 'llp', 'lp', 'ltd', 'co', 'corp', 'corporation', 'company', 'pc', 'pllc', 'and', 'of',
+]);
+
+function tokens(value, ignore) {
+  return String(value || '')
+    .toLowerCase()
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word && !ignore.has(word));
+}
+
+/**
+ * Normalizes a party to what matching compares
+ * @param {Object} party - { first?, middle?, last?, organization?, dob? }
+ * @returns {{ kind: 'person'|'organization', first?: string, last?: string, words?: string[], dob?: string }|null}
+ */
+function normalizeParty(party) {
+  const first = tokens(party.first, NAME_SUFFIXES).join(' ');
+  const last = tokens(party.last, NAME_SUFFIXES).join(' ');
+  const dob = typeof party.dob === 'string' && /^\d{4}-\d{2}-\d{2}/.test(party.dob) ? party.dob.slice(0, 10) : undefined;
+  if (last) return { kind: 'person', first, last, dob };
+
+  const words = tokens(party.organization, ORGANIZATION_WORDS);
+  return words.length ? { kind: 'organization', words } : null;
+}
+
+function personSimilarity(a, b) {
+  const lastScore = jaroWinkler(a.last, b.last);
+  let firstScore;
+  if (!a.first || !b.first) firstScore = 0.9;  // a missing first name neither confirms nor rules out
+  else if (a.first.length === 1 || b.first.length === 1) firstScore = a.first[0] === b.first[0] ? 0.95 : 0;
+  else firstScore = jaroWinkler(a.first, b.first);
+
+  // "Smith John" entered for "John Smith"
+  const swapped = a.first && b.first
+    ? (jaroWinkler(a.first, b.last) + jaroWinkler(a.last, b.first)) / 2
+    : 0;
+  return Math.max(lastScore * 0.55 + firstScore * 0.45, swapped * 0.95);
+}
+
+function organizationSimilarity(a, b) {
+  const shared = a.words.filter(word => b.words.includes(word)).length;
+  const overlap = shared / Math.max(a.words.length, b.words.length);
+  return Math.max(overlap, jaroWinkler(a.words.join(' '), b.words.join(' ')) * 0.95);
+}
+
+/**
+ * Scores how likely two parties are the same person or organization
+ * @returns {{ score: number, reasons: string[] }|null} score from 0 to 1; null if not comparable
+ */
+function compareParties(wanted, existing) {
+  if (!wanted || !existing || wanted.kind !== existing.kind) return null;
+
+  if (wanted.kind === 'organization') {
+    const score = organizationSimilarity(wanted, existing);
+    return { score, reasons: [score === 1 ? 'same organization name' : 'similar organization name'] };
+  }
+
+  let score = personSimilarity(wanted, existing);
+  const reasons = [score >= 0.99 ? 'same name' : 'similar name'];
+  if (wanted.dob && existing.dob) {
+    if (wanted.dob === existing.dob) {
+      score = Math.min(1, score + 0.05);
+      reasons.push('same date of birth');
+    } else {
+      score -= 0.15;
+      reasons.push('different date of birth');
+    }
+  }
+  return { score, reasons };
+}
+
+function levelFor(score) {
+  if (score >= 0.97) return 'highest';
+  if (score >= 0.92) return 'high';
+  if (score >= 0.85) return 'low';
+  return 'lowest';
+}
+
+// Who the existing person was on the matched case, and why that matters for the new one
+function explain(wantedRole, matchedRole) {
+  if (wantedRole === 'client' && matchedRole === 'adverse_party') {
+    return 'The prospective client was an adverse party on this case.';
+  }
+  if (wantedRole === 'adverse_party' && matchedRole === 'client') {
+    return 'The adverse party is (or was) a client on this case.';
+  }
+  if (wantedRole === 'adverse_party' && matchedRole === 'adverse_party') {
+    return 'The same adverse party appears on this case; usually not a conflict, but a related matter.';
+  }
+  if (wantedRole === 'client' && matchedRole === 'client') {
+    return 'The prospective client already has this case (prior or duplicate intake).';
+  }
+  return `Matches the ${matchedRole.replace('_', ' ')} on this case.`;
+}
+
+// Search results don't always carry first/last, only client_full_name
+function splitFullName(matter) {
+  if (matter.last) return { first: matter.first, last: matter.last };
+  const words = String(matter.client_full_name || '').trim().split(/\s+/);
+  return { first: words.slice(0, -1).join(' '), last: words[words.length - 1] };
+}
+
+/**
+ * Fuzzy-matches the parties of a new intake against existing matters
+ *
+ * @param {Array<Object>} parties - { role, first?, middle?, last?, organization?, dob? }
+ * @param {Array<Object>} matters - Full matter records (with adverse_parties)
+ * @param {Object} [options]
+ * @param {number} [options.threshold=0.85] - Minimum similarity to report
+ * @returns {Array<Object>} Matches, best first
+ */
+function findPartyMatches(parties, matters, { threshold = 0.85 } = {}) {
+  const matches = [];
+
+  matters.forEach(matter => {
+    const existing = [
+      {
+        role: 'client',
+        name: matter.client_full_name,
+        normalized: normalizeParty(matter.is_group || matter.organization_name
+          ? { organization: matter.organization_name || matter.client_full_name }
+          : {
+            ...splitFullName(matter),
+            dob: typeof matter.date_of_birth === 'object' ? matter.date_of_birth?.raw_value : matter.date_of_birth,
+          }),
+      },
+      ...(Array.isArray(matter.adverse_parties) ? matter.adverse_parties : [])
+        .filter(party => party.active !== false)
+        .map(party => ({
+          role: 'adverse_party',
+          name: [party.first, party.last].filter(Boolean).join(' ') || party.organization_name,
+          normalized: normalizeParty({
+            first: party.first,
+            last: party.last,
+            organization: party.organization_name,
+            dob: party.date_of_birth,
+          }),
+        })),
+    ];
+
+    parties.forEach(party => {
+      const wanted = normalizeParty(party);
+      existing.forEach(candidate => {
+        const result = compareParties(wanted, candidate.normalized);
+        if (!result || result.score < threshold) return;
+        matches.push({
+          party: describeParty(party),
+          party_role: party.role,
+          matched_name: candidate.name,
+          matched_role: candidate.role,
+          case_number: matter.case_number,
+          case_uuid: matter.matter_uuid,
+          case_disposition: matter.case_disposition || undefined,
+          similarity: Math.round(result.score * 100),
+          level: levelFor(result.score),
+          reasons: result.reasons,
+          explanation: explain(party.role, candidate.role),
+        });
+      });
+    });
+  });
+
+  return matches.sort((a, b) => b.similarity - a.similarity);
+}
+
+/**
+ * A readable name for a party as entered
+ */
+function describeParty(party) {
+  return [party.first, party.middle, party.last].filter(Boolean).join(' ') || party.organization || '(unnamed)';
+}
+
+/**
+ * Merges LegalServer's conflict scores and the fuzzy matches into one ranked list
+ * Same-level results are ordered by score; adverse-party-on-adverse-party matches
+ * rank below real conflicts at the same level.
+ *
+ * @param {Array<Object>} checks - { party, party_role, score, interval, message }
+ * @param {Array<Object>} matches - From findPartyMatches
+ * @returns {Array<Object>}
+ */
+function rankConflicts(checks, matches) {
+  const fromChecks = checks
+    .filter(check => typeof check.score === 'number')
+    .map(check => ({
+      source: 'legalserver_conflict_check',
+      party: check.party,
+      party_role: check.party_role,
+      level: LEVELS.includes(check.interval) ? check.interval : 'lowest',
+      score: check.score,
+      explanation: `LegalServer's conflict check scored ${check.score}/100 (${check.interval || 'no interval'}); it does not say which record matched, so search for this person before clearing it.`,
+    }));
+  const fromMatches = matches.map(({ similarity, ...match }) => ({
+    source: 'party_match',
+    ...match,
+    score: similarity,
+  }));
+
+  const weight = item => LEVELS.indexOf(item.level) * 2
+    + (item.party_role === 'adverse_party' && item.matched_role === 'adverse_party' ? 1 : 0);
+  return [...fromChecks, ...fromMatches]
+    .sort((a, b) => weight(a) - weight(b) || b.score - a.score)
+    .map((item, i) => ({ rank: i + 1, ...item }));
+}
+
+module.exports = {
+  describeParty,
+  findPartyMatches,
+  rankConflicts,
+};
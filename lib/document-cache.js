@@ -0,0 +1,190 @@
+// Extraction cache for get_document
+//
+// Downloading a document and running pdf-parse/mammoth over it is by far the slowest
+// thing this server does, and callers walk documents chunk by chunk. This module keeps
+// the extracted text in an in-memory LRU and, optionally, in a directory on disk so a
+// restart doesn't throw it all away.
+//
+// Entries are plain JSON-serializable objects. Keys are built by the caller (see
+// documentCacheKey in index.js) and include the document's date_update, so an edited
+// document simply misses the cache instead of returning stale text.
+
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const { createHash } = require('node:crypto');
+
+// Rough in-memory footprint of an entry: JS strings are UTF-16
+function estimateEntryBytes(value) {
+  return JSON.stringify(value).length * 2;
+}
+
+function diskFileName(key) {
+  return `${createHash('sha256').update(key).digest('hex')}.json`;
+}
+
+/**
+ * Creates a document extraction cache
+ *
+ * @param {Object} options
+ * @param {number} options.maxBytes - In-memory size limit; least recently used entries are evicted past it
+ * @param {number} options.ttlMs - How long an entry stays valid, in memory and on disk
+ * @param {string} [options.diskDir] - Directory for the on-disk store; omit to keep the cache in memory only
+ * @param {number} [options.diskMaxBytes] - Size limit for the on-disk store; oldest files are pruned past it
+ * @returns {{ get: Function, set: Function, stats: Function }}
+ */
+function createDocumentCache({ maxBytes, ttlMs, diskDir, diskMaxBytes }) {
+  // Map iteration order is insertion order, so re-inserting on read gives us LRU for free
+  const memory = new Map();
+  let memoryBytes = 0;
+  let hits = 0;
+  let misses = 0;
+
+  function isExpired(entry) {
+    return Date.now() - entry.storedAt > ttlMs;
+  }
+
+  function removeFromMemory(key) {
+    const entry = memory.get(key);
+    if (entry) {
+      memoryBytes -= entry.bytes;
+      memory.delete(key);
+    }
+  }
+
+  function addToMemory(key, entry) {
+    removeFromMemory(key);
+
+    // A single entry bigger than the whole budget is not worth holding in memory
+    if (entry.bytes > maxBytes) return;
+
+    memory.set(key, entry);
+    memoryBytes += entry.bytes;
+
+    for (const oldestKey of memory.keys()) {
+      if (memoryBytes <= maxBytes) break;
+      removeFromMemory(oldestKey);
+    }
+  }
+
+  async function readFromDisk(key) {
+    if (!diskDir) return null;
+
+    const filePath = path.join(diskDir, diskFileName(key));
+    try {
+      const entry = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+
+      // The file name is a hash, so double-check we got the entry we asked for
+      if (entry.key !== key || isExpired(entry)) {
+        await fs.rm(filePath, { force: true });
+        return null;
+      }
+      return entry;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Document cache read error:', error.message);
+      }
+      return null;
+    }
+  }
+
+  // Deletes the oldest files until the on-disk store is back under its limit
+  async function pruneDisk() {
+    const names = (await fs.readdir(diskDir)).filter(name => name.endsWith('.json'));
+    const files = [];
+    let totalBytes = 0;
+
+    for (const name of names) {
+      try {
+        const stat = await fs.stat(path.join(diskDir, name));
+        files.push({ name, size: stat.size, mtimeMs: stat.mtimeMs });
+        totalBytes += stat.size;
+      } catch (error) {
+        // File disappeared between readdir and stat; nothing to prune
+      }
+    }
+
+    files.sort((a, b) => a.mtimeMs - b.mtimeMs);
+    for (const file of files) {
+      if (totalBytes <= diskMaxBytes) break;
+      await fs.rm(path.join(diskDir, file.name), { force: true });
+      totalBytes -= file.size;
+    }
+  }
+
+  async function writeToDisk(entry) {
+    if (!diskDir) return;
+
+    try {
+      await fs.mkdir(diskDir, { recursive: true, mode: 0o700 });
+      const filePath = path.join(diskDir, diskFileName(entry.key));
+      // Write then rename so a crash never leaves a half-written entry behind
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify(entry), { mode: 0o600 });
+      await fs.rename(tempPath, filePath);
+
+      if (diskMaxBytes) {
+        await pruneDisk();
+      }
+    } catch (error) {
+      // The disk store is an optimization; never fail a tool call because of it
+      console.error('Document cache write error:', error.message);
+    }
+  }
+
+  return {
+    /**
+     * Looks up a cached value
+     * @param {string} key
+     * @returns {Promise<Object|null>} The cached value, or null on a miss
+     */
+    async get(key) {
+      let entry = memory.get(key);
+
+      if (entry && isExpired(entry)) {
+        removeFromMemory(key);
+        entry = null;
+      }
+
+      if (!entry) {
+        entry = await readFromDisk(key);
+        if (entry) {
+          entry.bytes = estimateEntryBytes(entry.value);
+        }
+      }
+
+      if (!entry) {
+        misses++;
+        return null;
+      }
+
+      // Refresh its position in the LRU order
+      addToMemory(key, entry);
+      hits++;
+      return entry.value;
+    },
+
+    /**
+     * Stores a value
+     * @param {string} key
+     * @param {Object} value - Must be JSON-serializable
+     */
+    async set(key, value) {
+      const entry = { key, storedAt: Date.now(), value };
+      addToMemory(key, { ...entry, bytes: estimateEntryBytes(value) });
+      await writeToDisk(entry);
+    },
+
+    stats() {
+      return {
+        entries: memory.size,
+        memory_bytes: memoryBytes,
+        hits,
+        misses,
+      };
+    },
+  };
+}
+
+module.exports = {
+  createDocumentCache,
+};
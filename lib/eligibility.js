@@ -0,0 +1,214 @@
+// Household income and poverty-guideline eligibility for get_case_eligibility
+//
+// Income records carry an amount and a pay frequency; this module annualizes them,
+// totals them per household member and for the household, and compares the total
+// with the Federal Poverty Guidelines from a versioned table
+// (config/poverty-guidelines.yaml is the bundled default).
+
+const { normalizeDate } = require('./timeline');
+
+// LegalServer returns `period` as a label, or as the number of payments per year
+const PERIODS_PER_YEAR = {
+  annually: 1,
+  yearly: 1,
+  quarterly: 4,
+  monthly: 12,
+  'semi-monthly': 24,
+  semimonthly: 24,
+  biweekly: 26,
+  'bi-weekly': 26,
+  weekly: 52,
+};
+
+const REGIONS = ['contiguous', 'alaska', 'hawaii'];
+
+/**
+ * Parses amounts such as "$1,234.50", "300" or 300
+ * @returns {number|null}
+ */
+function parseAmount(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string') return null;
+  const cleaned = value.replace(/[$,\s]/g, '');
+  if (!/^-?\d+(\.\d+)?$/.test(cleaned)) return null;
+  return parseFloat(cleaned);
+}
+
+function periodsPerYear(period) {
+  if (typeof period === 'number') return period > 0 ? period : null;
+  if (typeof period !== 'string') return null;
+  const value = period.trim().toLowerCase();
+  if (/^\d+$/.test(value)) return parseInt(value, 10) || null;
+  return PERIODS_PER_YEAR[value] || null;
+}
+
+const round2 = value => Math.round(value * 100) / 100;
+
+function monthsBetween(from, to) {
+  const [fromYear, fromMonth] = from.split('-').map(Number);
+  const [toYear, toMonth] = to.split('-').map(Number);
+  return (toYear - fromYear) * 12 + (toMonth - fromMonth);
+}
+
+/**
+ * Validates a poverty guidelines table and returns lookup helpers
+ *
+ * @param {Object} config - Parsed guidelines file
+ * @returns {{ years: number[], defaultThreshold: number, select: Function, amountFor: Function }}
+ * @throws {Error} When the table is malformed
+ */
+function createPovertyGuidelines(config) {
+  if (!config || !Array.isArray(config.guidelines) || config.guidelines.length === 0) {
+    throw new Error('Poverty guidelines: the file must have a non-empty "guidelines" list');
+  }
+
+  const entries = config.guidelines.map((entry, i) => {
+    const where = `guidelines[${i}]`;
+    if (!Number.isInteger(entry.year)) throw new Error(`Poverty guidelines: ${where}.year must be a year`);
+    const effective = String(entry.effective || '');
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(effective)) {
+      throw new Error(`Poverty guidelines: ${where}.effective must be a date in YYYY-MM-DD format`);
+    }
+    for (const region of REGIONS) {
+      const amounts = entry.regions?.[region];
+      if (!amounts || typeof amounts.base !== 'number' || typeof amounts.per_additional_person !== 'number') {
+        throw new Error(`Poverty guidelines: ${where}.regions.${region} needs numeric base and per_additional_person`);
+      }
+    }
+    return { year: entry.year, effective, regions: entry.regions };
+  }).sort((a, b) => a.effective.localeCompare(b.effective));
+
+  const defaultThreshold = config.default_threshold_percent ?? 125;
+  if (typeof defaultThreshold !== 'number' || defaultThreshold <= 0) {
+    throw new Error('Poverty guidelines: default_threshold_percent must be a positive number');
+  }
+
+  return {
+    years: entries.map(entry => entry.year),
+    defaultThreshold,
+
+    /**
+     * The guidelines in effect on a date (the earliest table if the date predates them all)
+     * @param {string} asOf - YYYY-MM-DD
+     */
+    select(asOf) {
+      const inEffect = entries.filter(entry => entry.effective <= asOf);
+      return inEffect.length ? inEffect[inEffect.length - 1] : entries[0];
+    },
+
+    /**
+     * 100% of the guideline for a household
+     */
+    amountFor(entry, region, householdSize) {
+      const amounts = entry.regions[region];
+      return amounts.base + amounts.per_additional_person * (householdSize - 1);
+    },
+  };
+}
+
+/**
+ * Which guideline region a US state (name or postal code) falls in
+ */
+function regionForState(state) {
+  const value = typeof state === 'string' ? state.trim().toLowerCase() : '';
+  if (value === 'ak' || value === 'alaska') return 'alaska';
+  if (value === 'hi' || value === 'hawaii') return 'hawaii';
+  return 'contiguous';
+}
+
+// The date an income record was entered or last changed, when the payload has one
+function recordedOn(record) {
+  for (const field of ['date_time_last_modified', 'date_modified', 'date_time_created', 'date_created']) {
+    const date = normalizeDate(record[field]);
+    if (date) return date.date;
+  }
+  return undefined;
+}
+
+/**
+ * Annualizes and totals income records, flagging problems with them
+ *
+ * @param {Array} incomes - v1_core_matter_income records
+ * @param {Object} options
+ * @param {string} options.asOf - YYYY-MM-DD the summary is for
+ * @param {string} [options.fallbackDate] - When income was gathered if records carry no date (e.g. intake date)
+ * @param {number} options.staleMonths - Income older than this is flagged
+ * @returns {{ records: Array, members: Array, annual_total: number, flags: Array }}
+ */
+function summarizeIncome(incomes, { asOf, fallbackDate, staleMonths }) {
+  const flags = [];
+  const members = new Map();
+  let annualTotal = 0;
+
+  const records = incomes.map(income => {
+    const amount = parseAmount(income.amount);
+    const perYear = periodsPerYear(income.period);
+    const member = income.other_family
+      ? `household member${income['family id'] ? ` ${income['family id']}` : ''}`
+      : 'client';
+    const annual = amount !== null && perYear ? round2(amount * perYear) : null;
+    const dated = recordedOn(income);
+
+    if (amount === null) {
+      flags.push({ flag: 'unreadable_amount', income_uuid: income.income_uuid, detail: `Amount "${income.amount}" could not be read; left out of the total.` });
+    } else if (!perYear) {
+      flags.push({ flag: 'unknown_period', income_uuid: income.income_uuid, detail: `Frequency "${income.period}" is not recognised; left out of the total.` });
+    }
+
+    const counted = annual !== null && !income.exclude;
+    if (counted) {
+      annualTotal += annual;
+      const totals = members.get(member) || { member, annual_total: 0, records: 0 };
+      totals.annual_total = round2(totals.annual_total + annual);
+      totals.records += 1;
+      members.set(member, totals);
+    }
+
+    return {
+      income_uuid: income.income_uuid,
+      member,
+      type: income.type || undefined,
+      amount,
+      period: income.period,
+      periods_per_year: perYear || undefined,
+      annual_amount: annual,
+      excluded: income.exclude ? true : undefined,
+      counted,
+      recorded_on: dated,
+      notes: income.notes || undefined,
+    };
+  });
+
+  if (incomes.length === 0) {
+    flags.push({ flag: 'no_income_records', detail: 'No income records on the case. Confirm the household really has no income, or add the records.' });
+  }
+
+  // Staleness: each record's own date if it has one, otherwise when the income was gathered
+  const dates = records.map(record => record.recorded_on).filter(Boolean);
+  const basis = dates.length ? dates.sort()[0] : fallbackDate;
+  if (basis) {
+    const age = monthsBetween(basis, asOf);
+    if (age > staleMonths) {
+      flags.push({
+        flag: 'stale',
+        detail: `Income information dates from ${basis}${dates.length ? '' : ' (intake)'}, ${age} months before ${asOf}; re-verify before relying on it.`,
+      });
+    }
+  } else if (incomes.length > 0) {
+    flags.push({ flag: 'undated', detail: 'The income records carry no date, so their age is unknown.' });
+  }
+
+  return {
+    records,
+    members: [...members.values()],
+    annual_total: round2(annualTotal),
+    flags,
+  };
+}
+
+module.exports = {
+  REGIONS,
+  createPovertyGuidelines,
+  regionForState,
+  summarizeIncome,
+};
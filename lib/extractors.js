@@ -0,0 +1,741 @@
+// Document text extractors
+//
+// Each supported format registers an extractor keyed by MIME type and file extension.
+// extractDocumentText() picks the right one for a downloaded file, so adding a format
+// means adding one registerExtractor() call rather than another branch in get_document.
+//
+// An extractor's extract(buffer, context) resolves to { text, ...extras }. Extras used
+// today are `ocr` (see lib/ocr.js), `attachments` (emails), and `pages`/`headings`
+// (PDF/Word structure, see lib/chunking.js). Container formats call
+// context.extractNested() to recurse into the files they hold.
+//
+// Extractors that run OCR check context.ocr first; when the caller turned it off they
+// return what they can without it and set `ocr_deferred`, which is carried up from
+// attachments so the caller knows the text is incomplete (and not worth caching).
+//
+// Heavier parsing libraries are required inside their extractor so a broken or missing
+// optional dependency only breaks that one format, never the whole server.
+
+const path = require('node:path');
+const mammoth = require('mammoth');
+const {
+  isOcrEnabled,
+  summarizeOcr,
+  recognizeImage,
+  recognizePdfPages,
+  needsOcr,
+} = require('./ocr');
+
+// Emails can attach emails that attach emails; stop recursing after this many levels
+const MAX_NESTING_DEPTH = 3;
+
+const extractors = [];
+
+// Canonical MIME type for each extension we know how to read, for downloads that
+// arrive without a useful content-type header
+const MIME_TYPES_BY_EXTENSION = {
+  '.pdf': 'application/pdf',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.doc': 'application/msword',
+  '.txt': 'text/plain',
+  '.rtf': 'application/rtf',
+  '.htm': 'text/html',
+  '.html': 'text/html',
+  '.eml': 'message/rfc822',
+  '.msg': 'application/vnd.ms-outlook',
+  '.odt': 'application/vnd.oasis.opendocument.text',
+  '.ods': 'application/vnd.oasis.opendocument.spreadsheet',
+  '.odp': 'application/vnd.oasis.opendocument.presentation',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.csv': 'text/csv',
+  '.tsv': 'text/tab-separated-values',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.bmp': 'image/bmp',
+  '.tif': 'image/tiff',
+  '.tiff': 'image/tiff',
+  '.webp': 'image/webp',
+};
+
+function extensionOf(filename) {
+  return filename ? path.extname(filename).toLowerCase() : '';
+}
+
+function guessMimeTypeFromName(name) {
+  return MIME_TYPES_BY_EXTENSION[extensionOf(name)];
+}
+
+// Drops parameters such as "; charset=UTF-8"
+function baseMimeType(mimeType) {
+  return (mimeType || '').split(';')[0].trim().toLowerCase();
+}
+
+/**
+ * Adds an extractor to the registry
+ *
+ * @param {Object} extractor
+ * @param {string} extractor.name - Short format name reported in responses (e.g. "pdf")
+ * @param {string} extractor.label - Human-readable format name for error messages
+ * @param {string[]} extractor.mimeTypes - Exact MIME types, or "type/*" wildcards
+ * @param {string[]} extractor.extensions - File extensions including the dot
+ * @param {Function} extractor.extract - async (buffer, context) => { text, ... }
+ * @param {Function} [extractor.isEnabled] - Returns false to take the extractor out of service
+ */
+function registerExtractor(extractor) {
+  if (!extractor.name || typeof extractor.extract !== 'function') {
+    throw new Error('An extractor needs a name and an extract function');
+  }
+  extractors.push({ mimeTypes: [], extensions: [], ...extractor });
+}
+
+/**
+ * Finds the extractor for a file
+ * An exact MIME type match wins, then the file extension (LegalServer often serves
+ * application/octet-stream), then a wildcard such as "text/*".
+ *
+ * @param {string} mimeType
+ * @param {string} [filename]
+ * @returns {Object|null}
+ */
+function findExtractor(mimeType, filename) {
+  const mime = baseMimeType(mimeType);
+  const extension = extensionOf(filename);
+  const available = extractors.filter(extractor => !extractor.isEnabled || extractor.isEnabled());
+
+  return available.find(extractor => extractor.mimeTypes.includes(mime))
+    || (extension && available.find(extractor => extractor.extensions.includes(extension)))
+    || available.find(extractor => extractor.mimeTypes.some(type => (
+      type.endsWith('/*') && mime.startsWith(type.slice(0, -1))
+    )))
+    || null;
+}
+
+/**
+ * Extracts text from a file using the registered extractors
+ *
+ * @param {Buffer} buffer - The file contents
+ * @param {Object} options
+ * @param {string} options.mimeType - MIME type reported by the server, if any
+ * @param {string} [options.filename]
+ * @param {number} [options.depth=0] - Nesting level, for attachments
+ * @param {boolean} [options.ocr=true] - Set to false to leave out text that only OCR could read
+ * @returns {Promise<Object|null>} { text, format, ocr_deferred?, ...extras }, or null when no extractor handles the file
+ */
+async function extractDocumentText(buffer, { mimeType, filename, depth = 0, ocr = true }) {
+  const extractor = findExtractor(mimeType, filename);
+  if (!extractor) return null;
+
+  const context = {
+    mimeType: baseMimeType(mimeType),
+    filename,
+    depth,
+    ocr,
+    extractNested: (nestedBuffer, nested) => extractNested(nestedBuffer, nested, depth + 1, ocr),
+  };
+
+  const result = await extractor.extract(buffer, context);
+  const ocrDeferred = result.ocr_deferred
+    || (Array.isArray(result.attachments) && result.attachments.some(attachment => attachment.ocr_deferred));
+  return { ...result, format: extractor.name, ocr_deferred: ocrDeferred || undefined };
+}
+
+// Extracts a file found inside another one, returning a summary instead of throwing
+async function extractNested(buffer, { mimeType, filename }, depth, ocr) {
+  const resolvedMimeType = baseMimeType(mimeType) || guessMimeTypeFromName(filename) || 'application/octet-stream';
+  const summary = {
+    filename,
+    mime_type: resolvedMimeType,
+    size_bytes: buffer.length,
+  };
+
+  if (depth > MAX_NESTING_DEPTH) {
+    return { ...summary, extracted: false, error: 'Nested too deeply to extract' };
+  }
+
+  try {
+    const result = await extractDocumentText(buffer, { mimeType: resolvedMimeType, filename, depth, ocr });
+    if (!result) {
+      return { ...summary, extracted: false, error: 'Unsupported format' };
+    }
+    return {
+      ...summary,
+      extracted: true,
+      text: result.text || '',
+      ocr_confidence: result.ocr ? result.ocr.average_confidence : undefined,
+      ocr_deferred: result.ocr_deferred,
+      attachments: result.attachments,
+    };
+  } catch (error) {
+    return { ...summary, extracted: false, error: error.message };
+  }
+}
+
+/**
+ * Lists the formats that can currently be extracted, for error messages
+ * @returns {string[]}
+ */
+function supportedFormats() {
+  return extractors
+    .filter(extractor => !extractor.isEnabled || extractor.isEnabled())
+    .map(extractor => extractor.label || extractor.name);
+}
+
+// -----------------------------------------------------------------------------
+// Shared helpers
+// -----------------------------------------------------------------------------
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeXmlEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const codePoint = entity[1] === 'x' || entity[1] === 'X'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return Number.isFinite(codePoint) ? String.fromCodePoint(codePoint) : match;
+    }
+    return XML_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+function htmlToPlainText(html) {
+  const { convert } = require('html-to-text');
+  return convert(html, {
+    wordwrap: false,
+    selectors: [
+      { selector: 'a', options: { ignoreHref: true } },
+      { selector: 'img', format: 'skip' },
+    ],
+  });
+}
+
+// Word paragraph styles "Title" and "Heading 1".."Heading 9" mark document structure
+function headingLevel(styleName) {
+  if (!styleName) return null;
+  if (/^title$/i.test(styleName)) return 1;
+  const match = styleName.match(/^heading\s*(\d)$/i);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+// Appends extracted attachments under a heading each, after the message body
+function appendAttachments(body, attachments) {
+  const sections = attachments.map((attachment, i) => {
+    const heading = `=== Attachment ${i + 1}: ${attachment.filename || 'unnamed'} (${attachment.mime_type}) ===`;
+    const content = attachment.extracted
+      ? attachment.text.trim()
+      : `[Not extracted: ${attachment.error}]`;
+    return `${heading}\n${content}`;
+  });
+  return [body, ...sections].filter(Boolean).join('\n\n');
+}
+
+// Attachment metadata for responses; the text itself is already in the message text
+function describeAttachments(attachments) {
+  return attachments.map(({ text, ...rest }) => rest);
+}
+
+function formatEmailHeaders(headers) {
+  return Object.entries(headers)
+    .filter(([, value]) => value)
+    .map(([key, value]) => `${key}: ${value}`)
+    .join('\n');
+}
+
+// -----------------------------------------------------------------------------
+// RTF
+// -----------------------------------------------------------------------------
+
+// Groups whose content is formatting data rather than document text
+const RTF_SKIPPED_DESTINATIONS = new Set([
+  'aftncn', 'aftnsep', 'aftnsepc', 'annotation', 'atnauthor', 'atndate', 'atnicn', 'atnid',
+  'atnparent', 'atnref', 'atntime', 'atrfend', 'atrfstart', 'author', 'background',
+  'bkmkend', 'bkmkstart', 'blipuid', 'buptim', 'category', 'colorschememapping',
+  'colortbl', 'comment', 'company', 'creatim', 'datafield', 'datastore', 'defchp', 'defpap',
+  'do', 'doccomm', 'docvar', 'dptxbxtext', 'ebcend', 'ebcstart', 'factoidname', 'falt',
+  'fchars', 'ffdeftext', 'ffentrymcr', 'ffexitmcr', 'ffformat', 'ffhelptext', 'ffl',
+  'ffname', 'ffstattext', 'file', 'filetbl', 'fldinst', 'fldtype', 'fname',
+  'fontemb', 'fontfile', 'fonttbl', 'footer', 'footerf', 'footerl', 'footerr', 'footnote',
+  'formfield', 'ftncn', 'ftnsep', 'ftnsepc', 'g', 'generator', 'gridtbl', 'header',
+  'headerf', 'headerl', 'headerr', 'hl', 'hlfr', 'hlinkbase', 'hlloc', 'hlsrc', 'hsv',
+  'htmltag', 'info', 'keycode', 'keywords', 'latentstyles', 'lchars', 'levelnumbers',
+  'leveltext', 'lfolevel', 'linkval', 'list', 'listlevel', 'listname', 'listoverride',
+  'listoverridetable', 'listpicture', 'liststylename', 'listtable', 'listtext',
+  'lsdlockedexcept', 'macc', 'maccPr', 'mailmerge', 'maln', 'malnScr', 'manager',
+  'margPr', 'mbar', 'mbarPr', 'mbaseJc', 'mbegChr', 'mborderBox', 'mborderBoxPr', 'mbox',
+  'mboxPr', 'mchr', 'mcount', 'mctrlPr', 'md', 'mdeg', 'mdegHide', 'mden', 'mdiff', 'mdPr',
+  'me', 'mendChr', 'meqArr', 'meqArrPr', 'mf', 'mfName', 'mfPr', 'mfunc', 'mfuncPr',
+  'mgroupChr', 'mgroupChrPr', 'mgrow', 'mhideBot', 'mhideLeft', 'mhideRight', 'mhideTop',
+  'mhtmltag', 'mlim', 'mlimloc', 'mlimlow', 'mlimlowPr', 'mlimupp', 'mlimuppPr', 'mm',
+  'mmaddfieldname', 'mmath', 'mmathPict', 'mmathPr', 'mmaxdist', 'mmc', 'mmcJc',
+  'mmconnectstr', 'mmconnectstrdata', 'mmcPr', 'mmcs', 'mmdatasource', 'mmheadersource',
+  'mmmailsubject', 'mmodso', 'mmodsofilter', 'mmodsofldmpdata', 'mmodsomappedname',
+  'mmodsoname', 'mmodsorecipdata', 'mmodsosort', 'mmodsosrc', 'mmodsotable', 'mmodsoudl',
+  'mmodsoudldata', 'mmodsouniquetag', 'mmPr', 'mmquery', 'mmr', 'mnary', 'mnaryPr',
+  'mnoBreak', 'mnum', 'mobjDist', 'moMath', 'moMathPara', 'moMathParaPr', 'mopEmu',
+  'mphant', 'mphantPr', 'mplcHide', 'mpos', 'mr', 'mrad', 'mradPr', 'mrPr', 'msepChr',
+  'mshow', 'mshp', 'msPre', 'msPrePr', 'msSub', 'msSubPr', 'msSubSup', 'msSubSupPr',
+  'msSup', 'msSupPr', 'mstrikeBLTR', 'mstrikeH', 'mstrikeTLBR', 'mstrikeV', 'msub',
+  'msubHide', 'msup', 'msupHide', 'mtransp', 'mtype', 'mvertJc', 'mvfmf', 'mvfml', 'mvtof',
+  'mvtol', 'mzeroAsc', 'mzeroDesc', 'mzeroWid', 'nesttableprops', 'nextfile',
+  'nonesttables', 'objalias', 'objclass', 'objdata', 'object', 'objname', 'objsect',
+  'objtime', 'oldcprops', 'oldpprops', 'oldsprops', 'oldtprops', 'oleclsid', 'operator',
+  'panose', 'password', 'passwordhash', 'pgp', 'pgptbl', 'picprop', 'pict', 'pn', 'pnseclvl',
+  'pntext', 'pntxta', 'pntxtb', 'printim', 'private', 'propname', 'protend', 'protstart',
+  'protusertbl', 'pxe', 'result', 'revtbl', 'revtim', 'rsidtbl', 'rxe', 'shp', 'shpgrp',
+  'shpinst', 'shppict', 'shprslt', 'shptxt', 'sn', 'sp', 'staticval', 'stylesheet',
+  'subject', 'sv', 'svb', 'tc', 'template', 'themedata', 'title', 'txe', 'ud', 'upr',
+  'userprops', 'wgrffmtfilter', 'windowcaption', 'writereservation', 'writereservhash',
+  'xe', 'xform', 'xmlattrname', 'xmlattrvalue', 'xmlclose', 'xmlname', 'xmlnstbl',
+  'xmlopen',
+]);
+
+// Windows-1252 differs from Latin-1 only in 0x80-0x9F (smart quotes, dashes, euro...)
+const CP1252_HIGH = '€\u0081‚ƒ„…†‡ˆ‰Š‹Œ\u008DŽ\u008F\u0090‘’“”•–—˜™š›œ\u009DžŸ';
+
+function decodeCp1252Byte(byte) {
+  return byte >= 0x80 && byte <= 0x9f ? CP1252_HIGH[byte - 0x80] : String.fromCharCode(byte);
+}
+
+const RTF_SPECIAL_CHARACTERS = {
+  par: '\n',
+  sect: '\n\n',
+  page: '\n\n',
+  line: '\n',
+  tab: '\t',
+  cell: '\t',
+  row: '\n',
+  emdash: '—',
+  endash: '–',
+  emspace: ' ',
+  enspace: ' ',
+  qmspace: ' ',
+  bullet: '•',
+  lquote: '‘',
+  rquote: '’',
+  ldblquote: '“',
+  rdblquote: '”',
+};
+
+/**
+ * Converts RTF to plain text
+ * Follows the RTF 1.9 spec closely enough for letters and pleadings: formatting,
+ * tables of fonts/colors/styles, pictures and field instructions are dropped;
+ * \uN unicode escapes and \'hh code-page bytes are decoded.
+ *
+ * @param {string} rtf
+ * @returns {string}
+ */
+function rtfToText(rtf) {
+  const tokenRegex = /\\([a-z]{1,32})(-?\d{1,10})?[ ]?|\\'([0-9a-f]{2})|\\([^a-z])|([{}])|[\r\n]+|(.)/gi;
+  const stack = [];
+  const out = [];
+  let ignorable = false;
+  let unicodeSkip = 1;
+  let skipRemaining = 0;
+
+  let match;
+  while ((match = tokenRegex.exec(rtf)) !== null) {
+    const [, word, arg, hex, symbol, brace, char] = match;
+
+    if (brace) {
+      skipRemaining = 0;
+      if (brace === '{') {
+        stack.push({ ignorable, unicodeSkip });
+      } else if (stack.length) {
+        ({ ignorable, unicodeSkip } = stack.pop());
+      }
+    } else if (symbol) {
+      skipRemaining = 0;
+      if (symbol === '*') {
+        ignorable = true;
+      } else if (!ignorable) {
+        if (symbol === '~') out.push(' ');
+        else if (symbol === '_') out.push('-');
+        else if ('{}\\'.includes(symbol)) out.push(symbol);
+      }
+    } else if (word) {
+      skipRemaining = 0;
+      if (RTF_SKIPPED_DESTINATIONS.has(word)) {
+        ignorable = true;
+      } else if (ignorable) {
+        // Inside a skipped group; nothing to emit
+      } else if (RTF_SPECIAL_CHARACTERS[word]) {
+        out.push(RTF_SPECIAL_CHARACTERS[word]);
+      } else if (word === 'uc') {
+        unicodeSkip = parseInt(arg, 10) || 0;
+      } else if (word === 'u') {
+        let codeUnit = parseInt(arg, 10);
+        if (codeUnit < 0) codeUnit += 0x10000;
+        out.push(String.fromCharCode(codeUnit));
+        // The fallback characters for readers without unicode support follow; skip them
+        skipRemaining = unicodeSkip;
+      }
+    } else if (hex) {
+      if (skipRemaining > 0) {
+        skipRemaining--;
+      } else if (!ignorable) {
+        out.push(decodeCp1252Byte(parseInt(hex, 16)));
+      }
+    } else if (char) {
+      if (skipRemaining > 0) {
+        skipRemaining--;
+      } else if (!ignorable) {
+        out.push(char);
+      }
+    }
+  }
+
+  return out.join('');
+}
+
+// -----------------------------------------------------------------------------
+// OpenDocument
+// -----------------------------------------------------------------------------
+
+/**
+ * Pulls the text out of an OpenDocument content.xml
+ * Paragraphs and headings become lines; spreadsheet cells are tab-separated.
+ */
+function openDocumentXmlToText(xml) {
+  const body = xml.replace(/^[\s\S]*?<office:body>/, '').replace(/<\/office:body>[\s\S]*$/, '');
+  const text = body
+    // Repeated spaces are stored as <text:s text:c="3"/>
+    .replace(/<text:s(?:\s+text:c="(\d+)")?\s*\/>/g, (m, count) => ' '.repeat(parseInt(count, 10) || 1))
+    .replace(/<text:tab\s*\/>/g, '\t')
+    .replace(/<text:line-break\s*\/>/g, '\n')
+    .replace(/<\/text:(?:p|h)>/g, '\n')
+    .replace(/<\/table:table-cell>/g, '\t')
+    .replace(/<\/table:table-row>/g, '\n')
+    .replace(/<table:table\s[^>]*table:name="([^"]*)"[^>]*>/g, '\n=== Sheet: $1 ===\n')
+    // Annotations (comments) are not part of the document text
+    .replace(/<office:annotation[\s\S]*?<\/office:annotation>/g, '')
+    .replace(/<[^>]+>/g, '');
+
+  return decodeXmlEntities(text)
+    .replace(/\t+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// -----------------------------------------------------------------------------
+// Registered formats
+// -----------------------------------------------------------------------------
+
+registerExtractor({
+  name: 'text',
+  label: 'plain text',
+  mimeTypes: ['text/plain', 'text/*'],
+  extensions: ['.txt', '.text', '.log', '.md'],
+  extract: async (buffer) => ({ text: buffer.toString('utf-8') }),
+});
+
+registerExtractor({
+  name: 'csv',
+  label: 'CSV/TSV',
+  mimeTypes: ['text/csv', 'application/csv', 'text/tab-separated-values'],
+  extensions: ['.csv', '.tsv'],
+  // Spreadsheet exports are already readable as text; just drop a UTF-8 byte order mark
+  extract: async (buffer) => ({ text: buffer.toString('utf-8').replace(/^﻿/, '') }),
+});
+
+registerExtractor({
+  name: 'pdf',
+  label: 'PDF',
+  mimeTypes: ['application/pdf', 'application/x-pdf'],
+  extensions: ['.pdf'],
+  extract: async (buffer, context) => {
+    // pdf-parse v2 API, with OCR for pages that have no text layer
+    let parser;
+    try {
+      const PDFParse = getPdfParseClass();
+
+      parser = new PDFParse({
+        // v2 API: use `data`, not `buffer`
+        data: buffer,
+      });
+
+      const parsed = await parser.getText();
+      const pages = parsed && Array.isArray(parsed.pages) ? parsed.pages : [];
+      const result = {};
+
+      const scannedPages = pages.filter(page => needsOcr(page.text)).map(page => page.num);
+      const ocrText = new Map();
+
+      if (isOcrEnabled() && scannedPages.length > 0) {
+        if (context.ocr) {
+          const ocrResult = await recognizePdfPages(parser, scannedPages);
+          ocrResult.pages.forEach(page => ocrText.set(page.num, page.text.trim()));
+          result.ocr = summarizeOcr(ocrResult.pages, ocrResult.skipped);
+        } else {
+          result.ocr_deferred = true;
+        }
+      }
+
+      if (pages.length === 0) {
+        result.text = parsed && typeof parsed.text === 'string' ? parsed.text : '';
+        return result;
+      }
+
+      // Build the text in pdf-parse's own page layout (OCR'd pages swapped in),
+      // recording where each page starts and ends for page-aware chunking
+      result.text = '';
+      result.pages = pages.map(page => {
+        const start = result.text.length;
+        const pageText = ocrText.has(page.num) ? ocrText.get(page.num) : page.text;
+        result.text += `${pageText}\n\n-- ${page.num} of ${parsed.total} --\n\n`;
+        return { num: page.num, start, end: result.text.length };
+      });
+
+      return result;
+    } catch (err) {
+      console.error('PDF parsing error:', err);
+      throw new Error(`Failed to extract PDF text: ${err.message}`);
+    } finally {
+      if (parser) {
+        await parser.destroy().catch(() => {});
+      }
+    }
+  },
+});
+
+registerExtractor({
+  name: 'word',
+  label: 'Word (.docx)',
+  mimeTypes: [
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.ms-word.document.macroenabled.12',
+    'application/msword',
+  ],
+  extensions: ['.docx', '.docm', '.doc'],
+  extract: async (buffer) => {
+    // Walk mammoth's document tree instead of using extractRawText so we can note where
+    // each heading starts; the text itself comes out the same as extractRawText's
+    let documentTree = null;
+    await mammoth.convertToHtml({ buffer }, {
+      transformDocument: (element) => {
+        documentTree = element;
+        return element;
+      },
+    });
+
+    const headings = [];
+    let text = '';
+
+    const visit = (element) => {
+      if (element.type === 'text') {
+        text += element.value;
+      } else if (element.type === 'tab') {
+        text += '\t';
+      } else if (element.type === 'paragraph') {
+        const start = text.length;
+        (element.children || []).forEach(visit);
+        const level = headingLevel(element.styleName);
+        const title = text.slice(start).trim();
+        if (level && title) {
+          headings.push({ level, title, start });
+        }
+        text += '\n\n';
+      } else {
+        (element.children || []).forEach(visit);
+      }
+    };
+    visit(documentTree);
+
+    return { text, headings };
+  },
+});
+
+registerExtractor({
+  name: 'rtf',
+  label: 'RTF',
+  mimeTypes: ['application/rtf', 'text/rtf', 'application/x-rtf', 'text/richtext'],
+  extensions: ['.rtf'],
+  // RTF is 7-bit ASCII; anything else is escaped inside the markup
+  extract: async (buffer) => ({ text: rtfToText(buffer.toString('latin1')) }),
+});
+
+registerExtractor({
+  name: 'html',
+  label: 'HTML',
+  mimeTypes: ['text/html', 'application/xhtml+xml'],
+  extensions: ['.html', '.htm', '.xhtml'],
+  extract: async (buffer) => ({ text: htmlToPlainText(buffer.toString('utf-8')) }),
+});
+
+registerExtractor({
+  name: 'eml',
+  label: 'email (.eml)',
+  mimeTypes: ['message/rfc822'],
+  extensions: ['.eml'],
+  extract: async (buffer, context) => {
+    const { simpleParser } = require('mailparser');
+    const mail = await simpleParser(buffer, { skipImageLinks: true });
+
+    const headers = formatEmailHeaders({
+      From: mail.from?.text,
+      To: mail.to ? [].concat(mail.to).map(address => address.text).join(', ') : undefined,
+      Cc: mail.cc ? [].concat(mail.cc).map(address => address.text).join(', ') : undefined,
+      Date: mail.date ? mail.date.toISOString() : undefined,
+      Subject: mail.subject,
+    });
+    const body = mail.text || (mail.html ? htmlToPlainText(mail.html) : '');
+
+    const attachments = [];
+    for (const attachment of mail.attachments || []) {
+      // Inline images in HTML bodies (logos, signatures) are not real attachments
+      if (attachment.related) continue;
+      attachments.push(await context.extractNested(attachment.content, {
+        mimeType: attachment.contentType,
+        filename: attachment.filename,
+      }));
+    }
+
+    return {
+      text: appendAttachments(`${headers}\n\n${body.trim()}`, attachments),
+      attachments: describeAttachments(attachments),
+    };
+  },
+});
+
+registerExtractor({
+  name: 'msg',
+  label: 'Outlook email (.msg)',
+  mimeTypes: ['application/vnd.ms-outlook', 'application/x-msg'],
+  extensions: ['.msg'],
+  extract: async (buffer, context) => {
+    const MsgReader = require('@kenjiuno/msgreader').default;
+    const reader = new MsgReader(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength));
+    const message = reader.getFileData();
+    if (message.error) {
+      throw new Error(message.error);
+    }
+
+    const recipients = (type) => (message.recipients || [])
+      .filter(recipient => (recipient.recipType || 'to') === type)
+      .map(recipient => (recipient.email ? `${recipient.name || ''} <${recipient.email}>`.trim() : recipient.name))
+      .join(', ');
+
+    const headers = formatEmailHeaders({
+      From: message.senderEmail ? `${message.senderName || ''} <${message.senderEmail}>`.trim() : message.senderName,
+      To: recipients('to'),
+      Cc: recipients('cc'),
+      Date: message.messageDeliveryTime || message.clientSubmitTime,
+      Subject: message.subject,
+    });
+    const body = message.body || (message.bodyHtml ? htmlToPlainText(message.bodyHtml) : '');
+
+    const attachments = [];
+    for (const attachmentFields of message.attachments || []) {
+      // Hidden attachments are inline images embedded in the body
+      if (attachmentFields.attachmentHidden) continue;
+      const attachment = reader.getAttachment(attachmentFields);
+      attachments.push(await context.extractNested(Buffer.from(attachment.content), {
+        mimeType: attachmentFields.innerMsgContent ? 'application/vnd.ms-outlook' : attachmentFields.attachMimeTag,
+        filename: attachment.fileName,
+      }));
+    }
+
+    return {
+      text: appendAttachments(`${headers}\n\n${body.trim()}`, attachments),
+      attachments: describeAttachments(attachments),
+    };
+  },
+});
+
+registerExtractor({
+  name: 'opendocument',
+  label: 'OpenDocument (.odt/.ods/.odp)',
+  mimeTypes: [
+    'application/vnd.oasis.opendocument.text',
+    'application/vnd.oasis.opendocument.spreadsheet',
+    'application/vnd.oasis.opendocument.presentation',
+  ],
+  extensions: ['.odt', '.ods', '.odp'],
+  extract: async (buffer) => {
+    const JSZip = require('jszip');
+    const zip = await JSZip.loadAsync(buffer);
+    const content = zip.file('content.xml');
+    if (!content) {
+      throw new Error('Not an OpenDocument file (content.xml is missing)');
+    }
+    return { text: openDocumentXmlToText(await content.async('string')) };
+  },
+});
+
+registerExtractor({
+  name: 'spreadsheet',
+  label: 'Excel (.xlsx)',
+  mimeTypes: [
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.ms-excel.sheet.macroenabled.12',
+  ],
+  extensions: ['.xlsx', '.xlsm'],
+  extract: async (buffer) => {
+    const ExcelJS = require('exceljs');
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+
+    const sheets = [];
+    workbook.eachSheet((sheet) => {
+      const rows = [];
+      sheet.eachRow((row) => {
+        const cells = [];
+        row.eachCell({ includeEmpty: true }, (cell) => cells.push(cell.text.replace(/\s+/g, ' ').trim()));
+        rows.push(cells.join('\t'));
+      });
+      sheets.push(`=== Sheet: ${sheet.name} ===\n${rows.join('\n')}`);
+    });
+
+    return { text: sheets.join('\n\n') };
+  },
+});
+
+registerExtractor({
+  name: 'image',
+  label: 'images (OCR)',
+  mimeTypes: ['image/*'],
+  extensions: ['.png', '.jpg', '.jpeg', '.gif', '.bmp', '.tif', '.tiff', '.webp'],
+  isEnabled: isOcrEnabled,
+  extract: async (buffer, context) => {
+    if (!context.ocr) return { text: '', ocr_deferred: true };
+    const ocrResult = await recognizeImage(buffer);
+    return {
+      text: ocrResult.text,
+      ocr: summarizeOcr([{ num: 1, confidence: ocrResult.confidence }], []),
+    };
+  },
+});
+
+// Lazy loader for pdf-parse v2 so that any errors become tool errors, not process crashes
+let PDFParseClass = null;
+
+function getPdfParseClass() {
+  if (PDFParseClass) {
+    return PDFParseClass;
+  }
+
+  // This require is inside a function so if it throws, we catch it in the tool handler
+  // and return a nice error to the LLM instead of crashing the whole MCP server.
+  // For pdf-parse v2 the correct named export is PDFParse.
+  const mod = require('pdf-parse');
+
+  // Be a bit defensive in case the export shape changes
+  PDFParseClass = mod.PDFParse || mod.default || mod;
+
+  if (typeof PDFParseClass !== 'function') {
+    throw new Error('pdf-parse did not expose a PDFParse class/function as expected');
+  }
+
+  return PDFParseClass;
+}
+
+module.exports = {
+  registerExtractor,
+  findExtractor,
+  extractDocumentText,
+  supportedFormats,
+  guessMimeTypeFromName,
+  rtfToText,
+};
@@ -0,0 +1,181 @@
+// Field profiles for get_case_info
+//
+// A profile says which fields of the `results=full` matter payload go to the model
+// and under what names, so each program can shape get_case_info without editing
+// index.js. Profiles live in a YAML/JSON file (config/field-profiles.yaml is the
+// bundled default):
+//
+//   default_profile: standard
+//   profiles:
+//     summary:
+//       description: Short overview for case reviews
+//       custom_fields: [eviction_date_14]        # requested from LegalServer
+//       lookups:                                  # source fields holding lookup IDs
+//         custom_fields.eviction_reason_15: eviction_reason
+//       fields:
+//         case_number: case_number                # output name: source path
+//         client: client_full_name                # renamed
+//         office: intake_office.office_name       # dotted path
+//         eviction_date: custom_fields.eviction_date_14
+//         dates:                                  # nested group
+//           opened: date_opened
+//         notes:                                  # list of items
+//           path: notes
+//           exclude_inactive: true
+//           limit: 20
+//           each: { subject: subject, body: body }
+//         note_count: { count: notes, exclude_inactive: true }
+//
+// Objects with a "path" key map a value (or, with "each", every item of a list);
+// objects with a "count" key count the items of a list; other objects are groups.
+// `lookups` names the lookup behind coded fields the server doesn't already label
+// (custom lookup fields, mostly), so get_case_info shows their labels instead of IDs.
+
+/**
+ * Reads a dotted path such as "intake_office.office_name" or "notes.0.subject"
+ * @param {*} data
+ * @param {string} path
+ * @returns {*} undefined when any part of the path is missing
+ */
+function resolvePath(data, path) {
+  return path.split('.').reduce((value, segment) => {
+    if (value === null || value === undefined) return undefined;
+    return value[segment];
+  }, data);
+}
+
+// Items of a list, without the ones LegalServer marks inactive when asked to
+function listItems(value, spec) {
+  if (!Array.isArray(value)) return [];
+  return spec.exclude_inactive ? value.filter(item => item && item.active !== false) : value;
+}
+
+function applySpec(spec, data) {
+  if (typeof spec === 'string') {
+    return resolvePath(data, spec);
+  }
+
+  if ('count' in spec) {
+    return listItems(resolvePath(data, spec.count), spec).length;
+  }
+
+  if ('path' in spec) {
+    const value = resolvePath(data, spec.path);
+    if (!spec.each) return value;
+    if (!Array.isArray(value)) return [];
+
+    let items = listItems(value, spec);
+    if (spec.limit) items = items.slice(0, spec.limit);
+    return items.map(item => applyFieldMap(spec.each, item));
+  }
+
+  return applyFieldMap(spec, data);
+}
+
+/**
+ * Builds an output object from a profile's field map
+ * @param {Object} fields - Output name → source path or spec
+ * @param {Object} data - Source object, e.g. the matter payload
+ * @returns {Object}
+ */
+function applyFieldMap(fields, data) {
+  const output = {};
+  for (const [outputName, spec] of Object.entries(fields)) {
+    output[outputName] = applySpec(spec === true ? outputName : spec, data);
+  }
+  return output;
+}
+
+// Checks a field map up front, so mistakes surface at startup rather than mid-call
+function validateFieldMap(fields, where) {
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    throw new Error(`Field profiles: ${where} must be a map of output names to source paths`);
+  }
+  for (const [outputName, spec] of Object.entries(fields)) {
+    const at = `${where}.${outputName}`;
+    if (spec === true || typeof spec === 'string') continue;
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+      throw new Error(`Field profiles: ${at} must be a source path, true, or an object`);
+    }
+    if ('count' in spec) {
+      if (typeof spec.count !== 'string') throw new Error(`Field profiles: ${at}.count must be a source path`);
+    } else if ('path' in spec) {
+      if (typeof spec.path !== 'string') throw new Error(`Field profiles: ${at}.path must be a source path`);
+      if (spec.each) validateFieldMap(spec.each, `${at}.each`);
+    } else {
+      validateFieldMap(spec, at);
+    }
+  }
+}
+
+/**
+ * Validates a field profiles config and returns lookup/apply helpers
+ *
+ * @param {Object} config - Parsed field profiles file
+ * @returns {{ names: string[], defaultProfile: string, get: Function, apply: Function }}
+ * @throws {Error} When the config is malformed
+ */
+function createFieldProfiles(config) {
+  if (!config || typeof config !== 'object' || !config.profiles || typeof config.profiles !== 'object') {
+    throw new Error('Field profiles: the file must have a "profiles" map');
+  }
+
+  const profiles = new Map();
+  for (const [name, profile] of Object.entries(config.profiles)) {
+    if (!profile || typeof profile !== 'object') {
+      throw new Error(`Field profiles: profile "${name}" must be an object`);
+    }
+    validateFieldMap(profile.fields, `profiles.${name}.fields`);
+    if (profile.custom_fields !== undefined && !Array.isArray(profile.custom_fields)) {
+      throw new Error(`Field profiles: profiles.${name}.custom_fields must be a list of custom field names`);
+    }
+    const lookups = profile.lookups || {};
+    if (typeof lookups !== 'object' || Array.isArray(lookups)
+      || Object.values(lookups).some(lookup => typeof lookup !== 'string' || !lookup)) {
+      throw new Error(`Field profiles: profiles.${name}.lookups must map source paths to lookup names`);
+    }
+    profiles.set(name, {
+      name,
+      description: profile.description || '',
+      fields: profile.fields,
+      customFields: profile.custom_fields || [],
+      lookups,
+    });
+  }
+
+  const names = [...profiles.keys()];
+  if (names.length === 0) {
+    throw new Error('Field profiles: at least one profile is required');
+  }
+
+  const defaultProfile = config.default_profile || names[0];
+  if (!profiles.has(defaultProfile)) {
+    throw new Error(`Field profiles: default_profile "${defaultProfile}" is not defined`);
+  }
+
+  return {
+    names,
+    defaultProfile,
+
+    /**
+     * @param {string} [name] - Profile name; the default profile when omitted
+     * @throws {Error} For unknown profile names
+     */
+    get(name) {
+      const profile = profiles.get(name || defaultProfile);
+      if (!profile) {
+        throw new Error(`Unknown profile "${name}". Available profiles: ${names.join(', ')}`);
+      }
+      return profile;
+    },
+
+    apply(profile, data) {
+      return applyFieldMap(profile.fields, data);
+    },
+  };
+}
+
+module.exports = {
+  resolvePath,
+  createFieldProfiles,
+};
@@ -0,0 +1,309 @@
+// HTTP client for the LegalServer API: timeouts, retries, rate limits and a global concurrency cap
+//
+// Every request goes through one limiter, so fan-out tools (search_case_documents,
+// run_conflict_check, the multi-source tools) can't flood the site between them.
+// LegalServer reports each API user's per-minute allowance on every response
+// (x-rate-limit-limit / -remaining / -reset); once a caller's window is used up their
+// next requests wait for the reset instead of collecting 429s. 429s, 5xx responses,
+// timeouts and network failures are retried with exponential backoff. Writes are
+// only retried when they can't have been applied: on 429, or a refused connection.
+//
+// Failures are thrown as LegalServerApiError, carrying the status, a `kind` the agent
+// can act on, and LegalServer's own error body.
+
+const { createHash } = require('node:crypto');
+
+// What went wrong, by HTTP status, with what the agent should do about it
+const ERROR_KINDS = {
+  400: { kind: 'invalid_request', suggestion: 'LegalServer rejected the request. Check the arguments against the detail and try again.' },
+  401: { kind: 'unauthorized', suggestion: 'The LegalServer API token is missing, expired or invalid. Ask the user to update their LegalServer API token.' },
+  403: { kind: 'forbidden', suggestion: 'The LegalServer user this token belongs to lacks permission for this API or record. Do not retry; tell the user which permission or record is involved.' },
+  404: { kind: 'not_found', suggestion: 'The case, document or record does not exist (or is not visible to this user). Check the UUID, e.g. with search_case_by_number.' },
+  409: { kind: 'conflict', suggestion: 'The record changed or conflicts with another one. Re-read it and try again.' },
+  422: { kind: 'invalid_request', suggestion: 'LegalServer rejected the values sent. Check the arguments against the detail and try again.' },
+  429: { kind: 'rate_limited', suggestion: 'The LegalServer API rate limit is used up. Wait until it resets before trying again.' },
+};
+const SERVER_ERROR = { kind: 'server_error', suggestion: 'LegalServer had a problem handling the request. Try again in a few minutes.' };
+const UNAVAILABLE = { kind: 'unavailable', suggestion: 'LegalServer is down for maintenance or overloaded. Try again in a few minutes.' };
+const TIMEOUT = { kind: 'timeout', suggestion: 'LegalServer did not answer in time. Try again, or narrow the request (fewer results, a smaller document).' };
+const NETWORK = { kind: 'network', suggestion: 'LegalServer could not be reached. Check the site URL and network, then try again.' };
+const INVALID_RESPONSE = { kind: 'invalid_response', suggestion: 'LegalServer sent a response that could not be read. Try again; if it persists, report it.' };
+
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+
+function classify(status) {
+  if (ERROR_KINDS[status]) return ERROR_KINDS[status];
+  if (status === 503) return UNAVAILABLE;
+  if (status >= 500) return SERVER_ERROR;
+  return { kind: 'http_error', suggestion: ERROR_KINDS[400].suggestion };
+}
+
+/**
+ * An error response, timeout or network failure from the LegalServer API
+ */
+class LegalServerApiError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} details
+   * @param {string} details.kind - e.g. 'unauthorized', 'forbidden', 'not_found', 'invalid_request', 'rate_limited'
+   * @param {string} details.suggestion - What the agent should do next
+   * @param {number} [details.status] - HTTP status, when a response came back
+   * @param {string} [details.endpoint]
+   * @param {*} [details.detail] - LegalServer's error body (usually { error_message })
+   * @param {number} [details.retryAfterSeconds] - For rate_limited
+   */
+  constructor(message, { kind, suggestion, status, endpoint, detail, retryAfterSeconds }) {
+    super(message);
+    this.name = 'LegalServerApiError';
+    this.kind = kind;
+    this.suggestion = suggestion;
+    this.status = status;
+    this.endpoint = endpoint;
+    this.detail = detail;
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * A counting semaphore: at most `max` functions run at once, the rest queue in order
+ */
+function createLimiter(max) {
+  let active = 0;
+  const waiting = [];
+
+  const release = () => {
+    const next = waiting.shift();
+    if (next) next();  // the slot passes straight to the next caller
+    else active--;
+  };
+
+  return async function run(fn) {
+    if (active >= max) {
+      await new Promise(resolve => waiting.push(resolve));
+    } else {
+      active++;
+    }
+    try {
+      return await fn();
+    } finally {
+      release();
+    }
+  };
+}
+
+// LegalServer's error bodies are JSON ({ error_message, "missing arguments" }) or, when the
+// site is down, HTML/plain text
+async function readErrorBody(response) {
+  const text = await response.text().catch(() => '');
+  if (!text) return { detail: undefined, summary: '' };
+  try {
+    const detail = JSON.parse(text);
+    const missing = detail['missing arguments'];
+    const summary = [
+      detail.error_message || detail.error || detail.message,
+      Array.isArray(missing) && missing.length ? `missing arguments: ${missing.join(', ')}` : '',
+    ].filter(Boolean).join('; ');
+    return { detail, summary: summary || text.slice(0, 500) };
+  } catch (error) {
+    const plain = text.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 500);
+    return { detail: plain || undefined, summary: plain };
+  }
+}
+
+// Reads a download whichever way the fetch implementation exposes it
+async function readBinaryBody(response) {
+  if (typeof response.arrayBuffer === 'function') {
+    return Buffer.from(await response.arrayBuffer());
+  }
+  if (typeof response.buffer === 'function') {
+    return response.buffer();
+  }
+  if (response.body && typeof response.body.getReader === 'function') {
+    // Streamed downloads that behave like browser file downloads rather than binary API responses
+    const reader = response.body.getReader();
+    const chunks = [];
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(Buffer.from(value));
+    }
+    return Buffer.concat(chunks);
+  }
+  // Last resort: treat it as text (e.g., when a download-style response lacks binary helpers)
+  return Buffer.from(await response.text(), 'utf-8');
+}
+
+/**
+ * Creates the client all LegalServer calls go through
+ *
+ * @param {Object} options
+ * @param {string} options.baseUrl - Site URL with a trailing slash
+ * @param {number} options.timeoutMs - Per-attempt limit for API calls
+ * @param {number} options.downloadTimeoutMs - Per-attempt limit for document downloads
+ * @param {number} options.maxRetries - Retries after the first attempt
+ * @param {number} options.maxConcurrency - Requests in flight at once, across all sessions
+ * @param {number} options.maxRateLimitWaitMs - Longest a request waits for a rate limit reset
+ * @param {Function} [options.fetchImpl=fetch]
+ * @returns {{ request: Function }}
+ */
+function createLegalServerClient({
+  baseUrl,
+  timeoutMs,
+  downloadTimeoutMs,
+  maxRetries,
+  maxConcurrency,
+  maxRateLimitWaitMs,
+  fetchImpl = fetch,
+}) {
+  const limit = createLimiter(maxConcurrency);
+
+  // Rate limits are per API user, so state is kept per token (by hash)
+  const rateLimits = new Map();  // tokenHash -> { remaining, resetAt }
+  const callerOf = session => createHash('sha256').update(session.token).digest('hex');
+
+  function recordRateLimit(caller, headers) {
+    const remaining = parseInt(headers.get('x-rate-limit-remaining'), 10);
+    const reset = parseInt(headers.get('x-rate-limit-reset'), 10);
+    if (Number.isNaN(remaining) || Number.isNaN(reset)) return;
+    rateLimits.set(caller, { remaining, resetAt: reset * 1000 });
+  }
+
+  // How long until this caller may send again (0 when they may send now)
+  function rateLimitDelay(caller) {
+    const state = rateLimits.get(caller);
+    if (!state || state.remaining > 0) return 0;
+    return Math.max(0, state.resetAt - Date.now());
+  }
+
+  function backoff(attempt) {
+    const base = Math.min(500 * 2 ** attempt, 8000);
+    return base + Math.floor(Math.random() * base * 0.25);
+  }
+
+  function rateLimitedError(endpoint, waitMs) {
+    const { kind, suggestion } = ERROR_KINDS[429];
+    const retryAfterSeconds = Math.ceil(waitMs / 1000);
+    return new LegalServerApiError(
+      `LegalServer API error: 429 rate limit reached; it resets in ${retryAfterSeconds}s`,
+      { kind, suggestion, status: 429, endpoint, retryAfterSeconds }
+    );
+  }
+
+  // One attempt, holding a concurrency slot until the body has been read
+  async function attempt(session, caller, { method, url, endpoint, body, binary }) {
+    return limit(async () => {
+      const state = rateLimits.get(caller);
+      if (state) state.remaining--;  // counted now, corrected by the response headers
+
+      let response;
+      try {
+        response = await fetchImpl(url, {
+          method,
+          headers: {
+            'Authorization': `Bearer ${session.token}`,
+            'Accept': binary ? '*/*' : 'application/json',
+            ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+          },
+          body: body !== undefined ? JSON.stringify(body) : undefined,
+          signal: AbortSignal.timeout(binary ? downloadTimeoutMs : timeoutMs),
+        });
+        recordRateLimit(caller, response.headers);
+
+        if (!response.ok) {
+          const { detail, summary } = await readErrorBody(response);
+          return {
+            error: new LegalServerApiError(
+              `LegalServer API error: ${response.status} ${response.statusText}${summary ? ` - ${summary}` : ''}`,
+              { ...classify(response.status), status: response.status, endpoint, detail }
+            ),
+            retryable: RETRYABLE_STATUSES.includes(response.status),
+          };
+        }
+
+        if (binary) {
+          return {
+            value: {
+              content: await readBinaryBody(response),
+              mimeType: response.headers.get('content-type'),
+              contentDisposition: response.headers.get('content-disposition'),
+            },
+          };
+        }
+        try {
+          return { value: await response.json() };
+        } catch (error) {
+          if (error.name === 'TimeoutError' || error.name === 'AbortError') throw error;
+          return {
+            error: new LegalServerApiError(`LegalServer API error: unreadable response (${error.message})`, { ...INVALID_RESPONSE, status: response.status, endpoint }),
+            retryable: false,
+          };
+        }
+      } catch (error) {
+        const timedOut = error.name === 'TimeoutError' || error.name === 'AbortError';
+        const seconds = Math.round((binary ? downloadTimeoutMs : timeoutMs) / 1000);
+        return {
+          error: new LegalServerApiError(
+            timedOut
+              ? `LegalServer API error: no response within ${seconds}s`
+              : `LegalServer API error: request failed (${error.cause?.code || error.message})`,
+            { ...(timedOut ? TIMEOUT : NETWORK), endpoint }
+          ),
+          // A write that timed out may have been applied; only a refused connection is safe to repeat
+          retryable: true,
+          sent: timedOut || error.cause?.code !== 'ECONNREFUSED',
+        };
+      }
+    });
+  }
+
+  return {
+    /**
+     * Sends a request, retrying what can safely be retried
+     *
+     * @param {Object} session - The caller's session; supplies the bearer token
+     * @param {Object} request
+     * @param {string} [request.method='GET']
+     * @param {string} request.endpoint - API path, e.g. '/api/v1/matters'
+     * @param {Object} [request.query] - Query parameters; array values repeat the key
+     * @param {Object} [request.body] - JSON body for POST/PATCH
+     * @param {boolean} [request.binary=false] - Return { content, mimeType, contentDisposition }
+     * @returns {Promise<*>} Parsed JSON, or the download
+     * @throws {LegalServerApiError}
+     */
+    async request(session, { method = 'GET', endpoint, query = {}, body, binary = false }) {
+      const url = new URL(endpoint, baseUrl);
+      Object.keys(query).forEach(key => {
+        [].concat(query[key]).forEach(value => url.searchParams.append(key, value));
+      });
+
+      const caller = callerOf(session);
+      const isWrite = method !== 'GET';
+
+      for (let attemptNumber = 0; ; attemptNumber++) {
+        const wait = rateLimitDelay(caller);
+        if (wait > maxRateLimitWaitMs) throw rateLimitedError(endpoint, wait);
+        if (wait > 0) await sleep(wait + 250);  // a little past the reset, in case clocks differ
+
+        const outcome = await attempt(session, caller, { method, url: url.toString(), endpoint, body, binary });
+        if (!outcome.error) return outcome.value;
+
+        const { error } = outcome;
+        const retryable = outcome.retryable
+          && (!isWrite || error.status === 429 || (error.kind === 'network' && !outcome.sent));
+        if (!retryable || attemptNumber >= maxRetries) throw error;
+
+        // A 429 that says when the window resets waits for it at the top of the loop
+        if (error.status !== 429 || rateLimitDelay(caller) === 0) {
+          await sleep(backoff(attemptNumber));
+        }
+      }
+    },
+  };
+}
+
+module.exports = {
+  LegalServerApiError,
+  createLegalServerClient,
+};
@@ -0,0 +1,148 @@
+// Litigation side of a matter: court cases, charges and service phases, shaped for get_case_litigation
+//
+// Several fields come back as lookup IDs rather than labels depending on the site
+// (e.g. charge_outcome_id). LOOKUP_FIELDS says which lookup each one belongs to so
+// the tool can load just the lookups it needs (lib/lookups.js) and show labels instead.
+
+const { normalizeDate } = require('./timeline');
+
+const LITIGATION_SECTIONS = ['litigations', 'charges', 'hearings', 'phases'];
+
+// record type -> field -> LegalServer lookup name (/api/v1/lookups/{name})
+const LOOKUP_FIELDS = {
+  litigations: {
+    outcome: 'litigation_outcomes',
+    litigation_relationship: 'litigation_relationship',
+  },
+  charges: {
+    charge_category: 'charge_category',
+    penalty_class: 'charge_penalty_class',
+    charge_outcome_id: 'charge_outcome',
+    charge_tag_id: 'charge_tag',
+  },
+  phases: {
+    type: 'phase_type',
+    decision: 'phase_decision',
+  },
+};
+
+const isLookupId = value => (typeof value === 'number' && Number.isInteger(value))
+  || (typeof value === 'string' && /^\d+$/.test(value.trim()));
+
+/**
+ * Lookup names that have to be fetched to label these records
+ * @param {Object} records - { litigations?, charges?, phases? } arrays
+ * @returns {string[]}
+ */
+function lookupsNeeded(records) {
+  const needed = new Set();
+  Object.entries(LOOKUP_FIELDS).forEach(([type, fields]) => {
+    (records[type] || []).forEach(record => {
+      Object.entries(fields).forEach(([field, lookup]) => {
+        if (isLookupId(record[field])) needed.add(lookup);
+      });
+    });
+  });
+  return [...needed];
+}
+
+const dateOf = value => normalizeDate(value)?.date;
+
+function describeLitigation(litigation, label) {
+  const fields = LOOKUP_FIELDS.litigations;
+  return {
+    litigation_uuid: litigation.litigation_uuid,
+    court: litigation.court_text || (typeof litigation.court === 'string' ? litigation.court : undefined),
+    court_number: litigation.court_number || undefined,
+    docket: litigation.docket || undefined,
+    caption: litigation.caption || undefined,
+    cause_of_action: litigation.cause_of_action || undefined,
+    judge: litigation.judge || undefined,
+    court_calendar: litigation.court_calendar || undefined,
+    filing_type: litigation.filing_type || undefined,
+    relationship: label(fields.litigation_relationship, litigation.litigation_relationship),
+    adverse_party: typeof litigation.adverse_party === 'string' ? litigation.adverse_party : undefined,
+    application_filing_date: dateOf(litigation.application_filing_date),
+    date_proceeding_initiated: dateOf(litigation.date_proceeding_initiated),
+    date_served: dateOf(litigation.date_served),
+    default_date: dateOf(litigation.default_date),
+    outcome: label(fields.outcome, litigation.outcome),
+    outcome_date: dateOf(litigation.outcome_date),
+    date_proceeding_concluded: dateOf(litigation.date_proceeding_concluded),
+    number_of_people_served: litigation.number_of_people_served ?? undefined,
+    notes: litigation.notes || undefined,
+  };
+}
+
+function describeCharge(charge, label) {
+  const fields = LOOKUP_FIELDS.charges;
+  return {
+    charge_uuid: charge.charge_uuid,
+    charge: charge.lookup_charge || undefined,
+    top_charge: Boolean(charge.top_charge),
+    statute_number: charge.statute_number ?? undefined,
+    category: label(fields.charge_category, charge.charge_category),
+    penalty_class: label(fields.penalty_class, charge.penalty_class),
+    warrant_number: charge.warrant_number || undefined,
+    charge_date: dateOf(charge.charge_date),
+    arraignment_date: dateOf(charge.arraignment_date),
+    outcome: label(fields.charge_outcome_id, charge.charge_outcome_id),
+    disposition_date: dateOf(charge.disposition_date),
+    charge_reduction_date: dateOf(charge.charge_reduction_date),
+    reduced_from_charge_id: charge.previous_charge_id ?? undefined,
+    tag: label(fields.charge_tag_id, charge.charge_tag_id),
+    note: charge.note || undefined,
+  };
+}
+
+function describePhase(service, label) {
+  const fields = LOOKUP_FIELDS.phases;
+  const charges = Array.isArray(service.charges?.individual_values)
+    ? service.charges.individual_values.map(charge => charge.lookup_charge).filter(Boolean)
+    : [];
+  return {
+    service_uuid: service.service_uuid,
+    title: service.title || undefined,
+    type: label(fields.type, service.type),
+    decision: label(fields.decision, service.decision),
+    start_date: dateOf(service.start_date),
+    end_date: dateOf(service.end_date),
+    closed: Boolean(service.closed),
+    closed_by: service.closed_by?.user_name || undefined,
+    charges: charges.length ? charges : undefined,
+    note: service.note || undefined,
+  };
+}
+
+/**
+ * Describes a matter's litigation records with lookup values labelled
+ *
+ * @param {Object} records - Any of litigations, charges, phases (service records)
+ * @param {Function} label - (lookupName, value) -> label, from the lookup service
+ * @returns {{ litigations?: Array, charges?: Array, phases?: Array }}
+ */
+function describeLitigationRecords(records, label) {
+  const byDate = field => (a, b) => (a[field] || '9999').localeCompare(b[field] || '9999');
+  const described = {};
+  if (records.litigations) {
+    described.litigations = records.litigations.map(item => describeLitigation(item, label))
+      .sort(byDate('date_proceeding_initiated'));
+  }
+  if (records.charges) {
+    // Top charge first, then in charge date order
+    described.charges = records.charges.map(item => describeCharge(item, label))
+      .sort((a, b) => Number(b.top_charge) - Number(a.top_charge) || byDate('charge_date')(a, b));
+  }
+  if (records.phases) {
+    described.phases = records.phases.filter(service => service.active !== false)
+      .map(item => describePhase(item, label))
+      .sort(byDate('start_date'));
+  }
+  return described;
+}
+
+module.exports = {
+  LITIGATION_SECTIONS,
+  lookupsNeeded,
+  describeLitigationRecords,
+};
@@ -0,0 +1,216 @@
+// Lookup tables (/api/v1/lookups/{name}): cached fetches, ID→label resolution and validation
+//
+// LegalServer keeps coded values (problem codes, note types, close reasons, counties,
+// charge outcomes...) in lookup tables. The service fetches a table on first use and
+// keeps it for `ttlMs`, so tools can show labels instead of IDs and check arguments
+// against the allowed values without a round trip each time.
+//
+// Depending on the site, coded fields of records (a task's task_type, a party's
+// relationship_type, ...) come back as labels or as lookup IDs. Tools pass the records
+// they fetch through labelRecords() with a map of field -> lookup name, so the model
+// always sees labels.
+
+const { jaroWinkler } = require('./similarity');
+const { ToolError } = require('./tool-errors');
+
+// Every lookup the CoreAPI spec names: the {lookup_name} enum of /api/v1/lookups/{lookup_name}
+// plus the lookups with their own endpoints (docs/CoreAPI.v1.yaml)
+const LOOKUP_NAMES = require('./lookup-names.json');
+
+const isLookupId = value => (typeof value === 'number' && Number.isInteger(value))
+  || (typeof value === 'string' && /^\d+$/.test(value.trim()));
+
+/**
+ * Closest matches for a mistyped value, best first
+ * @param {string[]} candidates
+ * @param {string} input
+ * @param {number} [limit=5]
+ * @returns {string[]}
+ */
+function suggest(candidates, input, limit = 5) {
+  const wanted = String(input).trim().toLowerCase();
+  return candidates
+    .map(candidate => {
+      const value = candidate.toLowerCase();
+      const contains = value.includes(wanted) || wanted.includes(value);
+      return { candidate, score: contains ? 1 + wanted.length / value.length : jaroWinkler(wanted, value) };
+    })
+    .filter(item => item.score >= 0.8)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(item => item.candidate);
+}
+
+// The values at a dotted path, through any lists on the way (and lists of values at the end)
+function valuesAt(value, segments) {
+  if (Array.isArray(value)) return value.flatMap(item => valuesAt(item, segments));
+  if (segments.length === 0) return [value];
+  if (!value || typeof value !== 'object') return [];
+  return valuesAt(value[segments[0]], segments.slice(1));
+}
+
+// A copy of value with replace() applied at a dotted path, through any lists on the way
+function mapPath(value, segments, replace) {
+  if (Array.isArray(value)) return value.map(item => mapPath(item, segments, replace));
+  if (!value || typeof value !== 'object' || !(segments[0] in value)) return value;
+  const [field, ...rest] = segments;
+  return { ...value, [field]: rest.length ? mapPath(value[field], rest, replace) : replace(value[field]) };
+}
+
+/**
+ * Checks a lookup name against the ones the API knows
+ * @throws {ToolError} invalid_arguments, with close matches, when the name is unknown
+ */
+function checkLookupName(name) {
+  if (LOOKUP_NAMES.includes(name)) return name;
+  const close = suggest(LOOKUP_NAMES, name || '');
+  throw new ToolError('invalid_arguments', `Unknown lookup "${name}".${close.length ? ` Did you mean: ${close.join(', ')}?` : ''}`);
+}
+
+/**
+ * Creates the lookup cache shared by all tools
+ *
+ * @param {Object} options
+ * @param {Function} options.fetchLookup - async (session, name) => lookup records
+ * @param {number} options.ttlMs - How long a fetched table is reused
+ * @param {Function} [options.siteOf] - (session) => the site a session works on; each
+ *   site has its own lookup tables, so they are cached separately
+ * @returns {Object}
+ */
+function createLookupService({ fetchLookup, ttlMs, siteOf = () => '' }) {
+  const cache = new Map();     // site + name -> { values, fetchedAt }
+  const inFlight = new Map();  // site + name -> Promise, so concurrent callers share one fetch
+
+  async function load(session, name, refresh) {
+    const key = `${siteOf(session)}|${name}`;
+    const cached = cache.get(key);
+    if (cached && !refresh && Date.now() - cached.fetchedAt < ttlMs) {
+      return { ...cached, cached: true };
+    }
+    if (!inFlight.has(key)) {
+      inFlight.set(key, (async () => {
+        try {
+          const values = (await fetchLookup(session, name)).filter(value => value && value.name);
+          const entry = { values, fetchedAt: Date.now() };
+          cache.set(key, entry);
+          return entry;
+        } finally {
+          inFlight.delete(key);
+        }
+      })());
+    }
+    return { ...(await inFlight.get(key)), cached: false };
+  }
+
+  /**
+   * Builds a resolver from lookup IDs to labels for the given lookups
+   * Lookups that can't be read are reported and their IDs left as they are.
+   *
+   * @param {Object} session
+   * @param {string[]} names
+   * @returns {Promise<{ label: Function, unresolved: string[] }>} label(name, value) -> label or value
+   */
+  async function labeler(session, names) {
+    const byId = {};
+    const unresolved = [];
+    const loaded = await Promise.allSettled(names.map(name => load(session, name, false)));
+    loaded.forEach((outcome, i) => {
+      if (outcome.status === 'fulfilled') {
+        byId[names[i]] = new Map(outcome.value.values.map(value => [String(value.id), value.name]));
+      } else {
+        unresolved.push(names[i]);
+      }
+    });
+    const label = (name, value) => {
+      if (value === null || value === undefined || value === '') return undefined;
+      if (!isLookupId(value)) return value;
+      return byId[name]?.get(String(value).trim()) ?? value;
+    };
+    return { label, unresolved };
+  }
+
+  return {
+    /**
+     * The values of a lookup table
+     * @param {Object} session
+     * @param {string} name - Lookup name, e.g. 'problem_code'
+     * @param {Object} [options]
+     * @param {boolean} [options.refresh=false] - Skip the cache
+     * @returns {Promise<{ values: Array, fetched_at: string, cached: boolean }>}
+     */
+    async list(session, name, { refresh = false } = {}) {
+      const entry = await load(session, checkLookupName(name), refresh);
+      return { values: entry.values, fetched_at: new Date(entry.fetchedAt).toISOString(), cached: entry.cached };
+    },
+
+    labeler,
+
+    /**
+     * Replaces the lookup IDs in LegalServer records with their labels
+     * Only lookups whose IDs actually appear are loaded; values that are labels
+     * already, and IDs of lookups that can't be read, are left as they are.
+     *
+     * @param {Object} session
+     * @param {Object|Array} records - A record or a list of them
+     * @param {Object} fields - Field (a dotted path, through lists) -> lookup name,
+     *   e.g. { task_type: 'task_types', 'notes.note_type': 'note_type' }
+     * @returns {Promise<{ records: Object|Array, unresolved: string[] }>}
+     */
+    async labelRecords(session, records, fields) {
+      const present = Object.entries(fields)
+        .filter(([path]) => valuesAt(records, path.split('.')).some(isLookupId));
+      if (present.length === 0) return { records, unresolved: [] };
+
+      const { label, unresolved } = await labeler(session, [...new Set(present.map(([, name]) => name))]);
+      const labelled = present.reduce((current, [path, name]) => mapPath(current, path.split('.'), value => (
+        Array.isArray(value)
+          ? value.map(item => (isLookupId(item) ? label(name, item) : item))
+          : (isLookupId(value) ? label(name, value) : value)
+      )), records);
+      return { records: labelled, unresolved };
+    },
+
+    /**
+     * Checks a value against a lookup's active values
+     * Accepts the label in any case, the numeric ID, or a leading code such as "63"
+     * for "63 Private Landlord/Tenant".
+     *
+     * @param {Object} session
+     * @param {string} name - Lookup name
+     * @param {string|number} value
+     * @param {string} argument - Argument name, for the error message
+     * @returns {Promise<string>} The value as LegalServer spells it
+     * @throws {ToolError} invalid_arguments, with close matches, when the value is not allowed
+     */
+    async validate(session, name, value, argument) {
+      const { values } = await load(session, name, false);
+      const active = values.filter(item => item.active !== false);
+      const wanted = String(value).trim().toLowerCase();
+
+      const exact = active.find(item => item.name.toLowerCase() === wanted);
+      if (exact) return exact.name;
+      if (isLookupId(value)) {
+        // A code printed in the label wins over the database ID
+        const byCode = active.filter(item => item.name.toLowerCase().startsWith(`${wanted} `));
+        if (byCode.length === 1) return byCode[0].name;
+        const byId = active.find(item => String(item.id) === String(value).trim());
+        if (byId) return byId.name;
+      }
+
+      const inactive = values.find(item => item.active === false && item.name.toLowerCase() === wanted);
+      const names = active.map(item => item.name);
+      const close = suggest(names, value);
+      const hint = close.length
+        ? `Did you mean: ${close.join(', ')}?`
+        : names.length <= 15
+          ? `Valid values: ${names.join(', ')}`
+          : `Use list_lookup_values with lookup "${name}" to see the ${names.length} valid values.`;
+      throw new ToolError('invalid_arguments', `${inactive ? 'Inactive' : 'Unknown'} ${argument} "${value}". ${hint}`);
+    },
+  };
+}
+
+module.exports = {
+  LOOKUP_NAMES,
+  createLookupService,
+};
@@ -0,0 +1,48 @@
+// A Map with a size limit, for the per-document bookkeeping that every session adds to
+//
+// Once full, setting a new key drops the least recently used entry, so a shared HTTP
+// server's memory stays bounded however many documents its users list. Callers must
+// treat a missing entry as "not known any more" and look the data up again.
+
+/**
+ * Creates a size-limited map
+ *
+ * @param {number} maxEntries - Entries kept; least recently used ones are dropped past it
+ * @returns {{ get: Function, set: Function, delete: Function, size: number }}
+ */
+function createLruMap(maxEntries) {
+  // Map iteration order is insertion order, so re-inserting on read gives us LRU for free
+  const entries = new Map();
+
+  return {
+    get(key) {
+      if (!entries.has(key)) return undefined;
+      const value = entries.get(key);
+      entries.delete(key);
+      entries.set(key, value);
+      return value;
+    },
+
+    set(key, value) {
+      entries.delete(key);
+      entries.set(key, value);
+      for (const oldestKey of entries.keys()) {
+        if (entries.size <= maxEntries) break;
+        entries.delete(oldestKey);
+      }
+      return this;
+    },
+
+    delete(key) {
+      return entries.delete(key);
+    },
+
+    get size() {
+      return entries.size;
+    },
+  };
+}
+
+module.exports = {
+  createLruMap,
+};
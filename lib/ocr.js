@@ -0,0 +1,184 @@
+// Offline OCR for images and scanned PDF pages
+//
+// Uses tesseract.js with language data from the @tesseract.js-data/* npm packages,
+// so nothing is downloaded at runtime. A single worker is created lazily on first use
+// (the WASM core and language model take a moment to load) and shut down again after
+// it has been idle for a while, since it holds a fair amount of memory.
+
+const path = require('node:path');
+
+// Pages whose text layer has fewer non-whitespace characters than this are treated
+// as scanned and sent through OCR (a lone page number shouldn't count as text)
+const MIN_TEXT_LAYER_CHARS = 20;
+
+// Shut the worker down after this long without a job
+const WORKER_IDLE_MS = 60 * 1000;
+
+// Below this average confidence, summaries warn that the OCR text may be unreliable
+const LOW_CONFIDENCE = 60;
+
+let options = {
+  enabled: true,
+  languages: 'eng',
+  langPath: undefined,
+  maxPdfPages: 20,
+  pdfScale: 2,
+};
+
+let workerPromise = null;
+let idleTimer = null;
+let activeJobs = 0;
+
+/**
+ * Sets OCR options; call once at startup
+ *
+ * @param {Object} overrides
+ * @param {boolean} [overrides.enabled] - Set to false to turn OCR off entirely
+ * @param {string} [overrides.languages] - Tesseract language codes joined with "+", e.g. "eng+spa"
+ * @param {string} [overrides.langPath] - Directory holding <lang>.traineddata.gz files;
+ *   defaults to the bundled @tesseract.js-data package for the first language
+ * @param {number} [overrides.maxPdfPages] - Maximum scanned pages to OCR per PDF
+ * @param {number} [overrides.pdfScale] - Render scale for PDF pages; higher is slower but more accurate
+ */
+function configureOcr(overrides) {
+  options = { ...options, ...overrides };
+}
+
+function isOcrEnabled() {
+  return options.enabled;
+}
+
+// Finds the bundled language data for the configured languages
+function resolveLangPath() {
+  if (options.langPath) return options.langPath;
+
+  const firstLanguage = options.languages.split('+')[0];
+  const packageJson = require.resolve(`@tesseract.js-data/${firstLanguage}/package.json`);
+  // The LSTM-only engine we use loads the "best_int" models
+  return path.join(path.dirname(packageJson), '4.0.0_best_int');
+}
+
+async function getWorker() {
+  if (!workerPromise) {
+    // Required lazily so a broken tesseract install only breaks OCR, not the server
+    const { createWorker, OEM } = require('tesseract.js');
+    workerPromise = createWorker(options.languages, OEM.LSTM_ONLY, {
+      langPath: resolveLangPath(),
+      gzip: true,
+      cacheMethod: 'none',
+    }).catch((error) => {
+      workerPromise = null;
+      throw error;
+    });
+  }
+  return workerPromise;
+}
+
+function scheduleIdleShutdown() {
+  clearTimeout(idleTimer);
+  idleTimer = setTimeout(async () => {
+    if (activeJobs > 0 || !workerPromise) return;
+    const worker = await workerPromise;
+    workerPromise = null;
+    await worker.terminate();
+  }, WORKER_IDLE_MS);
+  // Never keep the process alive just to shut the worker down
+  idleTimer.unref();
+}
+
+/**
+ * Runs OCR over a single image
+ *
+ * @param {Buffer|Uint8Array} image - PNG, JPEG, BMP, GIF, WebP or TIFF data
+ * @returns {Promise<{ text: string, confidence: number }>} Confidence is 0-100
+ */
+async function recognizeImage(image) {
+  activeJobs++;
+  try {
+    const worker = await getWorker();
+    const { data } = await worker.recognize(Buffer.from(image));
+    return {
+      text: data.text || '',
+      confidence: Math.round(data.confidence),
+    };
+  } finally {
+    activeJobs--;
+    scheduleIdleShutdown();
+  }
+}
+
+/**
+ * Whether a PDF page's extracted text is too thin to be a real text layer
+ * @param {string} text
+ */
+function needsOcr(text) {
+  return (text || '').replace(/\s+/g, '').length < MIN_TEXT_LAYER_CHARS;
+}
+
+/**
+ * Renders the given PDF pages and runs OCR over each
+ * Pages past the maxPdfPages limit are reported as skipped rather than processed.
+ *
+ * @param {Object} parser - A pdf-parse v2 PDFParse instance for the document
+ * @param {number[]} pageNumbers - 1-based page numbers to OCR
+ * @returns {Promise<{ pages: Array<{ num: number, text: string, confidence: number }>, skipped: number[] }>}
+ */
+async function recognizePdfPages(parser, pageNumbers) {
+  const toProcess = pageNumbers.slice(0, options.maxPdfPages);
+  const skipped = pageNumbers.slice(options.maxPdfPages);
+  const pages = [];
+
+  // Render one page at a time to keep memory flat on long scanned documents
+  for (const num of toProcess) {
+    const screenshot = await parser.getScreenshot({
+      partial: [num],
+      scale: options.pdfScale,
+      imageBuffer: true,
+      imageDataUrl: false,
+    });
+    const rendered = screenshot.pages[0];
+    if (!rendered || !rendered.data) {
+      skipped.push(num);
+      continue;
+    }
+    const result = await recognizeImage(rendered.data);
+    pages.push({ num, ...result });
+  }
+
+  return { pages, skipped };
+}
+
+/**
+ * Summarizes which pages were OCR'd and how confident tesseract was, for tool responses
+ *
+ * @param {Array<{ num: number, confidence: number }>} pages
+ * @param {number[]} skippedPages - Pages that needed OCR but were not processed
+ */
+function summarizeOcr(pages, skippedPages) {
+  const confidences = pages.map(page => page.confidence);
+  const averageConfidence = confidences.length
+    ? Math.round(confidences.reduce((sum, value) => sum + value, 0) / confidences.length)
+    : null;
+
+  const summary = {
+    pages: pages.map(page => page.num),
+    average_confidence: averageConfidence,
+    page_confidence: pages.map(page => ({ page: page.num, confidence: page.confidence })),
+  };
+  if (skippedPages.length > 0) {
+    summary.pages_not_processed = skippedPages;
+  }
+  if (averageConfidence !== null && averageConfidence < LOW_CONFIDENCE) {
+    summary.warning = 'Low OCR confidence; the text may contain recognition errors. Verify important details against the original document.';
+  }
+  return summary;
+}
+
+module.exports = {
+  configureOcr,
+  isOcrEnabled,
+  summarizeOcr,
+  recognizeImage,
+  recognizePdfPages,
+  needsOcr,
+};
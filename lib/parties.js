@@ -0,0 +1,150 @@
+// Everyone connected to a matter, as one role-labelled list
+//
+// LegalServer keeps the client on the matter itself and everyone else in separate
+// lists (adverse parties, non-adverse parties, case contacts, additional names).
+// This module turns each into entries of one shape:
+//   { role, name, organization?, relationship?, contact_type?, phones?, email?, address?, ... }
+
+const PARTY_ROLES = ['client', 'client_alias', 'adverse_party', 'non_adverse_party', 'case_contact'];
+
+// LegalServer sends lookups as plain strings or as { lookup_value_name } style objects
+function label(value) {
+  if (value === null || value === undefined || value === '') return undefined;
+  if (typeof value === 'object') {
+    return value.lookup_value_name || value.name || value.text_value || value.all_values || undefined;
+  }
+  return String(value);
+}
+
+function personName(record) {
+  return [record.first, record.middle, record.last, record.suffix]
+    .map(part => (typeof part === 'string' ? part.trim() : ''))
+    .filter(Boolean)
+    .join(' ') || undefined;
+}
+
+/**
+ * Formats the address shapes used by matters (street/zip) and parties (street_address/zip_code)
+ * @returns {string|undefined}
+ */
+function formatAddress(record) {
+  if (typeof record === 'string') return record.trim() || undefined;
+  if (!record || typeof record !== 'object') return undefined;
+  const street = [
+    record.street || record.street_address,
+    record.street_2 || record.street_address_2 || record.addr2,
+    record.apt_num ? `Apt ${record.apt_num}` : '',
+  ].filter(Boolean).join(', ');
+  const county = label(record.county?.county_name);
+  const cityLine = [record.city, [record.state, record.zip || record.zip_code].filter(Boolean).join(' ')]
+    .filter(Boolean).join(', ');
+  return [street, cityLine, county ? `${county} County` : ''].filter(Boolean).join(', ') || undefined;
+}
+
+// Phone numbers with their notes; `unsafe` marks numbers the client said not to use
+function phones(entries) {
+  const list = entries
+    .filter(([, number]) => number)
+    .map(([type, number, note, safe]) => ({
+      type,
+      number,
+      note: note || undefined,
+      unsafe: safe === false ? true : undefined,
+    }));
+  return list.length ? list : undefined;
+}
+
+function fromClient(matter) {
+  const preferred = matter.preferred_phone_number;
+  return {
+    role: 'client',
+    name: matter.client_full_name || personName(matter),
+    organization: matter.organization_name || undefined,
+    date_of_birth: label(matter.date_of_birth),
+    phones: phones([
+      ['Home Phone', matter.home_phone, matter.home_phone_note, matter.home_phone_safe],
+      ['Mobile Phone', matter.mobile_phone, matter.mobile_phone_note, matter.mobile_phone_safe],
+      ['Work Phone', matter.work_phone, matter.work_phone_note, matter.work_phone_safe],
+      ['Other Phone', matter.other_phone, matter.other_phone_note, matter.other_phone_safe],
+      ['Fax', matter.fax_phone, matter.fax_phone_note, matter.fax_phone_safe],
+    ])?.map(phone => (phone.type === preferred ? { ...phone, preferred: true } : phone)),
+    email: matter.client_email_address || undefined,
+    address: formatAddress(matter.client_address_home),
+    mailing_address: formatAddress(matter.client_address_mailing),
+    client_id: matter.client_id,
+  };
+}
+
+function fromParty(party, role) {
+  return {
+    role,
+    name: personName(party) || party.organization_name,
+    organization: personName(party) ? party.organization_name || undefined : undefined,
+    business_type: label(party.business_type),
+    relationship: label(party.relationship_type),
+    date_of_birth: label(party.date_of_birth),
+    approximate_dob: party.approximate_dob || undefined,
+    employer: party.employer || undefined,
+    phones: phones([
+      ['Home Phone', party.phone_home, party.phone_home_note],
+      ['Mobile Phone', party.phone_mobile, party.phone_mobile_note],
+      ['Work Phone', party.phone_business, party.phone_business_note],
+      ['Fax', party.phone_fax, party.phone_fax_note],
+    ]),
+    email: party.email || undefined,
+    address: formatAddress(party),
+    alert: party.adverse_party_alert || undefined,
+    note: party.adverse_party_note || undefined,
+    active: party.active === false ? false : undefined,
+    uuid: party.uuid,
+  };
+}
+
+function fromContact(contact) {
+  return {
+    role: 'case_contact',
+    name: personName(contact) || contact.organization_name,
+    organization: personName(contact) ? contact.organization_name || undefined : undefined,
+    contact_type: label(contact.case_contact_type),
+    contact_categories: label(contact.contact_types),
+    phones: phones([['Work Phone', contact.phone_business]]),
+    email: contact.email || undefined,
+    uuid: contact.case_contact_uuid,
+    contact_uuid: contact.contact_uuid,
+  };
+}
+
+function fromAdditionalName(additionalName) {
+  return {
+    role: 'client_alias',
+    name: personName(additionalName),
+    relationship: label(additionalName.type),
+    uuid: additionalName.uuid,
+  };
+}
+
+/**
+ * Builds the role-labelled party list for a matter
+ *
+ * @param {Object} sources - Any of matter, adverse_parties, non_adverse_parties, contacts, additional_names
+ * @param {Object} [options]
+ * @param {string[]} [options.roles] - Only these roles (see PARTY_ROLES)
+ * @param {boolean} [options.includeInactive=false] - Keep parties marked inactive
+ * @returns {Array<Object>}
+ */
+function buildPartyList(sources, { roles, includeInactive = false } = {}) {
+  const isActive = record => includeInactive || record.active !== false;
+  const parties = [
+    ...(sources.matter ? [fromClient(sources.matter)] : []),
+    ...(sources.additional_names || []).map(fromAdditionalName),
+    ...(sources.adverse_parties || []).filter(isActive).map(party => fromParty(party, 'adverse_party')),
+    ...(sources.non_adverse_parties || []).filter(isActive).map(party => fromParty(party, 'non_adverse_party')),
+    ...(sources.contacts || []).map(fromContact),
+  ];
+  return parties.filter(party => !roles || roles.length === 0 || roles.includes(party.role));
+}
+
+module.exports = {
+  PARTY_ROLES,
+  buildPartyList,
+};
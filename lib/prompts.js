@@ -0,0 +1,218 @@
+// Prompt library: parameterized prompts for common legal aid workflows (MCP prompts)
+//
+// Each prompt is one YAML or JSON file in a prompts directory:
+//   name: closing_memo            defaults to the file name
+//   title, description
+//   arguments: [{ name, description, required }]   asked for besides case_number / case_uuid
+//   data: [{ tool, arguments? }]  read tools run for the case; their results are embedded
+//   template: |                   the prompt text, with {{placeholders}}
+//
+// Placeholders: {{case}} (case number, or UUID when only that was given), {{case_number}},
+// {{case_uuid}}, {{site}}, {{case_data}} (the embedded tool results) and the prompt's own arguments.
+// Tool arguments may use the same placeholders. Without {{case_data}} the data is appended.
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { McpError, ErrorCode } = require('@modelcontextprotocol/sdk/types.js');
+const { loadConfigFile } = require('./config');
+
+const CASE_ARGUMENTS = [
+  { name: 'case_number', description: 'LegalServer case number (e.g., "24-0539721"); or give case_uuid', required: false },
+  { name: 'case_uuid', description: 'Case UUID, instead of case_number', required: false },
+];
+const RESERVED_NAMES = ['case', 'case_number', 'case_uuid', 'case_data', 'site'];
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+const PROMPT_EXTENSIONS = ['.yaml', '.yml', '.json'];
+
+/**
+ * Replaces {{placeholders}}; unknown ones become empty
+ * @param {string} text
+ * @param {Object} values
+ * @returns {string}
+ */
+function fill(text, values) {
+  return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (values[key] === undefined ? '' : String(values[key])));
+}
+
+// Fills placeholders in every string of a tool's arguments
+function fillArguments(value, values) {
+  if (typeof value === 'string') return fill(value, values);
+  if (Array.isArray(value)) return value.map(item => fillArguments(item, values));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fillArguments(item, values)]));
+  }
+  return value;
+}
+
+/**
+ * Checks one prompt definition
+ * @throws {Error} Naming the file and what is wrong with it
+ */
+function validatePrompt(definition, file, dataTools) {
+  const where = `Prompt ${file}`;
+  if (!definition || typeof definition !== 'object') throw new Error(`${where}: expected a mapping`);
+
+  const name = definition.name || path.basename(file, path.extname(file));
+  if (!NAME_PATTERN.test(name)) {
+    throw new Error(`${where}: name "${name}" may only use lowercase letters, digits, "_" and "-"`);
+  }
+  if (typeof definition.template !== 'string' || !definition.template.trim()) {
+    throw new Error(`${where}: template must be non-empty text`);
+  }
+
+  const args = definition.arguments || [];
+  if (!Array.isArray(args)) throw new Error(`${where}: arguments must be a list`);
+  args.forEach((arg, i) => {
+    if (!arg || typeof arg.name !== 'string' || !/^\w+$/.test(arg.name)) {
+      throw new Error(`${where}: arguments[${i}] needs a name made of letters, digits and "_"`);
+    }
+    if (RESERVED_NAMES.includes(arg.name)) {
+      throw new Error(`${where}: argument "${arg.name}" is provided by the server; use another name`);
+    }
+  });
+
+  const data = definition.data || [];
+  if (!Array.isArray(data)) throw new Error(`${where}: data must be a list`);
+  data.forEach((item, i) => {
+    if (!item || !dataTools.includes(item.tool)) {
+      throw new Error(`${where}: data[${i}].tool must be one of ${dataTools.join(', ')}`);
+    }
+    if (item.arguments !== undefined && (typeof item.arguments !== 'object' || Array.isArray(item.arguments))) {
+      throw new Error(`${where}: data[${i}].arguments must be a mapping`);
+    }
+  });
+
+  return {
+    name,
+    title: definition.title || undefined,
+    description: definition.description || undefined,
+    arguments: args.map(arg => ({
+      name: arg.name,
+      description: arg.description || undefined,
+      required: Boolean(arg.required),
+    })),
+    data: data.map(item => ({ tool: item.tool, arguments: item.arguments || {} })),
+    template: definition.template,
+    file,
+  };
+}
+
+// Shaped like the tools' invalid_arguments errors (see lib/tool-errors.js)
+function invalidArguments(message, problems) {
+  return new McpError(ErrorCode.InvalidParams, message, { code: 'invalid_arguments', problems });
+}
+
+/**
+ * Loads every prompt file from the given directories
+ * A prompt in a later directory replaces one of the same name from an earlier one,
+ * so a deployment's directory can override the bundled prompts.
+ *
+ * @param {string[]} directories
+ * @param {Object} options
+ * @param {string[]} options.dataTools - Tools prompts may embed the results of
+ * @param {string[]} [options.sites] - Site names, default first, when the server has several; prompts then take a site argument
+ * @returns {{ list: Function, get: Function }}
+ * @throws {Error} When a directory can't be read or a prompt is invalid
+ */
+function loadPromptLibrary(directories, { dataTools, sites = [] }) {
+  const prompts = new Map();
+  const caseArguments = sites.length > 1
+    ? [...CASE_ARGUMENTS, { name: 'site', description: `LegalServer site the case is on: ${sites.join(', ')} (default: ${sites[0]})`, required: false }]
+    : CASE_ARGUMENTS;
+
+  for (const directory of directories) {
+    const resolved = path.resolve(directory);
+    let files;
+    try {
+      files = fs.readdirSync(resolved);
+    } catch (error) {
+      throw new Error(`Cannot read prompts directory ${resolved}: ${error.message}`);
+    }
+    files
+      .filter(file => PROMPT_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+      .sort()
+      .forEach(file => {
+        const prompt = validatePrompt(loadConfigFile(path.join(resolved, file), 'prompt file'), file, dataTools);
+        prompts.set(prompt.name, prompt);
+      });
+  }
+
+  return {
+    /**
+     * The prompts/list entries, every prompt taking case_number or case_uuid (and site) first
+     */
+    list() {
+      return [...prompts.values()].map(prompt => ({
+        name: prompt.name,
+        title: prompt.title,
+        description: prompt.description,
+        arguments: [...caseArguments, ...prompt.arguments],
+      }));
+    },
+
+    /**
+     * A prompt by name, with its arguments checked
+     * @param {string} name
+     * @param {Object} args - The caller's argument values
+     * @throws {McpError} InvalidParams for unknown prompts (data.code "unknown_prompt")
+     *   and missing arguments (data.code "invalid_arguments"): the caller's mistake, not the server's
+     */
+    get(name, args = {}) {
+      const prompt = prompts.get(name);
+      if (!prompt) {
+        throw new McpError(ErrorCode.InvalidParams, `Unknown prompt "${name}". Available: ${[...prompts.keys()].join(', ')}`, {
+          code: 'unknown_prompt',
+        });
+      }
+      if (!args.case_number && !args.case_uuid) {
+        throw invalidArguments(`Prompt "${name}" needs case_number or case_uuid`, [
+          { argument: 'case_number', message: 'case_number or case_uuid is required' },
+        ]);
+      }
+      const missing = prompt.arguments.filter(arg => arg.required && !args[arg.name]);
+      if (missing.length) {
+        throw invalidArguments(
+          `Prompt "${name}" is missing ${missing.map(arg => arg.name).join(', ')}`,
+          missing.map(arg => ({ argument: arg.name, message: `${arg.name} is required` }))
+        );
+      }
+      return prompt;
+    },
+  };
+}
+
+/**
+ * The tool calls a prompt embeds, with placeholders filled in
+ * @returns {Array<{ tool: string, arguments: Object }>}
+ */
+function promptDataCalls(prompt, values) {
+  return prompt.data.map(item => ({
+    tool: item.tool,
+    arguments: { ...fillArguments(item.arguments, values), case_uuid: values.case_uuid, site: values.site },
+  }));
+}
+
+/**
+ * Renders a prompt's text
+ *
+ * @param {Object} prompt - From the library's get()
+ * @param {Object} values - Argument values plus case, case_number and case_uuid
+ * @param {Array<{ tool: string, text: string }>} dataBlocks - Embedded tool results
+ * @returns {string}
+ */
+function renderPrompt(prompt, values, dataBlocks) {
+  const caseData = dataBlocks
+    .map(block => `### ${block.tool}\n\n\`\`\`json\n${block.text}\n\`\`\``)
+    .join('\n\n');
+  // Optional arguments left out read as "(not provided)" rather than vanishing mid-sentence
+  const given = Object.fromEntries(prompt.arguments.map(arg => [arg.name, values[arg.name] || '(not provided)']));
+  const text = fill(prompt.template, { ...values, ...given, case_data: caseData }).trim();
+  if (!caseData || /\{\{\s*case_data\s*\}\}/.test(prompt.template)) return text;
+  return `${text}\n\n## Case data\n\n${caseData}`;
+}
+
+module.exports = {
+  loadPromptLibrary,
+  promptDataCalls,
+  renderPrompt,
+};
@@ -0,0 +1,276 @@
+// PII redaction applied to every tool response before it reaches the model
+//
+// A policy says which JSON fields and which detector classes (SSNs, A-numbers, ...)
+// to handle, and how:
+//   mask  replace with a "[REDACTED ...]" marker
+//   hash  replace with a short keyed hash, so the same value still matches itself
+//         across responses without being revealed
+//   drop  remove the field, or remove the matched text
+//
+// Policy file (JSON or YAML, see config/redaction-policy.example.yaml):
+//   name: program-default
+//   fields:      { client_email_address: mask, "*_address": drop }
+//   detectors:   { ssn: mask, dob: mask, email: hash }
+//   patterns:    [{ name, pattern, flags, action }]   custom regexes
+//   skip_fields: [matter_uuid, ...]                  never scanned by detectors
+//   hash_salt:   secret used for "hash"
+
+const { createHmac, randomBytes } = require('node:crypto');
+
+const ACTIONS = ['mask', 'hash', 'drop'];
+
+// Built-in detectors. When a pattern has a "value" group, only that part is
+// replaced, so labels like "DOB:" stay readable.
+const DETECTORS = {
+  ssn: {
+    label: 'SSN',
+    pattern: /\b(?!000|666|9\d\d)\d{3}([- ])(?!00)\d{2}\1(?!0000)\d{4}\b/g,
+  },
+  a_number: {
+    label: 'A-NUMBER',
+    pattern: /\bA[- ]?(?:\d{3}[- ]?\d{3}[- ]?\d{3}|\d{8})\b/g,
+  },
+  bank_account: {
+    label: 'ACCOUNT',
+    pattern: /\b(?:account|acct|routing)\.?\s*(?:no\.?|number|num|#)?\s*[:#]?\s*(?<value>\d[\d -]{4,18}\d)\b/gi,
+  },
+  dob: {
+    label: 'DOB',
+    pattern: /\b(?:DOB|D\.O\.B\.|date of birth|birth ?date|born(?: on)?)\s*[:-]?\s*(?<value>\d{1,4}[/.-]\d{1,2}[/.-]\d{1,4}|(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\.? \d{1,2},? \d{4})/gi,
+  },
+  email: {
+    label: 'EMAIL',
+    pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g,
+  },
+  phone: {
+    label: 'PHONE',
+    pattern: /(?<!\d)(?:\+?1[-. ]?)?\(?\d{3}\)?[-. ]\d{3}[-. ]\d{4}(?!\d)/g,
+  },
+  credit_card: {
+    label: 'CARD',
+    pattern: /\b(?:\d{4}[- ]){3}\d{4}\b/g,
+  },
+};
+
+// Used when no policy file is configured: the identifiers that should never
+// leave the building, with contact details left alone. Dates of birth come both
+// labelled in text (the dob detector) and as structured fields (client and parties).
+const DEFAULT_POLICY = {
+  name: 'default',
+  fields: {
+    date_of_birth: 'mask',
+    dob: 'mask',
+  },
+  detectors: {
+    ssn: 'mask',
+    a_number: 'mask',
+    bank_account: 'mask',
+    dob: 'mask',
+    credit_card: 'mask',
+  },
+};
+
+// Identifiers the agent needs to chain tool calls; detectors never touch them
+const DEFAULT_SKIP_FIELDS = [
+  'matter_uuid', 'case_uuid', 'case_number', 'case_id', 'document_guid', 'document_uuid',
+  'document_id', 'document_identifier', 'guid', 'unique_id', 'internal_id', 'id',
+];
+
+function checkAction(action, where) {
+  if (!ACTIONS.includes(action)) {
+    throw new Error(`Redaction policy: ${where} has action "${action}"; use one of ${ACTIONS.join(', ')}`);
+  }
+  return action;
+}
+
+// Turns "*_address" style field names into a matcher
+function fieldMatcher(name) {
+  const escaped = name.toLowerCase().replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  const regex = new RegExp(`^${escaped}$`);
+  return key => regex.test(key.toLowerCase());
+}
+
+/**
+ * Validates a policy object and compiles its rules
+ * @param {Object} policy - Parsed policy file, or DEFAULT_POLICY
+ * @returns {Object} Compiled policy for createRedactor()
+ * @throws {Error} On unknown detectors, actions or invalid patterns
+ */
+function compilePolicy(policy) {
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    throw new Error('Redaction policy must be an object');
+  }
+
+  const fields = Object.entries(policy.fields || {}).map(([name, action]) => ({
+    name,
+    action: checkAction(action, `field "${name}"`),
+    matches: fieldMatcher(name),
+  }));
+
+  const detectors = Object.entries(policy.detectors || {}).map(([name, action]) => {
+    if (!DETECTORS[name]) {
+      throw new Error(`Redaction policy: unknown detector "${name}"; available: ${Object.keys(DETECTORS).join(', ')}`);
+    }
+    return { name, action: checkAction(action, `detector "${name}"`), ...DETECTORS[name] };
+  });
+
+  (policy.patterns || []).forEach((custom, index) => {
+    if (!custom || !custom.name || !custom.pattern) {
+      throw new Error(`Redaction policy: patterns[${index}] needs a name and a pattern`);
+    }
+    let pattern;
+    try {
+      const flags = new Set(`${custom.flags || ''}g`);
+      pattern = new RegExp(custom.pattern, [...flags].join(''));
+    } catch (error) {
+      throw new Error(`Redaction policy: patterns[${index}] (${custom.name}) is not a valid regex: ${error.message}`);
+    }
+    detectors.push({
+      name: custom.name,
+      label: custom.label || custom.name.toUpperCase(),
+      action: checkAction(custom.action || 'mask', `pattern "${custom.name}"`),
+      pattern,
+    });
+  });
+
+  const skip = new Set((policy.skip_fields || DEFAULT_SKIP_FIELDS).map(key => key.toLowerCase()));
+
+  return {
+    name: policy.name || 'custom',
+    fields,
+    detectors,
+    skip,
+    hashSalt: policy.hash_salt,
+  };
+}
+
+/**
+ * Creates a redactor for a policy
+ *
+ * @param {Object} options
+ * @param {Object} [options.policy] - Policy object; defaults to DEFAULT_POLICY
+ * @param {string} [options.hashSalt] - Secret for "hash"; the policy's hash_salt wins.
+ *   Without either, a random per-process salt is used, so hashes only match within one run.
+ * @returns {{ redactToolResult: Function, redactValue: Function, policyName: string }}
+ */
+function createRedactor({ policy = DEFAULT_POLICY, hashSalt } = {}) {
+  const compiled = compilePolicy(policy);
+  const salt = compiled.hashSalt || hashSalt || randomBytes(16).toString('hex');
+
+  const hash = (label, value) => {
+    const digest = createHmac('sha256', salt).update(String(value)).digest('hex').slice(0, 10);
+    return `[${label}#${digest}]`;
+  };
+
+  // Runs the detectors over one string, tallying what they replaced
+  const redactString = (text, tally) => {
+    let output = text;
+    for (const detector of compiled.detectors) {
+      detector.pattern.lastIndex = 0;
+      output = output.replace(detector.pattern, (...matchArgs) => {
+        const match = matchArgs[0];
+        const groups = typeof matchArgs[matchArgs.length - 1] === 'object' ? matchArgs[matchArgs.length - 1] : null;
+        const secret = groups && groups.value !== undefined ? groups.value : match;
+
+        let replacement;
+        if (detector.action === 'mask') replacement = `[REDACTED ${detector.label}]`;
+        else if (detector.action === 'hash') replacement = hash(detector.label, secret);
+        else replacement = '';
+
+        tally(detector.name, detector.action);
+        return secret === match ? replacement : match.replace(secret, replacement);
+      });
+    }
+    return output;
+  };
+
+  const walk = (value, tally, key) => {
+    if (typeof value === 'string') {
+      return key && compiled.skip.has(key.toLowerCase()) ? value : redactString(value, tally);
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => walk(item, tally, key));
+    }
+    if (value && typeof value === 'object') {
+      const output = {};
+      for (const [childKey, childValue] of Object.entries(value)) {
+        const rule = compiled.fields.find(field => field.matches(childKey));
+        if (rule && childValue !== null && childValue !== undefined && childValue !== '') {
+          tally(`field:${rule.name}`, rule.action);
+          if (rule.action === 'drop') continue;
+          output[childKey] = rule.action === 'mask'
+            ? '[REDACTED]'
+            : hash(childKey.toUpperCase(), JSON.stringify(childValue));
+          continue;
+        }
+        output[childKey] = walk(childValue, tally, childKey);
+      }
+      return output;
+    }
+    return value;
+  };
+
+  /**
+   * Redacts any JSON-compatible value
+   * @returns {{ value: *, report: Object|null }} report is null when nothing was redacted
+   */
+  const redactValue = (value) => {
+    const counts = new Map();
+    const tally = (rule, action) => {
+      const entry = counts.get(rule) || { rule, action, count: 0 };
+      entry.count++;
+      counts.set(rule, entry);
+    };
+
+    const redacted = walk(value, tally);
+    if (counts.size === 0) return { value: redacted, report: null };
+
+    const rules = [...counts.values()];
+    return {
+      value: redacted,
+      report: {
+        policy: compiled.name,
+        total: rules.reduce((sum, entry) => sum + entry.count, 0),
+        rules,
+      },
+    };
+  };
+
+  /**
+   * Redacts an MCP tool result; JSON text blocks get a "redactions" summary added
+   * @param {{ content: Array }} result
+   */
+  const redactToolResult = (result) => {
+    const content = (result.content || []).map(block => {
+      if (block.type !== 'text') return block;
+
+      let parsed;
+      try {
+        parsed = JSON.parse(block.text);
+      } catch (error) {
+        return { ...block, text: redactValue(block.text).value };
+      }
+
+      const { value, report } = redactValue(parsed);
+      if (report && value && typeof value === 'object' && !Array.isArray(value)) {
+        value.redactions = report;
+      }
+      return { ...block, text: JSON.stringify(value, null, 2) };
+    });
+
+    return { ...result, content };
+  };
+
+  return {
+    policyName: compiled.name,
+    redactValue,
+    redactToolResult,
+  };
+}
+
+module.exports = {
+  DETECTORS,
+  DEFAULT_POLICY,
+  compilePolicy,
+  createRedactor,
+};
@@ -0,0 +1,254 @@
+// MCP resources: LegalServer matters, notes and documents addressed by URI
+//
+//   legalserver://matter/{uuid}             the case, as get_case_info returns it
+//   legalserver://matter/{uuid}/notes       the case notes
+//   legalserver://matter/{uuid}/documents   the case's document list, with document URIs
+//   legalserver://document/{guid}           extracted text; ?format=original for the file itself
+//
+// On a server with several LegalServer sites, URIs carry ?site=<name>; without it
+// the default site is meant.
+//
+// The API has no lookup of a single document by guid, only per-matter lists. Whoever
+// lists a matter's documents records which matter each guid belongs to, and the
+// watcher polls that list to notice when a subscribed document's date_update changes.
+
+const { normalizeDate } = require('./timeline');
+
+const SCHEME = 'legalserver:';
+
+const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'legalserver://matter/{uuid}{?site}',
+    name: 'matter',
+    title: 'LegalServer case',
+    description: 'A case\'s details (the default get_case_info field profile)',
+    mimeType: 'application/json',
+  },
+  {
+    uriTemplate: 'legalserver://matter/{uuid}/notes{?site}',
+    name: 'matter_notes',
+    title: 'Case notes',
+    description: 'The active notes on a case, newest first',
+    mimeType: 'application/json',
+  },
+  {
+    uriTemplate: 'legalserver://matter/{uuid}/documents{?site}',
+    name: 'matter_documents',
+    title: 'Case documents',
+    description: 'The documents on a case, each with its legalserver://document/{guid} URI',
+    mimeType: 'application/json',
+  },
+  {
+    uriTemplate: 'legalserver://document/{guid}{?format,site}',
+    name: 'document',
+    title: 'Case document',
+    description: 'A document\'s extracted text, or with format=original the file itself in its own MIME type',
+  },
+];
+
+const withSite = (uri, site) => (site ? `${uri}?site=${encodeURIComponent(site)}` : uri);
+
+/**
+ * URI of a matter, or of its notes / documents
+ * @param {string} uuid
+ * @param {string} [site] - Site name, on servers with several
+ * @param {'notes'|'documents'} [part]
+ */
+const matterUri = (uuid, site, part) => withSite(`legalserver://matter/${uuid}${part ? `/${part}` : ''}`, site);
+const documentUri = (guid, site) => withSite(`legalserver://document/${guid}`, site);
+
+const ID_PATTERN = /^[A-Za-z0-9-]+$/;
+
+/**
+ * Parses a legalserver:// resource URI
+ *
+ * @param {string} uri
+ * @returns {{ kind: 'matter'|'notes'|'documents'|'document', uuid?: string, guid?: string, format?: string, site?: string }}
+ * @throws {Error} For URIs that don't name one of the resource templates
+ */
+function parseResourceUri(uri) {
+  let parsed;
+  try {
+    parsed = new URL(uri);
+  } catch (error) {
+    throw new Error(`Invalid resource URI "${uri}"`);
+  }
+
+  const segments = parsed.pathname.split('/').filter(Boolean);
+  const id = segments[0];
+  const site = parsed.searchParams.get('site') || undefined;
+  if (parsed.protocol === SCHEME && id && ID_PATTERN.test(id)) {
+    if (parsed.hostname === 'matter' && segments.length === 1) return { kind: 'matter', uuid: id, site };
+    if (parsed.hostname === 'matter' && segments.length === 2 && segments[1] === 'notes') return { kind: 'notes', uuid: id, site };
+    if (parsed.hostname === 'matter' && segments.length === 2 && segments[1] === 'documents') return { kind: 'documents', uuid: id, site };
+    if (parsed.hostname === 'document' && segments.length === 1) {
+      const format = parsed.searchParams.get('format') || 'text';
+      if (format !== 'text' && format !== 'original') {
+        throw new Error(`Unknown document format "${format}"; use "text" or "original"`);
+      }
+      return { kind: 'document', guid: id, format, site };
+    }
+  }
+  throw new Error(`Unknown resource URI "${uri}". Supported: ${RESOURCE_TEMPLATES.map(template => template.uriTemplate).join(', ')}`);
+}
+
+/**
+ * The resources/list entry for a matter
+ * @param {Object} matter
+ * @param {string} [site] - Site name, on servers with several
+ */
+function describeMatterResource(matter, site) {
+  const client = matter.client_full_name || matter.organization_name;
+  return {
+    uri: matterUri(matter.matter_uuid, site),
+    name: `matter-${site ? `${site}-` : ''}${matter.case_number || matter.matter_uuid}`,
+    title: [site && `[${site}]`, [matter.case_number, client].filter(Boolean).join(' — ')].filter(Boolean).join(' ')
+      || matter.matter_uuid,
+    description: [matter.case_disposition, matter.legal_problem_code].filter(Boolean).join(', ') || undefined,
+    mimeType: 'application/json',
+  };
+}
+
+/**
+ * Whether a staff member is assigned to a matter
+ * Search results list assignees by full_name; full records also carry user_uuid.
+ *
+ * @param {Object} matter
+ * @param {string} user - Name (case-insensitive) or user UUID
+ */
+function isAssignedTo(matter, user) {
+  const wanted = String(user || '').trim().toLowerCase();
+  if (!wanted || !Array.isArray(matter.assignments)) return false;
+  return matter.assignments
+    .filter(assignment => !normalizeDate(assignment.end_date))
+    .some(assignment => {
+      const names = [assignment.full_name, assignment.user?.user_name]
+        .filter(Boolean)
+        .map(name => name.toLowerCase());
+      return names.includes(wanted) || assignment.user?.user_uuid === user;
+    });
+}
+
+/**
+ * A case's active notes, newest first
+ */
+function describeNotes(notes) {
+  return notes
+    .filter(note => note.active !== false)
+    .map(note => ({
+      casenote_uuid: note.casenote_uuid,
+      date_posted: normalizeDate(note.date_posted || note.date_time_created)?.date,
+      note_type: note.note_type || undefined,
+      subject: note.subject || undefined,
+      created_by: note.created_by?.user_name || undefined,
+      is_html: note.is_html ? true : undefined,
+      body: note.body || '',
+    }))
+    .sort((a, b) => (b.date_posted || '').localeCompare(a.date_posted || ''));
+}
+
+// What a subscription compares between polls: the document's date_update, or for a
+// document list every guid with its date_update
+function versionOf(target, documents) {
+  if (target.guid) {
+    const doc = documents.find(item => item.guid === target.guid);
+    return doc ? String(doc.date_update || doc.date_create || '') : 'deleted';
+  }
+  return documents.map(doc => `${doc.guid}:${doc.date_update || ''}`).sort().join('|');
+}
+
+/**
+ * Polls the document lists behind subscribed resources and reports changes
+ * One watcher belongs to one MCP server instance (one session), and uses that
+ * session's credentials.
+ *
+ * @param {Object} options
+ * @param {number} options.intervalMs - How often subscribed lists are checked
+ * @param {Function} options.listDocuments - async (session, matterUuid) => document records
+ * @param {Function} options.notify - async (uri) => sends notifications/resources/updated
+ * @returns {{ subscribe: Function, unsubscribe: Function, close: Function }}
+ */
+function createDocumentWatcher({ intervalMs, listDocuments, notify }) {
+  const subscriptions = new Map();  // uri -> { target: { matterUuid, site?, guid? }, session, version }
+  let timer = null;
+  let polling = false;
+
+  async function poll() {
+    if (polling) return;  // a slow poll is still running
+    polling = true;
+    try {
+      const byMatter = new Map();
+      subscriptions.forEach((subscription, uri) => {
+        const key = `${subscription.target.site || ''}|${subscription.target.matterUuid}`;
+        const group = byMatter.get(key) || [];
+        group.push([uri, subscription]);
+        byMatter.set(key, group);
+      });
+
+      for (const group of byMatter.values()) {
+        const { target, session } = group[0][1];
+        let documents;
+        try {
+          documents = await listDocuments(session, target.matterUuid);
+        } catch (error) {
+          console.error(`Resource subscriptions: could not check ${matterUri(target.matterUuid, target.site, 'documents')}: ${error.message}`);
+          continue;
+        }
+        for (const [uri, subscription] of group) {
+          const version = versionOf(subscription.target, documents);
+          if (version !== subscription.version && subscriptions.has(uri)) {
+            subscription.version = version;
+            await notify(uri).catch(error => console.error(`Resource subscriptions: notifying ${uri} failed: ${error.message}`));
+          }
+        }
+      }
+    } finally {
+      polling = false;
+    }
+  }
+
+  return {
+    /**
+     * Starts watching a resource; its current version is the baseline
+     * @param {string} uri
+     * @param {{ matterUuid: string, site?: string, guid?: string }} target
+     * @param {Object} session
+     */
+    async subscribe(uri, target, session) {
+      const documents = await listDocuments(session, target.matterUuid);
+      if (target.guid && !documents.some(doc => doc.guid === target.guid)) {
+        throw new Error(`Document ${target.guid} is no longer on case ${target.matterUuid}`);
+      }
+      subscriptions.set(uri, { target, session, version: versionOf(target, documents) });
+      if (!timer) {
+        timer = setInterval(poll, intervalMs);
+        timer.unref();
+      }
+    },
+
+    unsubscribe(uri) {
+      subscriptions.delete(uri);
+      if (subscriptions.size === 0 && timer) {
+        clearInterval(timer);
+        timer = null;
+      }
+    },
+
+    close() {
+      subscriptions.clear();
+      if (timer) clearInterval(timer);
+      timer = null;
+    },
+  };
+}
+
+module.exports = {
+  RESOURCE_TEMPLATES,
+  matterUri,
+  documentUri,
+  parseResourceUri,
+  describeMatterResource,
+  isAssignedTo,
+  describeNotes,
+  createDocumentWatcher,
+};
@@ -0,0 +1,217 @@
+// Per-response token budget for tool results
+//
+// A result over the budget is cut at its biggest part: the largest top-level list
+// (notes, timeline entries, search results, ...) or text (a document's text). It then
+// says where it stopped and how to get the rest:
+//
+//   "continuation": { "field": "notes", "unit": "items", "from": 0, "to": 12, "total": 40, "note": "..." },
+//   "next_cursor": "eyJ2IjoxLCJ0b29sIjoi..."
+//
+// Calling the same tool with { cursor: next_cursor } runs it again with the original
+// arguments and returns the part after `to`. Lists are cut between items, texts
+// between characters. A single list item over the budget on its own is cut inside
+// the text making up most of it (a long note body, say); continuation.item then says
+// how much of that text is here, and the cursor continues inside it. An item with no
+// such text is returned whole, over the budget, rather than losing part of every field.
+// Cursors aren't signed: they only hold arguments the caller could pass itself.
+
+const { ToolError } = require('./tool-errors');
+
+const CURSOR_VERSION = 1;
+const CUT_MARKER = ' … [cut to fit the response token budget]';
+
+function encodeCursor(tool, args, field, offset, inner) {
+  return Buffer.from(JSON.stringify({ v: CURSOR_VERSION, tool, args, field, offset, inner })).toString('base64url');
+}
+
+// The text of a list item at key (null for an item that is itself a text), and the
+// item with that text replaced
+const textOf = (item, key) => (key === null ? item : item?.[key]);
+const placeText = (item, key, text) => (key === null ? text : { ...item, [key]: text });
+
+/**
+ * Reads a cursor passed back to a tool
+ *
+ * @param {string} cursor - A next_cursor from an earlier result
+ * @param {string} tool - The tool it was passed to
+ * @returns {{ args: Object, field: string, offset: number, inner?: { key: ?string, offset: number } }}
+ *   The original arguments, and where to continue (inner: inside the list item at offset)
+ * @throws {ToolError} invalid_arguments, for cursors this server didn't issue for this tool
+ */
+function decodeCursor(cursor, tool) {
+  let decoded = null;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf-8'));
+  } catch (error) {
+    // reported below
+  }
+  if (!decoded || decoded.v !== CURSOR_VERSION || typeof decoded.field !== 'string'
+    || !Number.isInteger(decoded.offset) || decoded.offset < 0
+    || !decoded.args || typeof decoded.args !== 'object'
+    || (decoded.inner !== undefined && !validInner(decoded.inner))) {
+    throw new ToolError('invalid_arguments', 'cursor is not a next_cursor this server issued', {
+      suggestion: 'Pass next_cursor from the previous result unchanged, or call the tool again without cursor.',
+    });
+  }
+  if (decoded.tool !== tool) {
+    throw new ToolError('invalid_arguments', `cursor is from ${decoded.tool}; pass it to ${decoded.tool} instead`);
+  }
+  return { args: decoded.args, field: decoded.field, offset: decoded.offset, inner: decoded.inner };
+}
+
+function validInner(inner) {
+  return Boolean(inner) && (inner.key === null || typeof inner.key === 'string')
+    && Number.isInteger(inner.offset) && inner.offset >= 0;
+}
+
+// The top-level list or text taking up the most room, if any
+function largestPart(value) {
+  let largest;
+  let largestSize = 0;
+  for (const [field, part] of Object.entries(value)) {
+    if (typeof part !== 'string' && !(Array.isArray(part) && part.length > 0)) continue;
+    const size = typeof part === 'string' ? part.length : JSON.stringify(part).length;
+    if (size > largestSize) {
+      largest = field;
+      largestSize = size;
+    }
+  }
+  return largest;
+}
+
+/**
+ * Creates the budget that tool results are fitted to
+ *
+ * @param {Object} options
+ * @param {number} options.maxTokens - Most tokens one result may take, as serialized JSON
+ * @param {Object} options.tokens - Token counter from lib/tokens.js
+ * @returns {{ maxTokens: number, fit: Function }}
+ */
+function createResponseBudget({ maxTokens, tokens }) {
+  const serialize = value => JSON.stringify(value, null, 2);
+
+  const measure = value => tokens.count(serialize(value));
+  // Byte length bounds the token count from above, which spares counting small results
+  const fits = value => {
+    const text = serialize(value);
+    return Buffer.byteLength(text) <= maxTokens || tokens.count(text) <= maxTokens;
+  };
+
+  // Cuts text to the longest start that build(start) keeps within the budget. Escaping
+  // newlines and quotes for JSON adds tokens, so the room is narrowed by any overshoot.
+  function cutText(text, build) {
+    let room = maxTokens - measure(build(''));
+    for (;;) {
+      const part = tokens.truncate(text, Math.max(room, 1)) || text.slice(0, 1);
+      const candidate = build(part);
+      const over = measure(candidate) - maxTokens;
+      if (over <= 0 || room <= 1) return candidate;
+      room -= over;
+    }
+  }
+
+  // The key of the text making up more than half of a list item, if one does
+  function dominantText(item) {
+    if (typeof item === 'string') return null;
+    if (!item || typeof item !== 'object' || Array.isArray(item)) return undefined;
+    const strings = Object.entries(item).filter(([, part]) => typeof part === 'string');
+    if (strings.length === 0) return undefined;
+    const [key, text] = strings.reduce((longest, entry) => (entry[1].length > longest[1].length ? entry : longest));
+    return measure(text) * 2 > measure(item) ? key : undefined;
+  }
+
+  return {
+    maxTokens,
+
+    /**
+     * Fits a tool result to the budget
+     *
+     * @param {Object} value - The parsed result
+     * @param {Object} options
+     * @param {string} options.tool - The tool's name, for the cursor
+     * @param {Object} options.args - The arguments it ran with, for the cursor
+     * @param {{ field: string, offset: number, inner?: Object }} [options.position] - Where to start, from a cursor
+     * @returns {Object} The result, or the part of it that fits with continuation and next_cursor
+     */
+    fit(value, { tool, args, position }) {
+      const field = position ? position.field : largestPart(value);
+      const whole = field === undefined ? undefined : value[field];
+      if (typeof whole !== 'string' && !Array.isArray(whole)) return value;
+
+      const from = position ? Math.min(position.offset, whole.length) : 0;
+      const rest = whole.slice(from);
+
+      // A cursor into a list item: that item starts where its text was cut
+      const inner = Array.isArray(whole) && position?.inner && typeof textOf(rest[0], position.inner.key) === 'string'
+        ? position.inner
+        : undefined;
+      let started;
+      if (inner) {
+        const text = textOf(rest[0], inner.key);
+        rest[0] = placeText(rest[0], inner.key, text.slice(inner.offset));
+        started = { index: from, field: inner.key, from: inner.offset, to: text.length, total: text.length };
+      }
+
+      const describe = (to, next, item) => ({
+        continuation: {
+          field,
+          unit: typeof whole === 'string' ? 'characters' : 'items',
+          from,
+          to,
+          total: whole.length,
+          item,
+          note: next
+            ? `Cut to fit the response token budget. Call ${tool} with cursor set to next_cursor for the rest.`
+            : undefined,
+        },
+        next_cursor: next ? encodeCursor(tool, args, field, next.offset, next.inner) : undefined,
+      });
+      // item: the list item whose text is only partly here, if any
+      const withPart = (part, to, { next, item = started } = {}) => ({
+        ...value,
+        [field]: part,
+        ...describe(to, next || (to < whole.length ? { offset: to } : undefined), item),
+      });
+
+      const complete = { ...value, [field]: rest, ...(position ? describe(whole.length, undefined, started) : {}) };
+      if (fits(complete)) return complete;
+
+      // Texts: as much as the room left by everything else allows
+      if (typeof whole === 'string') {
+        return cutText(rest, part => withPart(part, from + part.length));
+      }
+
+      // Lists: estimate from each item's own size, then drop items until the whole fits
+      const room = maxTokens - measure(withPart([], from));
+      let count = 0;
+      let used = 0;
+      while (count < rest.length) {
+        used += tokens.count(serialize(rest[count])) + 2;
+        if (count > 0 && used > room) break;
+        count += 1;
+      }
+      let candidate = withPart(rest.slice(0, count), from + count);
+      while (count > 1 && !fits(candidate)) {
+        count = Math.max(1, count - Math.ceil(count / 10));
+        candidate = withPart(rest.slice(0, count), from + count);
+      }
+      // One item over the budget on its own: cut the text making up most of it, and
+      // continue inside that text
+      const key = count === 1 && !fits(candidate) ? dominantText(rest[0]) : undefined;
+      if (key !== undefined) {
+        const text = textOf(rest[0], key);
+        const start = inner && inner.key === key ? inner.offset : 0;
+        candidate = cutText(text, part => withPart([placeText(rest[0], key, part + CUT_MARKER)], from + 1, {
+          next: { offset: from, inner: { key, offset: start + part.length } },
+          item: { index: from, field: key, from: start, to: start + part.length, total: start + text.length },
+        }));
+      }
+      return candidate;
+    },
+  };
+}
+
+module.exports = {
+  createResponseBudget,
+  decodeCursor,
+};
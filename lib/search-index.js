@@ -0,0 +1,212 @@
+// Ranked full-text search across the documents of a case
+//
+// Documents are split into passages of roughly paragraph size, and passages are
+// scored against the query with Okapi BM25. Everything is built in memory per call;
+// the expensive part (downloading and extracting each document) is already cached
+// by lib/document-cache.js, so rebuilding the index is cheap.
+
+// BM25 tuning constants (the usual defaults)
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Passages aim for this many characters so a snippet reads as a coherent excerpt
+const TARGET_PASSAGE_CHARS = 600;
+const SNIPPET_CHARS = 400;
+
+// Passages containing the whole query as a phrase get this multiplier
+const PHRASE_BOOST = 1.5;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'did', 'do', 'does', 'for', 'from',
+  'had', 'has', 'have', 'he', 'her', 'his', 'i', 'in', 'is', 'it', 'its', 'me', 'my',
+  'of', 'on', 'or', 'our', 'she', 'so', 'that', 'the', 'their', 'them', 'there', 'they',
+  'this', 'to', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'who', 'why',
+  'will', 'with', 'you', 'your',
+]);
+
+// Very light stemming: enough that "repairs" finds "repair" without mangling legal terms
+function stem(term) {
+  if (term.length > 4 && term.endsWith('ies')) return `${term.slice(0, -3)}y`;
+  if (term.length > 3 && term.endsWith('s') && !term.endsWith('ss')) return term.slice(0, -1);
+  return term;
+}
+
+/**
+ * Splits text into normalized search terms
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+  const words = text.toLowerCase().match(/[\p{L}\p{N}]+(?:['’][\p{L}]+)?/gu) || [];
+  return words
+    .map(word => word.replace(/['’]s$/, ''))
+    .filter(word => !STOPWORDS.has(word))
+    .map(stem);
+}
+
+/**
+ * Splits a document's text into passages, keeping each passage's character offset
+ * Short paragraphs are merged and long ones are cut at sentence boundaries where possible.
+ *
+ * @param {string} text
+ * @returns {Array<{ offset: number, text: string }>}
+ */
+function splitPassages(text) {
+  const passages = [];
+  const paragraphRegex = /[^\n]+(?:\n(?!\s*\n)[^\n]*)*/g;
+  let current = null;
+
+  const flush = () => {
+    if (current && current.text.trim()) {
+      passages.push(current);
+    }
+    current = null;
+  };
+
+  let match;
+  while ((match = paragraphRegex.exec(text)) !== null) {
+    const paragraph = match[0];
+    const offset = match.index;
+
+    if (paragraph.length > TARGET_PASSAGE_CHARS) {
+      flush();
+      // Cut long paragraphs into windows, preferring to end on a sentence
+      let start = 0;
+      while (start < paragraph.length) {
+        let end = Math.min(start + TARGET_PASSAGE_CHARS, paragraph.length);
+        if (end < paragraph.length) {
+          const sentenceEnd = paragraph.lastIndexOf('. ', end);
+          if (sentenceEnd > start + TARGET_PASSAGE_CHARS / 2) {
+            end = sentenceEnd + 1;
+          }
+        }
+        passages.push({ offset: offset + start, text: paragraph.slice(start, end) });
+        start = end;
+      }
+      continue;
+    }
+
+    if (current && current.text.length + paragraph.length > TARGET_PASSAGE_CHARS) {
+      flush();
+    }
+
+    if (current) {
+      // Keep the original text between paragraphs so offsets stay exact
+      current.text = text.slice(current.offset, offset + paragraph.length);
+    } else {
+      current = { offset, text: paragraph };
+    }
+  }
+  flush();
+
+  return passages;
+}
+
+/**
+ * Builds a BM25 index over a set of documents
+ *
+ * @param {Array<{ id: string, text: string, meta?: Object }>} documents
+ * @returns {Object} An index for searchIndex()
+ */
+function buildSearchIndex(documents) {
+  const passages = [];
+  const documentFrequency = new Map();
+  let totalLength = 0;
+
+  documents.forEach(doc => {
+    splitPassages(doc.text).forEach((passage, passageIndex) => {
+      const terms = tokenize(passage.text);
+      const termFrequency = new Map();
+      terms.forEach(term => termFrequency.set(term, (termFrequency.get(term) || 0) + 1));
+      termFrequency.forEach((count, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+
+      passages.push({
+        documentId: doc.id,
+        meta: doc.meta || {},
+        passageIndex,
+        offset: passage.offset,
+        text: passage.text,
+        length: terms.length,
+        termFrequency,
+      });
+      totalLength += terms.length;
+    });
+  });
+
+  return {
+    passages,
+    documentFrequency,
+    averageLength: passages.length ? totalLength / passages.length : 0,
+  };
+}
+
+// Trims a passage to a snippet centered on the first query term it contains
+function makeSnippet(text, queryTerms) {
+  const collapsed = text.replace(/\s+/g, ' ').trim();
+  if (collapsed.length <= SNIPPET_CHARS) return collapsed;
+
+  const lower = collapsed.toLowerCase();
+  const firstHit = queryTerms
+    .map(term => lower.indexOf(term))
+    .filter(index => index >= 0)
+    .reduce((min, index) => Math.min(min, index), collapsed.length);
+
+  const start = Math.max(0, Math.min(firstHit - SNIPPET_CHARS / 4, collapsed.length - SNIPPET_CHARS));
+  const end = start + SNIPPET_CHARS;
+  return `${start > 0 ? '…' : ''}${collapsed.slice(start, end).trim()}${end < collapsed.length ? '…' : ''}`;
+}
+
+/**
+ * Ranks passages in an index against a query
+ *
+ * @param {Object} index - From buildSearchIndex()
+ * @param {string} query
+ * @param {Object} [options]
+ * @param {number} [options.limit=10] - Maximum number of results
+ * @returns {Array<Object>} Results, best first: { documentId, meta, passageIndex, offset, length, score, snippet }
+ */
+function searchIndex(index, query, { limit = 10 } = {}) {
+  const queryTerms = [...new Set(tokenize(query))];
+  if (queryTerms.length === 0) return [];
+
+  const passageCount = index.passages.length;
+  const phrase = query.trim().toLowerCase().replace(/\s+/g, ' ');
+
+  const scored = [];
+  index.passages.forEach(passage => {
+    let score = 0;
+    queryTerms.forEach(term => {
+      const tf = passage.termFrequency.get(term);
+      if (!tf) return;
+      const df = index.documentFrequency.get(term) || 0;
+      const idf = Math.log(1 + (passageCount - df + 0.5) / (df + 0.5));
+      const norm = 1 - BM25_B + BM25_B * (passage.length / (index.averageLength || 1));
+      score += idf * ((tf * (BM25_K1 + 1)) / (tf + BM25_K1 * norm));
+    });
+
+    if (score === 0) return;
+    if (queryTerms.length > 1 && passage.text.toLowerCase().replace(/\s+/g, ' ').includes(phrase)) {
+      score *= PHRASE_BOOST;
+    }
+    scored.push({ passage, score });
+  });
+
+  scored.sort((a, b) => b.score - a.score);
+
+  return scored.slice(0, limit).map(({ passage, score }) => ({
+    documentId: passage.documentId,
+    meta: passage.meta,
+    passageIndex: passage.passageIndex,
+    offset: passage.offset,
+    length: passage.text.length,
+    score: Math.round(score * 1000) / 1000,
+    snippet: makeSnippet(passage.text, queryTerms),
+  }));
+}
+
+module.exports = {
+  tokenize,
+  splitPassages,
+  buildSearchIndex,
+  searchIndex,
+};
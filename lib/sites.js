@@ -0,0 +1,122 @@
+// LegalServer sites: the instances one server talks to (statewide partners,
+// a training site next to production, ...)
+//
+// Sites are defined in a YAML/JSON file (LEGALSERVER_SITES_FILE); see
+// config/sites.example.yaml:
+//
+//   default_site: production
+//   sites:
+//     production:
+//       title: Production
+//       base_url: https://example.legalserver.org/
+//       token_env: LEGALSERVER_TOKEN_PRODUCTION   stdio mode: variable holding the token
+//     training:
+//       base_url: https://example-demo.legalserver.org/
+//       token_env: LEGALSERVER_TOKEN_TRAINING
+//
+// Without a file, LEGALSERVER_BASE_URL and LEGALSERVER_BEARER_TOKEN make up a single
+// site named "default". Each site gets its own HTTP client, so timeouts, concurrency
+// and rate limits are tracked per site.
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+/**
+ * Checks a base URL and gives it exactly one trailing slash
+ * @throws {Error} When the URL can't be parsed
+ */
+function normalizeBaseUrl(raw, where) {
+  let parsed;
+  try {
+    parsed = new URL(raw);
+  } catch (error) {
+    throw new Error(`${where} must be a valid URL (got "${raw}")`);
+  }
+  return parsed.toString().replace(/\/+$/, '/');
+}
+
+/**
+ * Builds the site registry from a sites file
+ *
+ * @param {Object} config - The parsed sites file
+ * @param {Object} options
+ * @param {Object} options.env - Environment to read each site's token_env from
+ * @param {Function} options.createClient - (baseUrl) => LegalServer client for a site
+ * @returns {Object} Registry with get(), find() and list()
+ * @throws {Error} When the file is malformed
+ */
+function createSiteRegistry(config, { env, createClient }) {
+  if (!config || typeof config.sites !== 'object' || Array.isArray(config.sites) || !config.sites) {
+    throw new Error('Sites file: expected a "sites" mapping of site name to settings');
+  }
+
+  const sites = new Map();
+  for (const [name, settings] of Object.entries(config.sites)) {
+    const where = `Sites file: sites.${name}`;
+    if (!NAME_PATTERN.test(name)) {
+      throw new Error(`${where}: site names may only use lowercase letters, digits, "_" and "-"`);
+    }
+    if (!settings || typeof settings.base_url !== 'string') {
+      throw new Error(`${where}: base_url is required`);
+    }
+    if (settings.token_env !== undefined && typeof settings.token_env !== 'string') {
+      throw new Error(`${where}: token_env must be the name of an environment variable`);
+    }
+    const baseUrl = normalizeBaseUrl(settings.base_url, `${where}.base_url`);
+    sites.set(name, {
+      name,
+      title: settings.title || name,
+      baseUrl,
+      tokenEnv: settings.token_env,
+      token: settings.token_env ? env[settings.token_env] || undefined : undefined,
+      client: createClient(baseUrl),
+    });
+  }
+  if (sites.size === 0) {
+    throw new Error('Sites file: define at least one site');
+  }
+
+  const defaultName = config.default_site || sites.keys().next().value;
+  if (!sites.has(defaultName)) {
+    throw new Error(`Sites file: default_site "${defaultName}" is not one of ${[...sites.keys()].join(', ')}`);
+  }
+
+  return {
+    names: [...sites.keys()],
+    defaultSite: sites.get(defaultName),
+    // Site names only show up in tool schemas and results when there is a choice
+    multiple: sites.size > 1,
+
+    /**
+     * A site by name; no name means the default site
+     * @param {string} [name]
+     * @throws {Error} For unknown names
+     */
+    get(name) {
+      if (name === undefined || name === null || name === '') return sites.get(defaultName);
+      const site = sites.get(String(name).trim().toLowerCase());
+      if (!site) {
+        throw new Error(`Unknown site "${name}". Configured sites: ${[...sites.keys()].join(', ')}`);
+      }
+      return site;
+    },
+
+    /**
+     * Like get(), but null for unknown names
+     */
+    find(name) {
+      try {
+        return this.get(name);
+      } catch (error) {
+        return null;
+      }
+    },
+
+    list() {
+      return [...sites.values()];
+    },
+  };
+}
+
+module.exports = {
+  createSiteRegistry,
+};
@@ -0,0 +1,206 @@
+// Case timeline assembled from everything LegalServer knows about a matter
+//
+// Each source (matter dates, notes, documents, events, tasks, litigation) is turned
+// into entries of one shape, then merged, de-duplicated and sorted:
+//   { date, time?, type, kind, title, detail?, source_id? }
+// `type` is the source, `kind` says what happened (e.g. "opened", "due", "filed").
+
+const TIMELINE_TYPES = ['matter', 'note', 'document', 'event', 'task', 'litigation'];
+
+/**
+ * Normalizes the date shapes LegalServer returns to { date: 'YYYY-MM-DD', time? }
+ * Accepts plain dates, ISO date-times, and { raw_value, text_value } date objects.
+ *
+ * @param {*} value
+ * @returns {{ date: string, time?: string }|null}
+ */
+function normalizeDate(value) {
+  if (value && typeof value === 'object') {
+    return normalizeDate(value.raw_value ?? value.text_value);
+  }
+  if (typeof value !== 'string' || !value.trim()) return null;
+
+  const match = value.trim().match(/^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}:\d{2}))?/);
+  if (match) {
+    return match[2] && match[2] !== '00:00' ? { date: match[1], time: match[2] } : { date: match[1] };
+  }
+
+  // US-style dates such as 03/14/2024, which some text values use
+  const us = value.trim().match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+  if (us) {
+    return { date: `${us[3]}-${us[1].padStart(2, '0')}-${us[2].padStart(2, '0')}` };
+  }
+  return null;
+}
+
+function entry(rawDate, fields) {
+  const when = normalizeDate(rawDate);
+  if (!when) return null;
+  return { ...when, ...fields };
+}
+
+/**
+ * Names out of LegalServer's { all_values, individual_values } user lists
+ * @returns {string|undefined} Comma-separated names
+ */
+function userNames(users) {
+  if (!users) return undefined;
+  if (Array.isArray(users.individual_values)) {
+    return users.individual_values.map(user => user.user_name).filter(Boolean).join(', ') || undefined;
+  }
+  return users.all_values || undefined;
+}
+
+function fromMatter(matter) {
+  return [
+    entry(matter.intake_date, { type: 'matter', kind: 'intake', title: 'Intake' }),
+    entry(matter.prescreen_date, { type: 'matter', kind: 'prescreen', title: 'Prescreen' }),
+    entry(matter.date_opened, { type: 'matter', kind: 'opened', title: 'Case opened' }),
+    entry(matter.date_rejected, {
+      type: 'matter', kind: 'rejected', title: 'Case rejected', detail: matter.rejection_reason || undefined,
+    }),
+    entry(matter.date_closed, {
+      type: 'matter', kind: 'closed', title: 'Case closed', detail: matter.close_reason || undefined,
+    }),
+  ];
+}
+
+function fromNotes(notes) {
+  return notes
+    .filter(note => note.active !== false)
+    .map(note => entry(note.date_posted || note.date_time_created, {
+      type: 'note',
+      kind: note.note_type || 'note',
+      title: note.subject || 'Case note',
+      detail: note.created_by?.user_name,
+      source_id: note.casenote_uuid,
+    }));
+}
+
+function fromDocuments(documents) {
+  return documents.map(doc => entry(doc.date_create, {
+    type: 'document',
+    kind: 'uploaded',
+    title: doc.title || doc.name || 'Document',
+    detail: doc.name && doc.title && doc.name !== doc.title ? doc.name : undefined,
+    source_id: doc.guid,
+  }));
+}
+
+function fromEvents(events) {
+  return events.map(event => {
+    const where = [event.court, event.courtroom, event.location].filter(Boolean).join(', ');
+    return entry(event.start_datetime, {
+      type: 'event',
+      kind: event.event_type || (event.court ? 'court' : 'event'),
+      title: event.title || 'Event',
+      detail: [where, event.judge ? `Judge: ${event.judge}` : '', userNames(event.attendees)]
+        .filter(Boolean).join(' | ') || undefined,
+      source_id: event.event_uuid,
+    });
+  });
+}
+
+function fromTasks(tasks) {
+  const entries = [];
+  tasks.filter(task => task.active !== false).forEach(task => {
+    const assignees = userNames(task.users);
+    entries.push(entry(task.due_date, {
+      type: 'task',
+      kind: task.deadline ? 'deadline' : 'due',
+      title: task.title || 'Task',
+      detail: [task.deadline_type || task.task_type, assignees ? `Assigned: ${assignees}` : '',
+        task.completed ? 'completed' : 'open'].filter(Boolean).join(' | '),
+      source_id: task.task_uuid,
+    }));
+    if (task.completed) {
+      entries.push(entry(task.completed_date, {
+        type: 'task',
+        kind: 'completed',
+        title: task.title || 'Task',
+        detail: task.completed_by?.user_name,
+        source_id: task.task_uuid,
+      }));
+    }
+  });
+  return entries;
+}
+
+// Litigation records carry several dated milestones each
+const LITIGATION_MILESTONES = [
+  ['application_filing_date', 'filed', 'Application filed'],
+  ['date_proceeding_initiated', 'initiated', 'Proceeding initiated'],
+  ['date_served', 'served', 'Served'],
+  ['default_date', 'default', 'Default'],
+  ['outcome_date', 'outcome', 'Outcome'],
+  ['date_proceeding_concluded', 'concluded', 'Proceeding concluded'],
+];
+
+function fromLitigations(litigations) {
+  const entries = [];
+  litigations.forEach(litigation => {
+    const court = litigation.court_text || litigation.court || litigation.court_number;
+    const label = [litigation.caption, litigation.docket ? `Docket ${litigation.docket}` : '', court]
+      .filter(Boolean).join(' - ');
+    LITIGATION_MILESTONES.forEach(([field, kind, title]) => {
+      entries.push(entry(litigation[field], {
+        type: 'litigation',
+        kind,
+        title: label ? `${title}: ${label}` : title,
+        detail: kind === 'outcome' ? litigation.outcome || undefined : undefined,
+        source_id: litigation.litigation_uuid,
+      }));
+    });
+  });
+  return entries;
+}
+
+/**
+ * Builds a sorted, de-duplicated timeline from a matter's records
+ *
+ * @param {Object} sources - Any of matter, notes, documents, events, tasks, litigations
+ * @param {Object} [options]
+ * @param {string} [options.from] - Earliest date to include (YYYY-MM-DD)
+ * @param {string} [options.to] - Latest date to include (YYYY-MM-DD)
+ * @param {string[]} [options.types] - Only these entry types (see TIMELINE_TYPES)
+ * @param {string} [options.order='asc'] - "asc" oldest first, "desc" newest first
+ * @returns {Array<Object>}
+ */
+function buildTimeline(sources, { from, to, types, order = 'asc' } = {}) {
+  const entries = [
+    ...(sources.matter ? fromMatter(sources.matter) : []),
+    ...fromNotes(sources.notes || []),
+    ...fromDocuments(sources.documents || []),
+    ...fromEvents(sources.events || []),
+    ...fromTasks(sources.tasks || []),
+    ...fromLitigations(sources.litigations || []),
+  ].filter(Boolean);
+
+  // The same record can arrive twice (e.g. paged results overlapping), and a note
+  // filed the same day with the same subject is the same fact for a timeline
+  const seen = new Set();
+  const unique = entries.filter(item => {
+    const key = item.source_id
+      ? `${item.type}|${item.kind}|${item.source_id}|${item.date}`
+      : `${item.type}|${item.kind}|${item.date}|${item.title.toLowerCase()}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  const filtered = unique.filter(item => (!from || item.date >= from)
+    && (!to || item.date <= to)
+    && (!types || types.length === 0 || types.includes(item.type)));
+
+  filtered.sort((a, b) => `${a.date} ${a.time || ''}`.localeCompare(`${b.date} ${b.time || ''}`)
+    || TIMELINE_TYPES.indexOf(a.type) - TIMELINE_TYPES.indexOf(b.type));
+
+  return order === 'desc' ? filtered.reverse() : filtered;
+}
+
+module.exports = {
+  TIMELINE_TYPES,
+  normalizeDate,
+  userNames,
+  buildTimeline,
+};
@@ -0,0 +1,68 @@
+// Token counting for document sizes and the per-response token budget
+//
+// Counts come from a real BPE tokenizer (js-tiktoken), picked with TOKENIZER:
+//   o200k_base    GPT-4o and later OpenAI models (default)
+//   cl100k_base   GPT-4 / GPT-3.5
+//   p50k_base, r50k_base   older OpenAI models
+//   approximate   characters / 4, no tokenizer loaded
+// Other model families (Claude, Llama, ...) have their own tokenizers, so for them the
+// counts are estimates; leave some headroom in the budget.
+//
+// Every BPE token covers at least one byte of UTF-8, so a text's byte length is an
+// upper bound on its token count; callers use that to skip counting small texts.
+
+const { Tiktoken } = require('js-tiktoken/lite');
+
+const ENCODINGS = ['o200k_base', 'cl100k_base', 'p50k_base', 'r50k_base'];
+const TOKENIZERS = [...ENCODINGS, 'approximate'];
+
+function approximateCounter() {
+  return {
+    name: 'approximate',
+    count: text => Math.ceil(text.length / 4),
+    truncate: (text, maxTokens) => text.slice(0, Math.max(0, maxTokens) * 4),
+  };
+}
+
+/**
+ * Creates a token counter
+ *
+ * @param {string} name - One of TOKENIZERS
+ * @returns {{ name: string, count: Function, truncate: Function }}
+ *   count(text) gives the number of tokens; truncate(text, maxTokens) the longest
+ *   prefix of text with at most maxTokens tokens
+ * @throws {Error} For unknown tokenizer names
+ */
+function createTokenCounter(name) {
+  if (name === 'approximate') return approximateCounter();
+  if (!ENCODINGS.includes(name)) {
+    throw new Error(`TOKENIZER must be one of ${TOKENIZERS.join(', ')} (got "${name}")`);
+  }
+
+  // The rank tables are large, so only the one in use is loaded
+  const encoding = new Tiktoken(require(`js-tiktoken/ranks/${name}`));
+  // Special tokens such as <|endoftext|> in a document are counted as plain text
+  const encode = text => encoding.encode(text, [], []);
+
+  return {
+    name,
+
+    count(text) {
+      return encode(text).length;
+    },
+
+    truncate(text, maxTokens) {
+      const ids = encode(text);
+      if (ids.length <= maxTokens) return text;
+      let prefix = encoding.decode(ids.slice(0, Math.max(0, maxTokens)));
+      // A token can end inside a multi-byte character; drop the partial character
+      while (prefix && !text.startsWith(prefix)) prefix = prefix.slice(0, -1);
+      return prefix;
+    },
+  };
+}
+
+module.exports = {
+  TOKENIZERS,
+  createTokenCounter,
+};
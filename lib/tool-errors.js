@@ -0,0 +1,95 @@
+// Errors tools report to the agent, in one shape
+//
+// Every failed tool call returns (with isError set):
+//
+//   {
+//     "success": false,
+//     "tool": "get_document",
+//     "error": {
+//       "code": "invalid_arguments",
+//       "message": "Invalid arguments: document_uuid must be a UUID ...",
+//       "suggestion": "Fix the arguments named in the message and call the tool again.",
+//       "details": { "problems": [{ "argument": "document_uuid", "message": "..." }] }
+//     }
+//   }
+//
+// `code` is machine-readable. LegalServer failures keep the kind the HTTP client gave
+// them (unauthorized, forbidden, not_found, rate_limited, timeout, ...), access policy
+// refusals are access_denied, and the tools' own failures use the codes below.
+
+const { LegalServerApiError } = require('./http-client');
+const { AccessDeniedError } = require('./access-policy');
+
+// The tools' own error codes, with what the agent should do about each by default
+const SUGGESTIONS = {
+  invalid_arguments: 'Fix the arguments named in the message and call the tool again.',
+  not_found: 'Check the identifier and try again, e.g. with search_matters.',
+  no_documents: 'Verify the case UUID or ensure documents have been uploaded.',
+  unsupported_format: 'This document cannot be read as text. Ask the user to describe it or provide it in a supported format.',
+  extraction_failed: 'The document could not be processed. It may be corrupted or in an unsupported format.',
+  no_text: 'The document has no readable text. Ask the user to describe it or provide it in another format.',
+  too_large: 'Request less of the document at a time.',
+  invalid_confirmation: 'Run the tool again without confirmation_token to preview the change and get a new token.',
+  read_only: 'This server does not make changes in LegalServer. Tell the user to make the change there themselves.',
+  unknown_tool: 'Use one of the tools the server lists.',
+  unauthorized: 'The LegalServer API token is missing, expired or invalid. Ask the user to update their LegalServer API token.',
+  audit_unavailable: 'Tell the user the server\'s audit log is unavailable and an administrator must fix it.',
+  internal_error: 'Check the parameters and try again. Ensure the case exists and you have proper permissions.',
+};
+
+/**
+ * A tool failure with a machine-readable code
+ */
+class ToolError extends Error {
+  /**
+   * @param {string} code - One of the codes above, e.g. 'invalid_arguments'
+   * @param {string} message
+   * @param {Object} [options]
+   * @param {string} [options.suggestion] - Defaults to the code's suggestion
+   * @param {Object} [options.details] - Extra machine-readable fields
+   */
+  constructor(code, message, { suggestion, details } = {}) {
+    super(message);
+    this.name = 'ToolError';
+    this.code = code;
+    this.suggestion = suggestion || SUGGESTIONS[code] || SUGGESTIONS.internal_error;
+    this.details = details;
+  }
+}
+
+/**
+ * The error object of a failed tool call, for any error a tool can throw
+ * @param {Error} error
+ * @returns {{ code: string, message: string, suggestion: string, details?: Object }}
+ */
+function describeToolError(error) {
+  if (error instanceof ToolError) {
+    return { code: error.code, message: error.message, suggestion: error.suggestion, details: error.details };
+  }
+  if (error instanceof AccessDeniedError) {
+    return {
+      code: error.kind,
+      message: error.message,
+      suggestion: error.suggestion,
+      details: { policy: error.policy, rule: error.reason },
+    };
+  }
+  if (error instanceof LegalServerApiError) {
+    return {
+      code: error.kind,
+      message: error.message,
+      suggestion: error.suggestion,
+      details: {
+        status: error.status,
+        legalserver_error: error.detail,
+        retry_after_seconds: error.retryAfterSeconds,
+      },
+    };
+  }
+  return { code: 'internal_error', message: error.message, suggestion: SUGGESTIONS.internal_error };
+}
+
+module.exports = {
+  ToolError,
+  describeToolError,
+};
@@ -0,0 +1,140 @@
+// Checks tool arguments against the tools' input schemas, before anything is sent to LegalServer
+//
+// Covers the parts of JSON Schema the tool definitions use: type, enum, required,
+// properties, items, minItems, minimum, exclusiveMinimum, minLength and format.
+// Two house rules on top:
+//   - minLength counts the trimmed string, so "   " is as empty as ""
+//   - arguments a tool doesn't declare are refused, so a misspelt name (case_id for
+//     case_uuid) fails loudly instead of being ignored
+// Arguments passed as null, undefined or "" count as left out (models often send empty
+// values for optional arguments they don't use), and are removed from the checked arguments.
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function isCalendarDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (!match) return false;
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  return date.getUTCMonth() === Number(match[2]) - 1 && date.getUTCDate() === Number(match[3]);
+}
+
+// format name -> { test, description } ; extended per deployment through options.formats
+const FORMATS = {
+  uuid: {
+    test: value => UUID_PATTERN.test(value),
+    description: 'a UUID such as 587cd44b-6198-4ba8-9a14-4d27fb157016',
+  },
+  date: {
+    test: isCalendarDate,
+    description: 'a date in YYYY-MM-DD format',
+  },
+};
+
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  integer: value => Number.isInteger(value),
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  boolean: value => typeof value === 'boolean',
+  array: value => Array.isArray(value),
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+};
+
+const TYPE_NAMES = {
+  string: 'a string',
+  integer: 'a whole number',
+  number: 'a number',
+  boolean: 'true or false',
+  array: 'a list',
+  object: 'an object',
+};
+
+const isMissing = value => value === undefined || value === null || value === '';
+
+function check(schema, value, where, formats, problems) {
+  const fail = message => problems.push({ argument: where, message: `${where} ${message}` });
+
+  if (schema.type && !TYPE_CHECKS[schema.type](value)) {
+    fail(`must be ${TYPE_NAMES[schema.type]}`);
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of ${schema.enum.join(', ')}`);
+    return;
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+      return;
+    }
+    const format = schema.format && formats[schema.format];
+    if (format && !format.test(value)) {
+      fail(`must be ${format.description} (got "${value.length > 60 ? `${value.slice(0, 60)}...` : value}")`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be at least ${schema.minimum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) fail(`must be more than ${schema.exclusiveMinimum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => check(schema.items, item, `${where}[${i}]`, formats, problems));
+    }
+  }
+
+  if (TYPE_CHECKS.object(value) && schema.properties) {
+    checkProperties(schema, value, where, formats, problems);
+  }
+}
+
+function checkProperties(schema, value, where, formats, problems) {
+  const path = name => (where ? `${where}.${name}` : name);
+
+  for (const name of schema.required || []) {
+    if (isMissing(value[name])) {
+      problems.push({ argument: path(name), message: `${path(name)} is required` });
+    }
+  }
+  for (const [name, child] of Object.entries(value)) {
+    if (isMissing(child)) continue;
+    const property = schema.properties[name];
+    if (!property) {
+      problems.push({
+        argument: path(name),
+        message: `${path(name)} is not an argument of this tool; use ${Object.keys(schema.properties).join(', ')}`,
+      });
+      continue;
+    }
+    check(property, child, path(name), formats, problems);
+  }
+}
+
+/**
+ * Checks a tool call's arguments against the tool's input schema
+ *
+ * @param {Object} schema - The tool's inputSchema
+ * @param {*} args - The arguments as sent
+ * @param {Object} [options]
+ * @param {Object} [options.formats] - Extra formats: name -> { test(value), description }
+ * @returns {{ args: Object, problems: Array<{ argument: string, message: string }> }} The
+ *   arguments without the left-out ones, and what is wrong with them (empty when valid)
+ */
+function validateArguments(schema, args, { formats = {} } = {}) {
+  if (args === undefined || args === null) args = {};
+  if (!TYPE_CHECKS.object(args)) {
+    return { args: {}, problems: [{ argument: '', message: 'arguments must be an object' }] };
+  }
+  const problems = [];
+  checkProperties(schema, args, '', { ...FORMATS, ...formats }, problems);
+  const given = Object.fromEntries(Object.entries(args).filter(([, value]) => !isMissing(value)));
+  return { args: given, problems };
+}
+
+module.exports = {
+  validateArguments,
+};
@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+
+// Checks and exports the audit log written by the MCP server (see lib/audit-log.js)
+//
+//   node scripts/audit-log.js verify [--file logs/audit.jsonl]
+//   node scripts/audit-log.js export --case <matter uuid> [--file ...] [--from YYYY-MM-DD] [--to YYYY-MM-DD]
+//
+// The file and HMAC key default to AUDIT_LOG_FILE and AUDIT_LOG_HMAC_KEY, as for the server.
+// export verifies the chain as it reads and prints the case's entries as JSONL; it
+// exits with status 1 if the chain is broken, after printing what it could check.
+
+const path = require('node:path');
+const { verifyAuditLog } = require('../lib/audit-log');
+
+const USAGE = `Usage:
+  node scripts/audit-log.js verify [--file <path>]
+  node scripts/audit-log.js export --case <matter uuid> [--file <path>] [--from YYYY-MM-DD] [--to YYYY-MM-DD]`;
+
+function parseOptions(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const match = argv[i].match(/^--(file|case|from|to)$/);
+    if (!match || argv[i + 1] === undefined) {
+      throw new Error(`Unexpected argument "${argv[i]}"`);
+    }
+    options[match[1]] = argv[++i];
+  }
+  return options;
+}
+
+async function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  let options;
+  try {
+    options = parseOptions(rest);
+  } catch (error) {
+    console.error(`${error.message}\n${USAGE}`);
+    return 2;
+  }
+
+  const file = options.file || process.env.AUDIT_LOG_FILE || path.join(__dirname, '..', 'logs', 'audit.jsonl');
+  const key = process.env.AUDIT_LOG_HMAC_KEY || undefined;
+
+  if (command === 'verify') {
+    const result = await verifyAuditLog(file, { key });
+    if (result.ok) {
+      console.log(`OK: ${result.entries} entries, chain intact (${path.resolve(file)})`);
+      return 0;
+    }
+    console.error(`BROKEN at line ${result.line}: ${result.reason}. Entries before it that check out: ${result.entries}.`);
+    return 1;
+  }
+
+  if (command === 'export') {
+    if (!options.case) {
+      console.error(`export needs --case\n${USAGE}`);
+      return 2;
+    }
+    for (const option of ['from', 'to']) {
+      if (options[option] && !/^\d{4}-\d{2}-\d{2}$/.test(options[option])) {
+        console.error(`--${option} must be a date in YYYY-MM-DD format`);
+        return 2;
+      }
+    }
+
+    const result = await verifyAuditLog(file, {
+      key,
+      onEntry: entry => {
+        const day = entry.timestamp.slice(0, 10);
+        if (!(entry.matters || []).includes(options.case)) return;
+        if ((options.from && day < options.from) || (options.to && day > options.to)) return;
+        process.stdout.write(`${JSON.stringify(entry)}\n`);
+      },
+    });
+    if (!result.ok) {
+      console.error(`WARNING: chain broken at line ${result.line}: ${result.reason}. Entries after it were not exported.`);
+      return 1;
+    }
+    return 0;
+  }
+
+  console.error(USAGE);
+  return 2;
+}
+
+main()
+  .then(code => { process.exitCode = code; })
+  .catch(error => {
+    console.error(`ERROR: ${error.message}`);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createAccessPolicy } = require('../lib/access-policy');
+
+const matter = fields => ({
+  matter_uuid: '587cd44b-6198-4ba8-9a14-4d27fb157016',
+  intake_program: 'Housing',
+  legal_problem_code: '63 Private Landlord/Tenant',
+  case_disposition: 'Open',
+  intake_office: { office_name: 'Main Office', office_code: 'MAIN' },
+  ...fields,
+});
+
+test('a policy without case rules allows every case', () => {
+  const policy = createAccessPolicy({ name: 'open' });
+  assert.equal(policy.restrictsCases, false);
+  assert.equal(policy.caseDenial(matter()), null);
+});
+
+test('cases.allow admits only cases matching every listed field', () => {
+  const policy = createAccessPolicy({
+    cases: { allow: { intake_program: ['housing'], intake_office: ['MAIN'] } },
+  });
+  assert.equal(policy.caseDenial(matter()), null);
+
+  const denial = policy.caseDenial(matter({ intake_program: 'Family' }));
+  assert.equal(denial.reason, 'cases.allow.intake_program');
+  assert.match(denial.message, /"Family"/);
+});
+
+test('cases.allow denies a case missing the field', () => {
+  const policy = createAccessPolicy({ cases: { allow: { intake_program: ['Housing'] } } });
+  const denial = policy.caseDenial(matter({ intake_program: null }));
+  assert.equal(denial.reason, 'cases.allow.intake_program');
+  assert.match(denial.message, /has no intake_program/);
+});
+
+test('cases.deny refuses a case matching any listed field', () => {
+  const policy = createAccessPolicy({ cases: { deny: { case_disposition: ['Prescreen'] } } });
+  assert.equal(policy.caseDenial(matter()), null);
+  assert.equal(
+    policy.caseDenial(matter({ case_disposition: { lookup_value_name: 'Prescreen' } })).reason,
+    'cases.deny.case_disposition'
+  );
+});
+
+test('legal_problem_code matches by its code alone, but only as a whole code', () => {
+  const policy = createAccessPolicy({ cases: { deny: { legal_problem_code: ['63', 99] } } });
+  assert.equal(policy.caseDenial(matter()).reason, 'cases.deny.legal_problem_code');
+  assert.equal(policy.caseDenial(matter({ legal_problem_code: '99 Other' })).reason, 'cases.deny.legal_problem_code');
+  assert.equal(policy.caseDenial(matter({ legal_problem_code: '99' })).reason, 'cases.deny.legal_problem_code');
+  // "63" is not a prefix rule for other codes starting with the same digits
+  assert.equal(policy.caseDenial(matter({ legal_problem_code: '631 Subsidized Housing' })), null);
+  assert.equal(policy.caseDenial(matter({ legal_problem_code: '64 Public Housing' })), null);
+});
+
+test('the prefix rule is only for legal_problem_code', () => {
+  const policy = createAccessPolicy({ cases: { deny: { intake_program: ['Housing'] } } });
+  assert.equal(policy.caseDenial(matter({ intake_program: 'Housing Plus' })), null);
+});
+
+test('allowsNote refuses the denied note types, case-insensitively', () => {
+  const policy = createAccessPolicy({ notes: { deny_note_types: ['Attorney Privileged'] } });
+  assert.equal(policy.restrictsNotes, true);
+  assert.equal(policy.allowsNote({ note_type: 'Case Note' }), true);
+  assert.equal(policy.allowsNote({ note_type: 'attorney privileged' }), false);
+  assert.equal(policy.allowsNote({ note_type: { lookup_value_name: 'Attorney Privileged' } }), false);
+  assert.equal(policy.allowsNote({}), true);
+});
+
+test('without deny_note_types every note is allowed', () => {
+  const policy = createAccessPolicy({ name: 'open' });
+  assert.equal(policy.restrictsNotes, false);
+  assert.equal(policy.allowsNote({ note_type: 'Attorney Privileged' }), true);
+});
+
+test('malformed policies are refused', () => {
+  assert.throws(() => createAccessPolicy({ case: {} }), /unknown section case/);
+  assert.throws(() => createAccessPolicy({ cases: { deny: { county: ['X'] } } }), /cases\.deny\.county is not supported/);
+  assert.throws(() => createAccessPolicy({ notes: { deny_note_types: [] } }), /must be a non-empty list/);
+});
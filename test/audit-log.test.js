@@ -0,0 +1,85 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { createAuditLog, verifyAuditLog } = require('../lib/audit-log');
+
+let dir;
+let file;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-log-'));
+  file = path.join(dir, 'audit.jsonl');
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Writes entries for three tool calls and returns the file's lines
+async function writeLog(options = {}) {
+  const log = createAuditLog({ file, ...options });
+  for (const tool of ['search_case_by_number', 'get_case_info', 'get_document']) {
+    await log.append({ method: 'tools/call', tool, matters: ['587cd44b-6198-4ba8-9a14-4d27fb157016'] });
+  }
+  return fs.readFileSync(file, 'utf-8').trim().split('\n');
+}
+
+const rewrite = lines => fs.writeFileSync(file, `${lines.join('\n')}\n`);
+
+test('an untouched log verifies', async () => {
+  await writeLog();
+  assert.deepEqual(await verifyAuditLog(file), { ok: true, entries: 3 });
+});
+
+test('an edited entry breaks the chain at that line', async () => {
+  const lines = await writeLog();
+  const entry = JSON.parse(lines[1]);
+  entry.tool = 'list_case_documents';
+  lines[1] = JSON.stringify(entry);
+  rewrite(lines);
+
+  const result = await verifyAuditLog(file);
+  assert.equal(result.ok, false);
+  assert.equal(result.line, 2);
+  assert.match(result.reason, /hash does not match/);
+});
+
+test('a removed entry breaks the chain at the line after it', async () => {
+  const lines = await writeLog();
+  rewrite([lines[0], lines[2]]);
+
+  const result = await verifyAuditLog(file);
+  assert.equal(result.ok, false);
+  assert.equal(result.line, 2);
+  assert.match(result.reason, /removed or reordered/);
+});
+
+test('reordered entries break the chain', async () => {
+  const lines = await writeLog();
+  rewrite([lines[0], lines[2], lines[1]]);
+
+  const result = await verifyAuditLog(file);
+  assert.equal(result.ok, false);
+  assert.equal(result.line, 2);
+  assert.match(result.reason, /removed or reordered/);
+});
+
+test('an entry rebuilt without the HMAC key is caught', async () => {
+  const lines = await writeLog({ key: 'secret' });
+  assert.equal((await verifyAuditLog(file, { key: 'secret' })).ok, true);
+
+  // Rewrite the last entry and re-hash the chain the way someone without the key would
+  const unkeyed = path.join(dir, 'unkeyed.jsonl');
+  const forger = createAuditLog({ file: unkeyed });
+  for (const line of lines) {
+    const { seq, prev_hash, hash, ...fields } = JSON.parse(line);
+    await forger.append({ ...fields, tool: 'get_document' });
+  }
+  fs.copyFileSync(unkeyed, file);
+
+  const result = await verifyAuditLog(file, { key: 'secret' });
+  assert.equal(result.ok, false);
+  assert.equal(result.line, 1);
+});
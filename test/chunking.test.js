@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { chunkDocument, pageRangeFor, parsePageSelection } = require('../lib/chunking');
+
+const words = (count, word = 'word') => Array.from({ length: count }, () => word).join(' ');
+
+test('chunks cover the text in order, each within maxChars', () => {
+  const text = `${words(40)}. ${words(40)}.\n${words(40)}`;
+  const chunks = chunkDocument(text, { maxChars: 100 });
+  assert.ok(chunks.length > 1);
+  chunks.forEach((chunk, i) => {
+    assert.equal(chunk.index, i);
+    assert.ok(chunk.text.length <= 100);
+    assert.equal(chunk.text, text.slice(chunk.char_start, chunk.char_end));
+  });
+  assert.equal(chunks.map(chunk => chunk.text).join(''), text);
+});
+
+test('a blank line is preferred over a later sentence end', () => {
+  const text = `${'A'.repeat(60)}\n\nShort one. ${words(20)}`;
+  const [first] = chunkDocument(text, { maxChars: 90 });
+  assert.equal(first.text, `${'A'.repeat(60)}\n\n`);
+});
+
+test('a chunk is not cut short just to land on a boundary', () => {
+  // The only blank line is too early, so the chunk ends at the last space instead
+  const text = `AB\n\n${words(30)}`;
+  const [first] = chunkDocument(text, { maxChars: 50 });
+  assert.ok(first.char_end > 25);
+  assert.match(first.text, / $/);
+});
+
+test('page breaks win, and chunks report their pages and section', () => {
+  const page1 = `${words(10)}. ${words(10)}.\n\n`;
+  const page2 = `Repairs\n${words(10)}.\n\n`;
+  const text = page1 + page2;
+  const chunks = chunkDocument(text, {
+    maxChars: page1.length + 30,
+    pages: [{ num: 1, start: 0, end: page1.length }, { num: 2, start: page1.length, end: text.length }],
+    headings: [{ level: 1, title: 'Repairs', start: page1.length }],
+  });
+  assert.equal(chunks[0].char_end, page1.length);
+  assert.deepEqual([chunks[0].page_start, chunks[0].page_end, chunks[0].section], [1, 1, undefined]);
+  assert.deepEqual([chunks[1].page_start, chunks[1].page_end, chunks[1].section], [2, 2, 'Repairs']);
+});
+
+test('overlap repeats the end of the previous chunk from a word start, except after a page break', () => {
+  const text = words(60);
+  const chunks = chunkDocument(text, { maxChars: 100, overlap: 20 });
+  const [first, second] = chunks;
+  assert.ok(second.char_start < first.char_end);
+  assert.ok(first.char_end - second.char_start <= 20);
+  assert.equal(text[second.char_start - 1], ' ');
+
+  const page1 = `${words(18)}\n\n`;
+  const paged = chunkDocument(page1 + words(18), {
+    maxChars: 100,
+    overlap: 20,
+    pages: [{ num: 1, start: 0, end: page1.length }, { num: 2, start: page1.length, end: page1.length + 89 }],
+  });
+  assert.equal(paged[1].char_start, paged[0].char_end);
+});
+
+test('pageRangeFor maps a character range to pages', () => {
+  const pages = [{ num: 1, start: 0, end: 10 }, { num: 2, start: 10, end: 20 }];
+  assert.deepEqual(pageRangeFor(pages, 5, 15), { page_start: 1, page_end: 2 });
+  assert.deepEqual(pageRangeFor(pages, 10, 20), { page_start: 2, page_end: 2 });
+  assert.equal(pageRangeFor([], 0, 5), null);
+});
+
+test('parsePageSelection reads numbers and ranges, and refuses the rest', () => {
+  assert.deepEqual(parsePageSelection('7-9, 1,3,8', 10), [1, 3, 7, 8, 9]);
+  assert.deepEqual(parsePageSelection(4, 10), [4]);
+  assert.throws(() => parsePageSelection('', 10), /pages is required/);
+  assert.throws(() => parsePageSelection('2-x', 10), /Invalid page selection "2-x"/);
+  assert.throws(() => parsePageSelection('9-12', 10), /out of range \(1-10\)/);
+  assert.throws(() => parsePageSelection('5-3', 10), /out of range/);
+});
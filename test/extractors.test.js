@@ -0,0 +1,137 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const JSZip = require('jszip');
+const ExcelJS = require('exceljs');
+const { extractDocumentText, findExtractor, guessMimeTypeFromName } = require('../lib/extractors');
+
+// A message with a plain-text body and the given attachments ({ filename, type, content })
+function email(attachments) {
+  const boundary = 'b1';
+  const parts = attachments.map(({ filename, type, content }) => [
+    `--${boundary}`,
+    `Content-Type: ${type}; name="${filename}"`,
+    `Content-Disposition: attachment; filename="${filename}"`,
+    'Content-Transfer-Encoding: base64',
+    '',
+    Buffer.from(content).toString('base64'),
+  ].join('\r\n'));
+  return Buffer.from([
+    'From: Ana Client <ana@example.org>',
+    'To: intake@example.org',
+    'Subject: Lease',
+    `Content-Type: multipart/mixed; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    'Content-Type: text/plain; charset=utf-8',
+    '',
+    'The landlord sent this.',
+    ...parts,
+    `--${boundary}--`,
+    '',
+  ].join('\r\n'));
+}
+
+test('the extractor is picked by exact MIME type, then extension, then wildcard', () => {
+  assert.equal(findExtractor('text/html', 'notes.txt').name, 'html');
+  assert.equal(findExtractor('application/octet-stream', 'letter.RTF').name, 'rtf');
+  assert.equal(findExtractor('text/x-unknown').name, 'text');
+  assert.equal(findExtractor('application/zip', 'files.zip'), null);
+  assert.equal(guessMimeTypeFromName('Motion.DOCX'), 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+});
+
+test('unsupported files extract to null', async () => {
+  assert.equal(await extractDocumentText(Buffer.from('PK'), { mimeType: 'application/zip', filename: 'files.zip' }), null);
+});
+
+test('RTF keeps the text and drops formatting, font tables and hidden groups', async () => {
+  const rtf = String.raw`{\rtf1\ansi{\fonttbl{\f0 Times;}}{\*\generator Word;}\f0\b Notice\b0\par Tenant\'92s deposit: \u8364?500\par}`;
+  const result = await extractDocumentText(Buffer.from(rtf), { mimeType: 'application/octet-stream', filename: 'notice.rtf' });
+  assert.equal(result.format, 'rtf');
+  assert.equal(result.text, 'Notice\nTenant’s deposit: €500\n');
+});
+
+test('HTML is reduced to its readable text', async () => {
+  const html = '<html><head><title>T</title><style>p { color: red }</style><script>track()</script></head>'
+    + '<body><h1>Notice</h1><p>Pay <b>rent</b> by Friday.</p></body></html>';
+  const { text } = await extractDocumentText(Buffer.from(html), { mimeType: 'text/html' });
+  assert.equal(text, 'NOTICE\n\nPay rent by Friday.');
+});
+
+test('CSV exports lose their byte order mark', async () => {
+  const { text } = await extractDocumentText(Buffer.from('\ufeffItem,Amount\nRent,1200'), { mimeType: 'text/csv' });
+  assert.equal(text, 'Item,Amount\nRent,1200');
+});
+
+test('OpenDocument text keeps paragraphs and spaces, without comments', async () => {
+  const zip = new JSZip();
+  zip.file('content.xml', '<?xml version="1.0"?><office:document-content><office:body><office:text>'
+    + '<text:h>Motion</text:h><text:p>Comes now<text:s text:c="2"/>the tenant &amp; moves.</text:p>'
+    + '<office:annotation><text:p>draft comment</text:p></office:annotation>'
+    + '</office:text></office:body></office:document-content>');
+  const { text } = await extractDocumentText(await zip.generateAsync({ type: 'nodebuffer' }), {
+    mimeType: 'application/vnd.oasis.opendocument.text',
+  });
+  assert.equal(text, 'Motion\nComes now  the tenant & moves.');
+});
+
+test('spreadsheets are read sheet by sheet, tab-separated', async () => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Budget');
+  sheet.addRow(['Item', 'Amount']);
+  sheet.addRow(['Rent', 1200]);
+  const { text } = await extractDocumentText(Buffer.from(await workbook.xlsx.writeBuffer()), {
+    mimeType: 'application/octet-stream',
+    filename: 'budget.xlsx',
+  });
+  assert.equal(text, '=== Sheet: Budget ===\nItem\tAmount\nRent\t1200');
+});
+
+test('emails include their attachments, up to three levels of forwarding', async () => {
+  let message = email([{ filename: 'notice.txt', type: 'text/plain', content: 'Pay or quit' }]);
+  const direct = await extractDocumentText(message, { mimeType: 'message/rfc822' });
+  assert.equal(direct.text, [
+    'From: "Ana Client" <ana@example.org>',
+    'To: intake@example.org',
+    'Subject: Lease',
+    '',
+    'The landlord sent this.',
+    '',
+    '=== Attachment 1: notice.txt (text/plain) ===',
+    'Pay or quit',
+  ].join('\n'));
+  assert.deepEqual(direct.attachments.map(attachment => [attachment.filename, attachment.extracted]), [['notice.txt', true]]);
+
+  for (let level = 1; level <= 4; level++) {
+    message = email([{ filename: `forward${level}.eml`, type: 'message/rfc822', content: message }]);
+  }
+  const forwarded = await extractDocumentText(message, { mimeType: 'message/rfc822' });
+  const depths = [];
+  for (let attachment = forwarded.attachments[0]; attachment; attachment = attachment.attachments?.[0]) {
+    depths.push(attachment.extracted ? attachment.filename : attachment.error);
+  }
+  assert.deepEqual(depths, ['forward4.eml', 'forward3.eml', 'forward2.eml', 'Nested too deeply to extract']);
+});
+
+test('with OCR turned off, images are deferred instead of recognized', async () => {
+  const result = await extractDocumentText(Buffer.from('not really a png'), { mimeType: 'image/png', ocr: false });
+  assert.equal(result.format, 'image');
+  assert.equal(result.text, '');
+  assert.equal(result.ocr_deferred, true);
+});
+
+test('a deferred attachment marks the whole message as deferred', async () => {
+  const withScan = await extractDocumentText(email([{ filename: 'notice.png', type: 'image/png', content: 'png' }]), {
+    mimeType: 'message/rfc822',
+    ocr: false,
+  });
+  assert.match(withScan.text, /The landlord sent this\./);
+  assert.equal(withScan.attachments[0].ocr_deferred, true);
+  assert.equal(withScan.ocr_deferred, true);
+
+  const textOnly = await extractDocumentText(email([{ filename: 'notice.txt', type: 'text/plain', content: 'Pay or quit' }]), {
+    mimeType: 'message/rfc822',
+    ocr: false,
+  });
+  assert.match(textOnly.text, /=== Attachment 1: notice\.txt \(text\/plain\) ===\nPay or quit/);
+  assert.equal(textOnly.ocr_deferred, undefined);
+});
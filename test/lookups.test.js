@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createLookupService } = require('../lib/lookups');
+
+const TABLES = {
+  task_types: [{ id: 3, name: 'File Answer' }, { id: 4, name: 'Call Client' }],
+  note_type: [{ id: 12, name: 'Case Note' }, { id: 13, name: 'Attorney Privileged', active: false }],
+};
+
+// A lookup service over TABLES that records which lookups it fetched
+function service() {
+  const fetched = [];
+  const lookups = createLookupService({
+    fetchLookup: async (session, name) => {
+      fetched.push(name);
+      if (!TABLES[name]) throw new Error(`403 for ${name}`);
+      return TABLES[name];
+    },
+    ttlMs: 60000,
+  });
+  return { lookups, fetched };
+}
+
+const session = {};
+
+test('labelRecords replaces IDs with labels and leaves labels alone', async () => {
+  const { lookups } = service();
+  const { records, unresolved } = await lookups.labelRecords(session, [
+    { title: 'a', task_type: 3 },
+    { title: 'b', task_type: '4' },
+    { title: 'c', task_type: 'Call Client' },
+    { title: 'd', task_type: null },
+    { title: 'e', task_type: 99 },
+  ], { task_type: 'task_types' });
+  assert.deepEqual(records.map(record => record.task_type), ['File Answer', 'Call Client', 'Call Client', null, 99]);
+  assert.deepEqual(unresolved, []);
+});
+
+test('labelRecords follows dotted paths through lists, and labels lists of IDs', async () => {
+  const { lookups } = service();
+  const { records } = await lookups.labelRecords(session, {
+    case_number: '24-0539721',
+    notes: [{ subject: 'x', note_type: 12 }, { subject: 'y', note_type: [12, 13] }],
+  }, { 'notes.note_type': 'note_type' });
+  assert.equal(records.case_number, '24-0539721');
+  assert.deepEqual(records.notes.map(note => note.note_type), ['Case Note', ['Case Note', 'Attorney Privileged']]);
+});
+
+test('labelRecords only fetches lookups whose IDs appear', async () => {
+  const { lookups, fetched } = service();
+  const input = [{ task_type: 'File Answer', deadline_type: null }];
+  const { records } = await lookups.labelRecords(session, input, { task_type: 'task_types', deadline_type: 'deadline_types' });
+  assert.equal(records, input);
+  assert.deepEqual(fetched, []);
+});
+
+test('lookups that cannot be read are reported and their IDs kept', async () => {
+  const { lookups } = service();
+  const { records, unresolved } = await lookups.labelRecords(session, [{ task_type: 3, deadline_type: 7 }], {
+    task_type: 'task_types',
+    deadline_type: 'deadline_types',
+  });
+  assert.deepEqual(records, [{ task_type: 'File Answer', deadline_type: 7 }]);
+  assert.deepEqual(unresolved, ['deadline_types']);
+});
+
+test('validate accepts labels, IDs and codes, and refuses inactive values with suggestions', async () => {
+  const { lookups } = service();
+  assert.equal(await lookups.validate(session, 'note_type', 'case note', 'note_type'), 'Case Note');
+  assert.equal(await lookups.validate(session, 'note_type', 12, 'note_type'), 'Case Note');
+  await assert.rejects(lookups.validate(session, 'note_type', 'Attorney Privileged', 'note_type'), /Inactive note_type/);
+  await assert.rejects(lookups.validate(session, 'note_type', 'Case Notes', 'note_type'), /Did you mean: Case Note\?/);
+});
@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const { ErrorCode } = require('@modelcontextprotocol/sdk/types.js');
+const { loadPromptLibrary } = require('../lib/prompts');
+
+const library = loadPromptLibrary([path.join(__dirname, '..', 'config', 'prompts')], {
+  dataTools: ['get_case_info', 'get_case_timeline', 'list_case_documents', 'search_case_documents',
+    'list_tasks', 'list_events', 'get_case_parties', 'get_case_litigation', 'get_case_eligibility'],
+});
+
+const CASE = { case_number: '24-0539721' };
+
+// An McpError the client sees as "invalid params", carrying the given data.code
+const invalidParams = code => error => {
+  assert.equal(error.code, ErrorCode.InvalidParams);
+  assert.equal(error.data.code, code);
+  return true;
+};
+
+test('a known prompt with its arguments is returned', () => {
+  assert.equal(library.get('closing_memo', CASE).name, 'closing_memo');
+  assert.equal(library.get('demand_letter_draft', { ...CASE, demand: 'repair the heater' }).name, 'demand_letter_draft');
+});
+
+test('an unknown prompt is the caller\'s mistake', () => {
+  assert.throws(() => library.get('no_such_prompt', CASE), invalidParams('unknown_prompt'));
+});
+
+test('a prompt without case_number or case_uuid is refused as invalid arguments', () => {
+  assert.throws(() => library.get('closing_memo', {}), invalidParams('invalid_arguments'));
+});
+
+test('a missing required prompt argument is named', () => {
+  assert.throws(() => library.get('demand_letter_draft', CASE), error => {
+    invalidParams('invalid_arguments')(error);
+    assert.deepEqual(error.data.problems.map(problem => problem.argument), ['demand']);
+    return true;
+  });
+});
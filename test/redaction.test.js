@@ -0,0 +1,100 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRedactor } = require('../lib/redaction');
+
+const redactText = (redactor, text) => redactor.redactValue(text).value;
+
+test('the default policy masks identifiers in free text and leaves contact details', () => {
+  const redactor = createRedactor();
+  const text = 'SSN 123-45-6789, A-number A123456789, DOB: 03/14/1985, card 4111 1111 1111 1111. '
+    + 'Reach her at client@example.org or (555) 123-4567.';
+  assert.equal(
+    redactText(redactor, text),
+    'SSN [REDACTED SSN], A-number [REDACTED A-NUMBER], DOB: [REDACTED DOB], card [REDACTED CARD]. '
+      + 'Reach her at client@example.org or (555) 123-4567.'
+  );
+});
+
+test('the default policy masks structured dates of birth', () => {
+  const { value, report } = createRedactor().redactValue({
+    client: { first: 'Ana', date_of_birth: '1985-03-14' },
+    parties: [{ name: 'Landlord LLC', date_of_birth: null }, { name: 'Bo', dob: '1990-01-02', approximate_dob: true }],
+  });
+  assert.equal(value.client.date_of_birth, '[REDACTED]');
+  assert.equal(value.client.first, 'Ana');
+  assert.equal(value.parties[0].date_of_birth, null);
+  assert.equal(value.parties[1].dob, '[REDACTED]');
+  assert.equal(value.parties[1].approximate_dob, true);
+  assert.deepEqual(report.rules.map(rule => rule.rule), ['field:date_of_birth', 'field:dob']);
+});
+
+test('detectors skip numbers that are not the identifiers they look for', () => {
+  const redactor = createRedactor();
+  // 000 and 666 area numbers are never issued; an unlabelled date is not a DOB
+  const text = 'Reference 000-12-3456 and 666-12-3456, hearing on 03/14/2025';
+  assert.equal(redactText(redactor, text), text);
+});
+
+test('identifier fields are never scanned by the detectors', () => {
+  const redactor = createRedactor();
+  const { value, report } = redactor.redactValue({ document_id: '123-45-6789', note: 'SSN 123-45-6789' });
+  assert.equal(value.document_id, '123-45-6789');
+  assert.equal(value.note, 'SSN [REDACTED SSN]');
+  assert.equal(report.total, 1);
+});
+
+test('field rules mask, hash and drop by name at any depth, with wildcards', () => {
+  const redactor = createRedactor({
+    policy: { fields: { client_email: 'hash', home_address: 'drop', '*_phone': 'mask' } },
+    hashSalt: 'salt',
+  });
+  const { value } = redactor.redactValue({
+    client: { client_email: 'a@example.org', home_address: '1 Main St', mobile_phone: '555-123-4567' },
+    parties: [{ client_email: 'a@example.org' }, { client_email: 'b@example.org' }],
+  });
+  assert.equal(value.client.home_address, undefined);
+  assert.equal(value.client.mobile_phone, '[REDACTED]');
+  assert.match(value.client.client_email, /^\[CLIENT_EMAIL#[0-9a-f]{10}\]$/);
+  // The same value hashes the same, so mentions can still be matched up
+  assert.equal(value.parties[0].client_email, value.client.client_email);
+  assert.notEqual(value.parties[1].client_email, value.client.client_email);
+});
+
+test('hash and drop detector actions', () => {
+  const redactor = createRedactor({ policy: { detectors: { email: 'hash', ssn: 'drop' } }, hashSalt: 'salt' });
+  const once = redactText(redactor, 'a@example.org; SSN 123-45-6789');
+  assert.match(once, /^\[EMAIL#[0-9a-f]{10}\]; SSN $/);
+  assert.equal(redactText(redactor, 'a@example.org'), once.split(';')[0]);
+});
+
+test('custom patterns are applied like detectors', () => {
+  const redactor = createRedactor({
+    policy: { patterns: [{ name: 'medicaid_id', label: 'MEDICAID-ID', pattern: '\\b[A-Z]{2}\\d{8}[A-Z]\\b' }] },
+  });
+  assert.equal(redactText(redactor, 'Medicaid AB12345678C'), 'Medicaid [REDACTED MEDICAID-ID]');
+});
+
+test('tool results get a report of what was redacted', () => {
+  const redactor = createRedactor();
+  const result = redactor.redactToolResult({
+    content: [
+      { type: 'text', text: JSON.stringify({ notes: ['SSN 123-45-6789', 'SSN 234-56-7890'] }) },
+      { type: 'text', text: 'not JSON: SSN 123-45-6789' },
+    ],
+  });
+  const value = JSON.parse(result.content[0].text);
+  assert.deepEqual(value.notes, ['SSN [REDACTED SSN]', 'SSN [REDACTED SSN]']);
+  assert.deepEqual(value.redactions.rules, [{ rule: 'ssn', action: 'mask', count: 2 }]);
+  assert.equal(result.content[1].text, 'not JSON: SSN [REDACTED SSN]');
+});
+
+test('results with nothing to redact carry no report', () => {
+  const result = createRedactor().redactToolResult({ content: [{ type: 'text', text: '{"status":"open"}' }] });
+  assert.equal(JSON.parse(result.content[0].text).redactions, undefined);
+});
+
+test('invalid policies are refused', () => {
+  assert.throws(() => createRedactor({ policy: { detectors: { passport: 'mask' } } }), /unknown detector "passport"/);
+  assert.throws(() => createRedactor({ policy: { fields: { ssn: 'erase' } } }), /action "erase"/);
+  assert.throws(() => createRedactor({ policy: { patterns: [{ name: 'x', pattern: '(' }] } }), /not a valid regex/);
+});
@@ -0,0 +1,105 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createResponseBudget, decodeCursor } = require('../lib/response-budget');
+const { createTokenCounter } = require('../lib/tokens');
+
+const tokens = createTokenCounter('approximate');
+const budget = createResponseBudget({ maxTokens: 400, tokens });
+const measure = value => tokens.count(JSON.stringify(value, null, 2));
+
+const TOOL = 'get_case_timeline';
+const ARGS = { case_uuid: '587cd44b-6198-4ba8-9a14-4d27fb157016' };
+
+// Fits a result, then follows next_cursor the way a client would, returning every page
+function walk(value) {
+  const pages = [];
+  let position;
+  for (;;) {
+    const page = budget.fit(structuredClone(value), { tool: TOOL, args: ARGS, position });
+    pages.push(page);
+    if (!page.next_cursor) return pages;
+    const { args, ...rest } = decodeCursor(page.next_cursor, TOOL);
+    assert.deepEqual(args, ARGS);
+    position = rest;
+  }
+}
+
+test('results within the budget are returned as they are', () => {
+  const value = { success: true, notes: [{ subject: 'Intake call' }] };
+  assert.deepEqual(budget.fit(value, { tool: TOOL, args: ARGS }), value);
+});
+
+test('a long list is cut between items, and the cursors return every item once', () => {
+  const notes = Array.from({ length: 60 }, (_, i) => ({ subject: `Note ${i}`, body: `Called the client about item ${i}.` }));
+  const pages = walk({ success: true, case_uuid: ARGS.case_uuid, notes });
+
+  assert.ok(pages.length > 2);
+  pages.forEach(page => assert.ok(measure(page) <= 400));
+  assert.deepEqual(pages.flatMap(page => page.notes), notes);
+  assert.deepEqual(JSON.parse(JSON.stringify(pages[0].continuation)), {
+    field: 'notes',
+    unit: 'items',
+    from: 0,
+    to: pages[0].notes.length,
+    total: 60,
+    note: `Cut to fit the response token budget. Call ${TOOL} with cursor set to next_cursor for the rest.`,
+  });
+  // The last page says where it started, and has no cursor
+  const last = pages[pages.length - 1];
+  assert.equal(last.continuation.to, 60);
+  assert.equal(last.next_cursor, undefined);
+  assert.equal(last.case_uuid, ARGS.case_uuid);
+});
+
+test('a long text is cut between characters and continued', () => {
+  const text = Array.from({ length: 300 }, (_, i) => `Line ${i} of the lease.`).join('\n');
+  const pages = walk({ success: true, mode: 'full', text });
+
+  assert.ok(pages.length > 2);
+  pages.forEach(page => assert.ok(measure(page) <= 400));
+  assert.equal(pages.map(page => page.text).join(''), text);
+  assert.equal(pages[0].continuation.unit, 'characters');
+});
+
+test('a single item over the budget is cut inside its long text, and continued there', () => {
+  const body = Array.from({ length: 400 }, (_, i) => `word${i}`).join(' ');
+  const notes = [{ subject: 'Long memo', body }, { subject: 'Short', body: 'ok' }];
+  const pages = walk({ success: true, notes });
+
+  pages.forEach(page => assert.ok(measure(page) <= 400));
+  const first = pages[0];
+  assert.equal(first.notes.length, 1);
+  assert.equal(first.notes[0].subject, 'Long memo');
+  assert.match(first.notes[0].body, / … \[cut to fit the response token budget\]$/);
+  assert.deepEqual(first.continuation.item, {
+    index: 0,
+    field: 'body',
+    from: 0,
+    to: first.notes[0].body.length - ' … [cut to fit the response token budget]'.length,
+    total: body.length,
+  });
+
+  // The memo's parts add up to the whole body, and the short note follows it
+  const memoParts = pages.flatMap(page => page.notes).filter(note => note.subject === 'Long memo');
+  assert.equal(memoParts.map(note => note.body.replace(/ … \[cut to fit the response token budget\]$/, '')).join(''), body);
+  assert.deepEqual(pages[pages.length - 1].notes.at(-1), notes[1]);
+});
+
+test('a single item over the budget with no dominant text is returned whole', () => {
+  const fields = Object.fromEntries(Array.from({ length: 80 }, (_, i) => [`field_${i}`, `value ${i}`]));
+  const value = { success: true, records: [fields, { field_0: 'next' }] };
+  const page = budget.fit(value, { tool: TOOL, args: ARGS });
+  assert.deepEqual(page.records, [fields]);
+  assert.equal(page.continuation.to, 1);
+  assert.ok(page.next_cursor);
+});
+
+test('cursors this server did not issue, or issued for another tool, are refused', () => {
+  assert.throws(() => decodeCursor('not-a-cursor', TOOL), /not a next_cursor this server issued/);
+  const forged = Buffer.from(JSON.stringify({ v: 1, tool: TOOL, args: ARGS, field: 'notes', offset: -1 })).toString('base64url');
+  assert.throws(() => decodeCursor(forged, TOOL), /not a next_cursor/);
+
+  const notes = Array.from({ length: 60 }, (_, i) => ({ subject: `Note ${i}` }));
+  const { next_cursor: cursor } = budget.fit({ notes }, { tool: TOOL, args: ARGS });
+  assert.throws(() => decodeCursor(cursor, 'list_tasks'), /cursor is from get_case_timeline; pass it to get_case_timeline instead/);
+});
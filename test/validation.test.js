@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateArguments } = require('../lib/validation');
+
+const schema = {
+  type: 'object',
+  properties: {
+    case_uuid: { type: 'string', format: 'uuid' },
+    case_number: { type: 'string', format: 'case-number' },
+    date_from: { type: 'string', format: 'date' },
+    mode: { type: 'string', enum: ['full', 'chunks'] },
+    limit: { type: 'integer', minimum: 1 },
+    subject: { type: 'string', minLength: 1 },
+  },
+  required: ['case_uuid'],
+};
+
+const formats = {
+  'case-number': { test: value => /^\d{2}-\d{7}$/.test(value.trim()), description: 'a case number' },
+};
+
+const UUID = '587cd44b-6198-4ba8-9a14-4d27fb157016';
+const problemsOf = args => validateArguments(schema, args, { formats }).problems;
+
+test('valid arguments pass, with left-out ones removed', () => {
+  const { args, problems } = validateArguments(schema, {
+    case_uuid: UUID, case_number: '24-0539721', date_from: '2024-02-29', mode: 'full', limit: 5, subject: '',
+  }, { formats });
+  assert.deepEqual(problems, []);
+  assert.deepEqual(args, { case_uuid: UUID, case_number: '24-0539721', date_from: '2024-02-29', mode: 'full', limit: 5 });
+});
+
+test('undeclared arguments are refused', () => {
+  const problems = problemsOf({ case_uuid: UUID, case_id: '123' });
+  assert.equal(problems.length, 1);
+  assert.equal(problems[0].argument, 'case_id');
+  assert.match(problems[0].message, /not an argument of this tool/);
+});
+
+test('missing required arguments are reported', () => {
+  assert.deepEqual(problemsOf({}).map(problem => problem.argument), ['case_uuid']);
+  assert.deepEqual(problemsOf({ case_uuid: null }).map(problem => problem.argument), ['case_uuid']);
+});
+
+test('bad formats are refused', () => {
+  assert.deepEqual(problemsOf({ case_uuid: 'not-a-uuid' }).map(problem => problem.argument), ['case_uuid']);
+  assert.deepEqual(problemsOf({ case_uuid: UUID, case_number: '24-05397' }).map(problem => problem.argument), ['case_number']);
+  // Well-formed but not a calendar date
+  assert.deepEqual(problemsOf({ case_uuid: UUID, date_from: '2023-02-29' }).map(problem => problem.argument), ['date_from']);
+  assert.deepEqual(problemsOf({ case_uuid: UUID, date_from: '02/01/2024' }).map(problem => problem.argument), ['date_from']);
+});
+
+test('types, enums, minimums and blank strings are checked', () => {
+  const problems = problemsOf({ case_uuid: UUID, mode: 'summary', limit: 0, subject: '   ' });
+  assert.deepEqual(problems.map(problem => problem.argument), ['mode', 'limit', 'subject']);
+  assert.match(problemsOf({ case_uuid: UUID, limit: '5' })[0].message, /must be a whole number/);
+});
+
+test('arguments that are not an object are refused', () => {
+  assert.equal(problemsOf(['x'])[0].message, 'arguments must be an object');
+});